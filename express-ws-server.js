@@ -4,6 +4,20 @@
 // Config
 const port = process.env.PORT || 5555;
 const quiet = process.env.QUIET || true;
+// Set RECORD to a file name to save all relayed messages as newline-delimited JSON
+const recordFile = process.env.RECORD;
+// Set REPLAY to a file name to play back a recording to connected clients
+const replayFile = process.env.REPLAY;
+// Playback speed. 2 = twice as fast, 0.5 = half speed
+const replaySpeed = Number.parseFloat(process.env.REPLAY_SPEED || `1`);
+// Set REPLAY_LOOP=1 to start again from the beginning when playback finishes
+const replayLoop = Boolean(process.env.REPLAY_LOOP);
+// Messages larger than this (in bytes) are dropped
+const maxMessageBytes = Number.parseInt(process.env.MAX_MESSAGE_BYTES || `65536`);
+// Maximum messages per second from a single client. Extra messages are dropped
+const rateLimit = Number.parseInt(process.env.RATE_LIMIT || `120`);
+// Folder of JSON schemas, named after the room they apply to (eg. 'pointer.json')
+const schemaFolder = process.env.SCHEMAS;
 // ---
 
 import { fileURLToPath } from 'node:url';
@@ -11,6 +25,8 @@ import Express  from 'express';
 import ExpressWs from 'express-ws';
 import BodyParser from 'body-parser';
 import path, { dirname }  from 'node:path';
+import fs from 'node:fs';
+import Ajv from 'ajv';
 
 const ews = ExpressWs(Express());
 const app = ews.app;
@@ -18,35 +34,457 @@ const app = ews.app;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Set up the '/ws' resource to handle web socket connections
-app.ws(`/ws`, function (ws, request) {
-  if (!quiet) console.log(`New websocket connection`);
+/**
+ * Connected clients, grouped by room name.
+ * Clients on `/ws` are in the default room, clients on `/ws/:room` are in that room.
+ * @type {Map<string,Set<any>>}
+ */
+const rooms = new Map();
+const defaultRoom = `default`;
+
+/**
+ * Adds a client to a room, creating the room if needed
+ * @param {string} room
+ * @param {any} ws
+ */
+const joinRoom = (room, ws) => {
+  let clients = rooms.get(room);
+  if (clients === undefined) {
+    clients = new Set();
+    rooms.set(room, clients);
+  }
+  clients.add(ws);
+};
+
+/**
+ * Removes a client from a room, deleting the room once it is empty
+ * @param {string} room
+ * @param {any} ws
+ */
+const leaveRoom = (room, ws) => {
+  const clients = rooms.get(room);
+  if (clients === undefined) return;
+  clients.delete(ws);
+  if (clients.size === 0) rooms.delete(room);
+};
+
+/**
+ * Sends a message to all clients in a room, except for `from`
+ * @param {string} room
+ * @param {any} message
+ * @param {any} [from]
+ */
+const broadcast = (room, message, from) => {
+  const clients = rooms.get(room);
+  if (clients === undefined) return;
+  for (const c of clients) {
+    if (c === from) continue;
+    try {
+      c.send(message);
+    } catch {
+      // can happen when client disconnects
+      // console.error(e);
+    }
+  }
+};
+
+/**
+ * Counts of relayed and dropped messages, keyed by room name
+ * @type {Map<string,{relayed:number, tooLarge:number, rateLimited:number, invalid:number}>}
+ */
+const stats = new Map();
+
+/**
+ * Increments a counter for a room
+ * @param {string} room
+ * @param {`relayed`|`tooLarge`|`rateLimited`|`invalid`} key
+ */
+const count = (room, key) => {
+  let s = stats.get(room);
+  if (s === undefined) {
+    s = { relayed: 0, tooLarge: 0, rateLimited: 0, invalid: 0 };
+    stats.set(room, s);
+  }
+  s[key]++;
+};
+
+/**
+ * Validation functions, keyed by room name.
+ * Loaded from SCHEMAS, if set.
+ * @type {Map<string,import('ajv').ValidateFunction>}
+ */
+const validators = new Map();
+if (schemaFolder) {
+  const ajv = new Ajv();
+  for (const file of fs.readdirSync(schemaFolder)) {
+    if (!file.endsWith(`.json`)) continue;
+    const room = path.basename(file, `.json`);
+    try {
+      const schema = JSON.parse(fs.readFileSync(path.join(schemaFolder, file)));
+      validators.set(room, ajv.compile(schema));
+      console.log(`Validating room '${room}' with ${file}`);
+    } catch (error) {
+      console.warn(`Could not load schema ${file}: ${error}`);
+    }
+  }
+}
+
+/**
+ * Returns the reason a message should be dropped, or undefined if it's fine.
+ * `client` tracks how many messages have been received from a client this second.
+ * @param {string} room
+ * @param {any} message
+ * @param {{windowStart:number, received:number}} client
+ * @returns {`tooLarge`|`rateLimited`|`invalid`|undefined}
+ */
+const checkMessage = (room, message, client) => {
+  const now = Date.now();
+  if (now - client.windowStart >= 1000) {
+    client.windowStart = now;
+    client.received = 0;
+  }
+  client.received++;
+  if (client.received > rateLimit) return `rateLimited`;
+
+  const size = typeof message === `string` ? Buffer.byteLength(message) : message.length;
+  if (size > maxMessageBytes) return `tooLarge`;
+
+  const validate = validators.get(room);
+  if (validate === undefined) return;
+  try {
+    if (!validate(JSON.parse(message.toString()))) return `invalid`;
+  } catch {
+    // Not JSON
+    return `invalid`;
+  }
+};
+
+/**
+ * Stream that relayed messages are written to, if recording is enabled.
+ * Recordings are appended to, starting with a { session } line giving when recording started
+ */
+const recordStream = recordFile ? fs.createWriteStream(recordFile, { flags: `a` }) : undefined;
+const recordStarted = Date.now();
+recordStream?.write(JSON.stringify({ session: new Date(recordStarted).toISOString() }) + `\n`);
+
+/**
+ * Writes a message to the recording, if enabled.
+ * Each line of the file is JSON: { t, room, data }, where `t` is milliseconds since recording started
+ * @param {string} room
+ * @param {any} message
+ */
+const record = (room, message) => {
+  if (recordStream === undefined) return;
+  const line = {
+    t: Date.now() - recordStarted,
+    room,
+    data: message.toString()
+  };
+  recordStream.write(JSON.stringify(line) + `\n`);
+};
+
+/**
+ * Reads a recording made with `record`.
+ * Since `t` starts from 0 for each session in the file, times are offset
+ * so sessions play one after another, with a second between them.
+ * @param {string} file
+ * @returns {Array<{t:number, room:string, data:string}>}
+ */
+const loadRecording = (file) => {
+  const lines = fs.readFileSync(file, `utf8`).split(`\n`);
+  const messages = [];
+  let offset = 0;
+  for (const line of lines) {
+    if (line.trim().length === 0) continue;
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      console.warn(`Skipping malformed line in ${file}: ${line}`);
+      continue;
+    }
+    if (parsed.session === undefined) {
+      messages.push({ ...parsed, t: parsed.t + offset });
+    } else if (messages.length > 0) {
+      offset = messages.at(-1).t + 1000;
+    }
+  }
+  return messages;
+};
+
+let replayRunning = false;
+
+/**
+ * Plays back the recording given by REPLAY, keeping the original timing
+ * between messages (scaled by REPLAY_SPEED). Messages are sent to the room they
+ * were recorded from. Playback starts when the first client connects.
+ */
+const startReplay = () => {
+  if (!replayFile || replayRunning) return;
+  const messages = loadRecording(replayFile);
+  if (messages.length === 0) {
+    console.warn(`Nothing to replay in ${replayFile}`);
+    return;
+  }
+  replayRunning = true;
+  console.log(`Replaying ${messages.length} messages from ${replayFile}`);
+
+  const speed = replaySpeed > 0 ? replaySpeed : 1;
+  const playFrom = (index) => {
+    if (index >= messages.length) {
+      if (replayLoop) return playFrom(0);
+      console.log(`Replay finished`);
+      replayRunning = false;
+      return;
+    }
+    const { room, data } = messages[index];
+    broadcast(room, data);
+
+    // Pause for a second before looping back to the start
+    const next = messages[index + 1];
+    const wait = next === undefined ? 1000 : Math.max(0, next.t - messages[index].t);
+    setTimeout(() => playFrom(index + 1), wait / speed);
+  };
+  playFrom(0);
+};
+
+/**
+ * Handles a new web socket connection for a room
+ * @param {any} ws
+ * @param {string} room
+ */
+const onConnection = (ws, room) => {
+  if (!quiet) console.log(`New websocket connection (room: ${room})`);
+  joinRoom(room, ws);
+  startReplay();
+  const client = { windowStart: 0, received: 0 };
 
   // A message has been received from a client
   ws.on(`message`, function (message) {
-    // @ts-ignore
-    var clients = ews.getWss(`/ws`).clients;
     // Debug print it
     if (!quiet)
-      console.log(new Date().toLocaleTimeString() + `> ` + message);
-
-    // Broadcast it to all other clients
-    for (const c of clients) {
-      if (c === ws) continue;
-      try {
-        c.send(message);
-      } catch {
-        // can happen when client disconnects
-        // console.error(e);
-      }
+      console.log(new Date().toLocaleTimeString() + ` ${room}> ` + message);
+
+    // Drop messages that are too big, too frequent or don't match the room's schema
+    const problem = checkMessage(room, message, client);
+    if (problem) {
+      count(room, problem);
+      return;
     }
+    count(room, `relayed`);
+
+    record(room, message);
+
+    // Broadcast it to all other clients in the same room
+    broadcast(room, message, ws);
+  });
+
+  ws.on(`close`, function () {
+    leaveRoom(room, ws);
   });
+};
+
+// Set up the '/ws' resource to handle web socket connections.
+// Clients connecting to '/ws/some-name' only exchange messages with others in 'some-name'
+app.ws(`/ws`, function (ws, request) {
+  onConnection(ws, defaultRoom);
+});
+app.ws(`/ws/:room`, function (ws, request) {
+  onConnection(ws, request.params.room);
 });
 
-app.use(BodyParser.json());
+// List active rooms and how many clients are in each
+app.get(`/rooms`, function (request, resource) {
+  const list = [ ...rooms.entries() ].map(([ name, clients ]) => ({
+    name,
+    clients: clients.size
+  }));
+  resource.json(list);
+});
+
+// Message counts for each room, including those dropped
+app.get(`/status`, function (request, resource) {
+  const list = [ ...stats.entries() ].map(([ name, counts ]) => ({
+    name,
+    clients: rooms.get(name)?.size ?? 0,
+    ...counts
+  }));
+  resource.json({
+    maxMessageBytes,
+    rateLimit,
+    rooms: list
+  });
+});
+
+app.use(BodyParser.json({
+  // Allow plain values such as numbers or strings, not just objects
+  strict: false,
+  limit: maxMessageBytes
+}));
 app.use(BodyParser.urlencoded({
-  extended: false
+  extended: false,
+  limit: maxMessageBytes
 }));
+// Plain text is kept as a string
+app.use(BodyParser.text({
+  limit: maxMessageBytes
+}));
+
+/**
+ * Latest value posted for each key, keyed by `room/key`
+ * @type {Map<string,{value:any, updated:number}>}
+ */
+const values = new Map();
+
+/**
+ * Open server-sent event responses, keyed by the `room/key` they're listening to
+ * @type {Map<string,Set<any>>}
+ */
+const valueListeners = new Map();
+
+/**
+ * Message counts for clients posting values, keyed by IP address,
+ * so they are rate limited the same as websocket clients
+ * @type {Map<string,{windowStart:number, received:number}>}
+ */
+const valueClients = new Map();
+
+/**
+ * HTTP status to respond with when a posted value is dropped
+ */
+const problemStatus = {
+  tooLarge: 413,
+  rateLimited: 429,
+  invalid: 400
+};
+
+/**
+ * Content types that posted values can be sent as
+ */
+const valueTypes = [ `json`, `urlencoded`, `text/plain` ];
+
+/**
+ * Returns the room a value request is for, given as '/values/:room/:key' or '?room='.
+ * Defaults to the room of '/ws' clients.
+ * @param {any} request
+ * @returns {string}
+ */
+const valueRoom = (request) => {
+  if (request.params.room !== undefined) return request.params.room;
+  return typeof request.query.room === `string` ? request.query.room : defaultRoom;
+};
+
+/**
+ * Writes a value as a server-sent event
+ * @param {any} resource
+ * @param {any} value
+ */
+const sendEvent = (resource, value) => {
+  resource.write(`data: ${JSON.stringify(value)}\n\n`);
+};
+
+/**
+ * Sets the latest value for a key, sending it to listeners and
+ * websocket clients in the room as { key, value }.
+ * Values are checked with the same limits and schema as websocket messages.
+ * @param {any} request
+ * @param {any} resource
+ */
+const postValue = (request, resource) => {
+  // Otherwise the body isn't parsed and the value would be lost
+  if (!request.is(valueTypes)) {
+    resource.sendStatus(415);
+    return;
+  }
+  const room = valueRoom(request);
+  const { key } = request.params;
+  const value = request.body;
+  const message = JSON.stringify({ key, value });
+
+  let client = valueClients.get(request.ip);
+  if (client === undefined) {
+    client = { windowStart: 0, received: 0 };
+    valueClients.set(request.ip, client);
+  }
+  const problem = checkMessage(room, message, client);
+  if (problem) {
+    count(room, problem);
+    resource.sendStatus(problemStatus[problem]);
+    return;
+  }
+  count(room, `relayed`);
+
+  const id = `${room}/${key}`;
+  values.set(id, { value, updated: Date.now() });
+
+  const listeners = valueListeners.get(id);
+  if (listeners !== undefined) {
+    for (const l of listeners) sendEvent(l, value);
+  }
+
+  record(room, message);
+  broadcast(room, message);
+  resource.sendStatus(204);
+};
+
+/**
+ * Responds with the latest value for a key
+ * @param {any} request
+ * @param {any} resource
+ * @param {any} next
+ */
+const getValue = (request, resource, next) => {
+  const v = values.get(`${valueRoom(request)}/${request.params.key}`);
+  if (v === undefined) return next();
+  resource.set(`Last-Modified`, new Date(v.updated).toUTCString());
+  resource.json(v.value);
+};
+
+/**
+ * Streams values for a key as server-sent events, starting with the latest value (if any)
+ * @param {any} request
+ * @param {any} resource
+ */
+const streamValues = (request, resource) => {
+  const id = `${valueRoom(request)}/${request.params.key}`;
+  resource.set({
+    'Content-Type': `text/event-stream`,
+    'Cache-Control': `no-cache`,
+    'Connection': `keep-alive`
+  });
+  resource.flushHeaders();
+
+  let listeners = valueListeners.get(id);
+  if (listeners === undefined) {
+    listeners = new Set();
+    valueListeners.set(id, listeners);
+  }
+  listeners.add(resource);
+
+  const v = values.get(id);
+  if (v !== undefined) sendEvent(resource, v.value);
+
+  request.on(`close`, () => {
+    listeners.delete(resource);
+    if (listeners.size === 0) valueListeners.delete(id);
+  });
+};
+
+// Values are kept separately for each room, given as '/values/:room/:key' or '?room='.
+// Without a room, they are shared with '/ws' clients.
+// Set the latest value for a key. The value is also sent to clients in the room
+app.post(`/values/:key`, postValue);
+app.post(`/values/:room/:key`, postValue);
+
+// Stream values for a key. Registered first, so '/values/:key/events'
+// isn't taken as a key called 'events'
+app.get(`/values/:key/events`, streamValues);
+app.get(`/values/:room/:key/events`, streamValues);
+
+// Get the latest value for a key
+app.get(`/values/:key`, getValue);
+app.get(`/values/:room/:key`, getValue);
+
 //app.use(CookieParser());
 app.use(Express.static(path.join(__dirname, `./docs/`)));
 
@@ -68,4 +506,5 @@ app.use(function (error, request, resource, next) {
 
 
 app.listen(port);
-console.log(`Server started on port ` + port);
\ No newline at end of file
+console.log(`Server started on port ` + port);
+if (recordFile) console.log(`Recording messages to ${recordFile}`);
\ No newline at end of file
@@ -2,6 +2,7 @@ import { scaleClamped } from '../../ixfx/numbers.js';
 import { Oscillators } from '../../ixfx/modulation.js';
 import { interval } from '../../ixfx/flow.js';
 import * as Random from '../../ixfx/random.js';
+import { chain } from '../voices.js';
 
 const settings = Object.freeze({
   audioId: `rainstorm`,
@@ -171,22 +172,10 @@ function initBasicAudio(audioElement) {
   // Source from AUDIO element
   const source = context.createMediaElementSource(audioElement);
 
-  // Create stereo panner
-  const pan = context.createStereoPanner();
-
-  // Create gain node
-  const gain = context.createGain();
-
-  // Create filter
-  const filter = context.createBiquadFilter();
-  filter.type = settings.filterType;
-
   // Patch in
-  // AUDIO elem -> gain -> panner -> speakers
-  source.connect(gain);
-  gain.connect(pan);
-  pan.connect(filter);
-  filter.connect(context.destination);
+  // AUDIO elem -> gain -> panner -> filter -> speakers
+  const { pan, gain, filter } = chain(context, source);
+  filter.type = settings.filterType;
 
   return {
     pan, gain, filter,
@@ -17,126 +17,52 @@ const settings = Object.freeze({
 });
 
 /**
- * Use the Thing
- * @param {Thing} thing 
+ * Start a voice on a random tone
+ * @param {Voice} voice 
  */
-export const use = (thing) => {
-  const { frequency, gain, node } = thing;
+export const use = (voice) => {
+  const { tones, frequencyJitter } = settings;
+  const { context, pan } = voice;
+  const osc = /** @type OscillatorNode */(voice.source);
 
-  const { ctx, pan } = node;
+  // Base frequency
+  let frequency = tones[RandomArrayIndex(tones)];
+
+  // Add drift
+  frequency = frequency + frequencyJitter(frequency);
 
-  pan.pan.setValueAtTime(thing.pan, ctx.currentTime);
-  node.osc.frequency.setValueAtTime(frequency, ctx.currentTime);
-  node.gain.gain.setValueAtTime(gain, ctx.currentTime);
+  pan.pan.setValueAtTime(Bipolar.random(), context.currentTime);
+  osc.frequency.setValueAtTime(frequency, context.currentTime);
 };
 
 /**
- * Update
- * @param {Thing} thing 
- * @returns 
+ * Drift a voice's frequency and panning
+ * @param {Voice} voice 
  */
-export const update = (thing) => {
+export const update = (voice) => {
   const { frequencyJitter, panJitter } = settings;
+  const { context, pan } = voice;
+  const osc = /** @type OscillatorNode */(voice.source);
 
-  thing = {
-    ...thing,
-    gain: 0.5,
-    pan: Bipolar.clamp(panJitter(thing.pan)),
-    frequency: frequencyJitter(thing.frequency)
-  };
-  return thing;
-};
-
-/**
- * Removes the Thing
- * @param {Thing} thing 
- */
-export const remove = (thing) => {
-  const { node } = thing;
-  const { ctx } = node;
-  // Fade out
-  node.gain.gain.setTargetAtTime(0, ctx.currentTime, 0.9);
-  // Stop after 10s
-  node.osc.stop(ctx.currentTime + 10_000);
-  setTimeout(() => {
-    node.osc.disconnect();
-  }, 10_000);
+  pan.pan.setValueAtTime(Bipolar.clamp(panJitter(pan.pan.value)), context.currentTime);
+  osc.frequency.setValueAtTime(frequencyJitter(osc.frequency.value), context.currentTime);
 };
 
 /**
- * Create oscillator
- * @param {AudioContext} context
- * @returns {Thing} 
+ * Create oscillator. It is connected up and started by the voice.
+ * @param {BaseAudioContext} context
+ * @returns {OscillatorNode} 
  */
 export const create = (context) => {
-  const { oscillator, tones, frequencyJitter: driftJitter } = settings;
-
-  // Base frequency
-  let frequency = tones[RandomArrayIndex(tones)];
-
-  // Add drift
-  frequency = frequency + driftJitter(frequency);
+  const { oscillator } = settings;
 
   // Source oscillator
   const source = context.createOscillator();
   source.type = oscillator.type;
-  source.frequency.setValueAtTime(frequency, context.currentTime);
-
-  // Create stereo panner
-  const pan = context.createStereoPanner();
-
-  // Create gain node
-  const gain = context.createGain();
-
-  // Create filter
-  const filter = context.createBiquadFilter();
-
-  // Patch in
-  // Oscillator -> gain -> panner -> speakers
-  source.connect(gain);
-  gain.connect(pan);
-  pan.connect(filter);
-  filter.connect(context.destination);
-
-  // Mute oscillator
-  gain.gain.setValueAtTime(0, context.currentTime);
-
-  // Start oscillator
-  source.start();
-  return {
-    node: {
-      ctx: context,
-      filter, gain,
-      osc: source, pan
-    },
-    frequency,
-    gain: 0,
-    pan: Bipolar.random()
-  };
+  source.frequency.setValueAtTime(oscillator.frequency, context.currentTime);
+  return source;
 };
 
 /**
- * @typedef {{
- * type: OscillatorType
- * frequency: number
- * }} OscillatorOpts
- */
-
-/**
- * @typedef {Readonly<{ 
- * ctx: AudioContext
- * pan: StereoPannerNode
- * gain: GainNode
- * filter: BiquadFilterNode
- * osc: OscillatorNode
- * }>} AudioNode
+ * @typedef {import('../voices.js').Voice} Voice
  */
-
-/**
- * @typedef {Readonly<{
- * frequency: number
- * gain: number
- * node: AudioNode
- * pan: number
- * }>} Thing
- */
\ No newline at end of file
@@ -1,134 +1,81 @@
-import { Pool } from '../../ixfx/data.js';
-
-
+import { Voices } from '../voices.js';
 import * as Audio from './audio.js';
 
 const settings = Object.freeze({
-  voices: Pool.create({
+  voices: new Voices({
+    // Up to five notes at once
     capacity: 5,
-    generate: voiceAdded,
-    free: voiceRemoved,
-    userExpireAfterMs: 1000,
-    resourcesWithoutUserExpireAfterMs: 1000,
-    fullPolicy: `evictOldestUser`
-  })
+    // When all are in use, the oldest note gives up its voice
+    steal: `oldest`,
+    create: Audio.create,
+    // Fade in and out
+    envelope: {
+      attackDuration: 300,
+      decayDuration: 200,
+      sustainLevel: 0.5,
+      releaseDuration: 2000
+    },
+    // Dispose voices that have been silent for a second
+    idleExpireMs: 1000
+  }),
+  // How often to drift the voices
+  updateRateMs: 10
 });
 
 /**
- * @typedef {{
- * context: AudioContext|undefined
- * keysPressed:string[]
- * pointersPressed:number[]
- * }} State
+ * Starts a note, unless it is already playing
+ * @param {string} key 
  */
+const noteOn = (key) => {
+  const { voices } = settings;
 
-/** @type State */
-let state = Object.freeze({
-  context: undefined,
-  keysPressed:[],
-  pointersPressed:[]
-});
+  // Voice is already playing this note (it may be releasing)
+  const existing = voices.get(key);
 
-/**
- * Need to create a new pool item
- * @returns
- */
-function voiceAdded() {
-  const context = getAudioContext();
+  const voice = voices.noteOn(key);
+  if (voice === undefined || voice === existing) return;
 
-  if (context === undefined) throw new Error(`AudioContext not available`);
-  const a = Audio.create(context);
-  return a;
-}
+  // New note, give it a tone
+  Audio.use(voice);
+};
 
 /**
- * Pool item to be disposed
- * @param {Audio.Thing} thing 
+ * Drift all the sounding voices
  */
-function voiceRemoved(thing) {
-  Audio.remove(thing);
-}
-
-const use = () => {
+const update = () => {
   const { voices } = settings;
-  const { keysPressed, pointersPressed } = state;
-
-  // Keep alive voices that are currently triggered
-  for (const key of keysPressed) {
-    voices.use(key);
-  }
-  for (const pointer of pointersPressed) {
-    voices.use(pointer.toString());
-  }
-
-  for (const o of voices.values()) {
-    Audio.use(o);
+  for (const voice of voices.values()) {
+    Audio.update(voice);
   }
 };
 
-const update = () => {};
-
-const getAudioContext = () => {
-  let { context } = state;
-  if (context !== undefined) return context;
-  context = new AudioContext();
-  saveState({context});
-  return context;
-};
-
 /**
- * fa
  * @param {KeyboardEvent} event 
  */
 const onKeyDown = (event) => {
   if (event.repeat) return; // Ignore repeat keydown events
-  let { keysPressed } = state;
+  noteOn(event.key);
+};
 
-  // Add new key to list of keys being pressed
-  keysPressed = [...keysPressed, event.key ];
-  saveState({ keysPressed });
+/**
+ * @param {KeyboardEvent} event 
+ */
+const onKeyUp = (event) => {
+  settings.voices.noteOff(event.key);
 };
 
 /**
- * 
  * @param {PointerEvent} event 
  */
 const onPointerDown = (event) => {
-  let { pointersPressed } = state;
-  pointersPressed = [...pointersPressed, event.pointerId];
-  saveState({ pointersPressed });
+  noteOn(`pointer-${event.pointerId}`);
 };
 
 /**
- * 
  * @param {PointerEvent} event 
  */
 const onPointerUp = (event) => {
-  const { voices } = settings;
-  let { pointersPressed } = state;
-
-  // Remove this pointer from list of pointers being pressed
-  pointersPressed = pointersPressed.filter(k => k !== event.pointerId);
-
-  // Release it from the pool
-  voices.release(event.pointerId.toString());
-
-  // Save the neaw list of pointers being pressed
-  saveState({ pointersPressed });
-};
-
-const onKeyUp = (event) => {
-  const { voices } = settings;
-  let { keysPressed } = state;
-
-  // Remove this key from list of keys being pressed
-  keysPressed = keysPressed.filter(k => k !== event.key);
-
-  // Release it from the pool
-  voices.release(event.key);
-
-  // Save the neaw list of keys being pressed
-  saveState({ keysPressed });
+  settings.voices.noteOff(`pointer-${event.pointerId}`);
 };
 
 function setup () {
@@ -136,31 +83,13 @@ function setup () {
   document.addEventListener(`keyup`, onKeyUp);
   document.addEventListener(`pointerdown`, onPointerDown);
   document.addEventListener(`pointerup`, onPointerUp);
+  document.addEventListener(`pointercancel`, onPointerUp);
 
-  // Update all the pool resources
-  setInterval(() => {
-    for (const item of settings.voices.resources()) {
-      const update = Audio.update(item.data);
-      const thing = item.updateData(update);
-      Audio.use(update);
-    }
+  // Release everything if the page loses focus, since we won't get keyup events
+  window.addEventListener(`blur`, () => {
+    settings.voices.allOff();
   });
 
-  // Run a regular update/use cycle
-  setInterval(() => {
-    update();
-    use();
-  }, 10);
+  setInterval(update, settings.updateRateMs);
 };
 setup();
-
-/**
- * Save state
- * @param {Partial<state>} s 
- */
-function saveState (s) {
-  state = Object.freeze({
-    ...state,
-    ...s
-  });
-}
\ No newline at end of file
@@ -1,17 +1,22 @@
 import { scaleClamped, scalePercent } from '../../ixfx/numbers.js';
+import { Voices, oscillator } from '../voices.js';
 
 const settings = Object.freeze({
-  /** @type OscillatorOpts */
-  oscillator: {
-    type: `sawtooth`,
-    frequency: 440
-  },
+  // A single voice, with a short fade in and out
+  voices: new Voices({
+    capacity: 1,
+    create: oscillator(`sawtooth`, 440),
+    envelope: {
+      attackDuration: 50,
+      decayDuration: 100,
+      sustainLevel: 1,
+      releaseDuration: 200
+    }
+  }),
   freqRange: [120, 1000]
 });
 
 let state = Object.freeze({
-  /** @type BasicAudio|undefined */
-  audio: undefined,
   /** @type number */
   x: 0.5,
   /** @type number */
@@ -19,36 +24,32 @@ let state = Object.freeze({
 });
 
 const use = () => {
-  const { freqRange } = settings;
+  const { freqRange, voices } = settings;
   const { x, y } = state;
 
-  const audio = initAudio();
-  if (!audio) return;
+  // Start playing, if we aren't already
+  const playing = voices.get(`pointer`);
+  const voice = playing?.isHeld ? playing : voices.noteOn(`pointer`);
+  if (!voice) return;
 
   // Scale 0..1 to desired frequency range from settings
   const freq = scalePercent(x, freqRange[0], freqRange[1]);
   // Gain can use 0..1 range
   const level = y;
 
-  const { ctx, gain, osc } = audio;
+  const { context } = voice;
+  const osc = /** @type OscillatorNode */(voice.source);
 
   // Set frequency (based on x)
-  osc.frequency.setValueAtTime(freq, ctx.currentTime);
+  osc.frequency.setValueAtTime(freq, context.currentTime);
 
-  // Set volume (based on y)
-  gain.gain.setValueAtTime(level, ctx.currentTime);
+  // Set volume (based on y). The voice's envelope is applied on top
+  voice.volume = level;
 };
 
 const muteOscillator = () => {
-  if (!state.audio) return; // Haven't initialised yet
-
-  // Initialise if we haven't already
-  const audio = initAudio();
-  if (!audio) return;
-
-  const { gain, ctx } = audio;
-
-  gain.gain.setValueAtTime(0, ctx.currentTime);
+  // Fades out the voice
+  settings.voices.noteOff(`pointer`);
 };
 
 function setup() {
@@ -86,81 +87,3 @@ function saveState(s) {
     ...s
   });
 }
-
-/**
- * Initialise all audio elements on the page
- * @returns BasicAudio
- */
-function initAudio() {
-  const { oscillator } = settings;
-
-  // Already initialised
-  if (state.audio) return state.audio;
-
-  const ac = initBasicAudio(oscillator);
-
-  // Mute oscillator
-  ac.gain.gain.setValueAtTime(0, ac.ctx.currentTime);
-
-  // Start oscillator
-  ac.osc.start();
-
-  saveState({
-    audio: ac
-  });
-  return ac;
-}
-
-/**
- * Initialise audio with an oscillator source
- * @param {OscillatorOpts} [oscillatorOptions] 
- * @returns {BasicAudio}
- */
-function initBasicAudio(oscillatorOptions = {}) {
-
-  const context = new AudioContext();
-  const oscType = oscillatorOptions.type ?? `sawtooth`;
-  const oscFreq = oscillatorOptions.frequency ?? 440;
-
-  // Source oscillator
-  const source = context.createOscillator();
-  source.type = oscType;
-  source.frequency.setValueAtTime(oscFreq, context.currentTime);
-
-  // Create stereo panner
-  const pan = context.createStereoPanner();
-
-  // Create gain node
-  const gain = context.createGain();
-
-  // Create filter
-  const filter = context.createBiquadFilter();
-
-  // Patch in
-  // Oscillator -> gain -> panner -> speakers
-  source.connect(gain);
-  gain.connect(pan);
-  pan.connect(filter);
-  filter.connect(context.destination);
-
-  return {
-    pan, gain, filter,
-    ctx: context,
-    osc: source
-  };
-}
-
-/**
- * @typedef OscillatorOpts
- * @property {OscillatorType} [type]
- * @property {number} [frequency]
- */
-
-/**
- * @typedef BasicAudio
- * @property {AudioContext} ctx
- * @property {StereoPannerNode} pan
- * @property {GainNode} gain
- * @property {BiquadFilterNode} filter
- * @property {OscillatorNode} osc
- */
\ No newline at end of file
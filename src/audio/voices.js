@@ -0,0 +1,395 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Audio graphs and a pool of voices for playing notes.
+ *
+ * `chain` patches a source through the gain, panner and filter used by the audio demos:
+ * ```js
+ * const context = new AudioContext();
+ * const { gain, pan, filter } = chain(context, context.createMediaElementSource(audioEl));
+ * ```
+ *
+ * `Voices` allocates a chain per note from an ixfx Pool, shaping its volume with an ADSR envelope.
+ * When all voices are in use, one is stolen for the new note.
+ * ```js
+ * const voices = new Voices({ capacity: 4, create: oscillator(`sine`) });
+ * document.addEventListener(`keydown`, event => voices.noteOn(event.key));
+ * document.addEventListener(`keyup`, event => voices.noteOff(event.key));
+ * ```
+ *
+ * Voices keep playing after `noteOff` until their envelope has released. Voices
+ * that have been silent for a while are disposed, disconnecting their nodes.
+ */
+import { Pool } from '../ixfx/data.js';
+import { Envelopes } from '../ixfx/modulation.js';
+
+/**
+ * @typedef {Readonly<{
+ * source: AudioNode
+ * gain: GainNode
+ * pan: StereoPannerNode
+ * filter: BiquadFilterNode
+ * dispose: () => void
+ * }>} Chain
+ */
+
+/**
+ * Connects source -> gain -> panner -> filter -> destination
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} source
+ * @param {AudioNode} [destination] Where to send audio. Defaults to the speakers
+ * @returns {Chain}
+ */
+export const chain = (context, source, destination = context.destination) => {
+  const gain = context.createGain();
+  const pan = context.createStereoPanner();
+  const filter = context.createBiquadFilter();
+
+  source.connect(gain);
+  gain.connect(pan);
+  pan.connect(filter);
+  filter.connect(destination);
+
+  return {
+    source, gain, pan, filter,
+    dispose: () => {
+      for (const node of [ source, gain, pan, filter ]) node.disconnect();
+    }
+  };
+};
+
+/**
+ * Returns a function that creates oscillators, for use with `Voices`
+ * @param {OscillatorType} type
+ * @param {number} frequency
+ * @returns {(context:BaseAudioContext) => OscillatorNode}
+ */
+export const oscillator = (type = `sawtooth`, frequency = 440) => (context) => {
+  const osc = context.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(frequency, context.currentTime);
+  return osc;
+};
+
+/**
+ * A source and its chain, with an envelope controlling its volume
+ */
+export class Voice {
+  /**
+   * Key of note being played, or undefined if voice is free
+   * @type {string|undefined}
+   */
+  key;
+
+  /**
+   * Volume, multiplied with velocity and envelope. 0..1
+   * @type {number}
+   */
+  volume = 1;
+
+  /**
+   * Velocity of current note, 0..1
+   * @type {number}
+   */
+  velocity = 1;
+
+  /**
+   * When current note started, in milliseconds
+   * @type {number}
+   */
+  startedAt = 0;
+
+  /** @type {() => void} */
+  #disposeChain;
+
+  #held = false;
+
+  /**
+   * @param {BaseAudioContext} context
+   * @param {AudioNode} source
+   * @param {Partial<Envelopes.AdsrOpts>} envelope
+   */
+  constructor(context, source, envelope) {
+    this.context = context;
+    this.source = source;
+    const { gain, pan, filter, dispose } = chain(context, source);
+    this.gain = gain;
+    this.pan = pan;
+    this.filter = filter;
+    this.#disposeChain = dispose;
+    this.envelope = new Envelopes.Adsr(envelope);
+
+    // Silent until a note is played
+    gain.gain.setValueAtTime(0, context.currentTime);
+    if (source instanceof AudioScheduledSourceNode) source.start();
+  }
+
+  /**
+   * Starts a note. If voice is already sounding, envelope
+   * continues from its current level.
+   * @param {number} velocity
+   */
+  noteOn(velocity = 1) {
+    this.velocity = velocity;
+    this.startedAt = performance.now();
+    this.#held = true;
+    this.envelope.trigger(true);
+  }
+
+  /**
+   * Releases note
+   */
+  noteOff() {
+    this.#held = false;
+    this.envelope.release();
+  }
+
+  /**
+   * Returns true if note is on, false if it has been released
+   */
+  get isHeld() {
+    return this.#held;
+  }
+
+  /**
+   * Current level, taking in to account envelope, velocity and volume
+   */
+  get level() {
+    const value = this.envelope.value;
+    // Envelope not triggered or has completed
+    if (Number.isNaN(value)) return 0;
+    return value * this.velocity * this.volume;
+  }
+
+  /**
+   * Returns true if envelope has released
+   */
+  get isDone() {
+    return this.envelope.isDone;
+  }
+
+  /**
+   * Sets gain to current level
+   */
+  update() {
+    this.gain.gain.setTargetAtTime(this.level, this.context.currentTime, 0.01);
+  }
+
+  /**
+   * Stops source and disconnects nodes
+   */
+  dispose() {
+    this.envelope.dispose();
+    if (this.source instanceof AudioScheduledSourceNode) this.source.stop();
+    this.#disposeChain();
+  }
+}
+
+/**
+ * @typedef {`oldest`|`quietest`|`none`} StealPolicy
+ */
+
+/**
+ * @typedef {Readonly<{
+ * context: BaseAudioContext|undefined
+ * create: (context:BaseAudioContext) => AudioNode
+ * capacity: number
+ * steal: StealPolicy
+ * envelope: Partial<Envelopes.AdsrOpts>
+ * idleExpireMs: number
+ * updateRateMs: number
+ * }>} VoicesOptions
+ */
+
+/**
+ * Plays notes using a limited number of voices.
+ *
+ * Notes are identified by a key, eg. the key that was pressed or a pointer id.
+ */
+export class Voices {
+  /** @type VoicesOptions */
+  #options;
+
+  /** @type {BaseAudioContext|undefined} */
+  #context;
+
+  /**
+   * Voices playing or releasing, by key
+   * @type Map<string,Voice>
+   */
+  #active = new Map();
+
+  /** @type {ReturnType<typeof setInterval>|undefined} */
+  #timer;
+
+  /** @type {import('../ixfx/data.js').Pool.Pool<Voice>} */
+  #pool;
+
+  /**
+   * Options:
+   * - context: Audio context to use. By default one is created when the first note is played,
+   *   since browsers only allow audio to start after the user interacts with the page
+   * - create: Makes the source for a voice. Default: sawtooth oscillator
+   * - capacity: Most voices that can sound at once. Default: 8
+   * - steal: Which voice to take when all are in use. `oldest` note, `quietest` voice or
+   *   `none`, ignoring new notes. Default: `oldest`
+   * - envelope: ADSR envelope options. See ixfx's `Envelopes.Adsr`
+   * - idleExpireMs: Voices are disposed after being silent for this long. Default: 5000
+   * - updateRateMs: How often volume is updated from envelopes. Default: 10
+   * @param {Partial<VoicesOptions>} options
+   */
+  constructor(options = {}) {
+    this.#options = {
+      context: undefined,
+      create: oscillator(),
+      capacity: 8,
+      steal: `oldest`,
+      envelope: {},
+      idleExpireMs: 5000,
+      updateRateMs: 10,
+      ...options
+    };
+    this.#context = this.#options.context;
+    this.#pool = Pool.create({
+      capacity: this.#options.capacity,
+      generate: () => new Voice(this.context, this.#options.create(this.context), this.#options.envelope),
+      free: voice => {
+        voice.dispose();
+      },
+      resourcesWithoutUserExpireAfterMs: this.#options.idleExpireMs,
+      fullPolicy: `error`
+    });
+  }
+
+  /**
+   * Audio context, created if needed
+   */
+  get context() {
+    if (this.#context === undefined) this.#context = new AudioContext();
+    return this.#context;
+  }
+
+  /**
+   * Starts playing a note, returning the voice used. If the note is already playing,
+   * its voice is triggered again.
+   *
+   * Returns undefined if all voices are in use and `steal` is `none`.
+   * @param {string} key
+   * @param {number} velocity 0..1
+   * @returns {Voice|undefined}
+   */
+  noteOn(key, velocity = 1) {
+    let voice = this.#active.get(key);
+    if (voice === undefined) {
+      if (this.#active.size >= this.#options.capacity) {
+        const victim = this.#victim();
+        if (victim?.key === undefined) return;
+        this.#free(victim.key, `stolen`);
+      }
+      voice = this.#pool.useValue(key);
+      voice.key = key;
+      this.#active.set(key, voice);
+    }
+    voice.noteOn(velocity);
+    this.#startUpdating();
+    return voice;
+  }
+
+  /**
+   * Releases a note. It continues to sound until its envelope has finished.
+   * @param {string} key
+   */
+  noteOff(key) {
+    this.#active.get(key)?.noteOff();
+  }
+
+  /**
+   * Releases all notes
+   */
+  allOff() {
+    for (const voice of this.#active.values()) voice.noteOff();
+  }
+
+  /**
+   * Gets the voice playing a note
+   * @param {string} key
+   */
+  get(key) {
+    return this.#active.get(key);
+  }
+
+  /**
+   * Voices that are playing or releasing
+   */
+  values() {
+    return this.#active.values();
+  }
+
+  /**
+   * Stops all voices and disconnects their nodes
+   */
+  dispose() {
+    this.#stopUpdating();
+    for (const key of this.#active.keys()) this.#free(key, `disposed`);
+    for (const resource of this.#pool.resources()) resource.dispose(`disposed`);
+  }
+
+  /**
+   * Picks a voice to steal
+   * @returns {Voice|undefined}
+   */
+  #victim() {
+    const voices = [ ...this.#active.values() ];
+    switch (this.#options.steal) {
+      case `oldest`: {
+        return voices.sort((a, b) => a.startedAt - b.startedAt)[0];
+      }
+      case `quietest`: {
+        return voices.sort((a, b) => a.level - b.level)[0];
+      }
+      default: {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Frees a voice to be used for another note
+   * @param {string} key
+   * @param {string} reason
+   */
+  #free(key, reason) {
+    const voice = this.#active.get(key);
+    if (voice !== undefined) voice.key = undefined;
+    this.#active.delete(key);
+    this.#pool.release(key, reason);
+  }
+
+  #startUpdating() {
+    if (this.#timer !== undefined) return;
+    this.#timer = setInterval(() => {
+      this.#update();
+    }, this.#options.updateRateMs);
+  }
+
+  #stopUpdating() {
+    if (this.#timer === undefined) return;
+    clearInterval(this.#timer);
+    this.#timer = undefined;
+  }
+
+  /**
+   * Applies envelopes, freeing voices once they have released
+   */
+  #update() {
+    for (const [ key, voice ] of this.#active) {
+      voice.update();
+      if (voice.isDone) this.#free(key, `released`);
+    }
+    // Nothing sounding, no need to keep updating
+    if (this.#active.size === 0) this.#stopUpdating();
+  }
+}
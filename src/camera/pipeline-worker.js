@@ -0,0 +1,72 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Worker for pipeline.js. Runs its share of the pipeline's stages.
+ *
+ * Messages it receives:
+ * - `{ stages }`: Stage specs to run, in order
+ * - `{ configure }`: Stage spec that replaces the stage with the same name
+ * - `{ id, bitmap }`: Frame captured by the pipeline, drawn to an OffscreenCanvas to get its pixels
+ * - `{ id, frame }`: Frame from the worker before this one
+ *
+ * For each frame it sends back `{ id, frame, timings }`, or `{ id, error }`.
+ */
+import * as Stages from './stages.js';
+
+/** @type Array<{name:string, stage:Stages.Stage}> */
+let stages = [];
+
+/** @type OffscreenCanvas|undefined */
+let canvas;
+
+/**
+ * Gets pixels of a captured frame
+ * @param {ImageBitmap} bitmap
+ */
+const capture = (bitmap) => {
+  const { width, height } = bitmap;
+  if (canvas === undefined) canvas = new OffscreenCanvas(width, height);
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+  const context = /** @type OffscreenCanvasRenderingContext2D */(canvas.getContext(`2d`, { willReadFrequently: true }));
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return Stages.fromRgba(context.getImageData(0, 0, width, height).data, width, height);
+};
+
+self.addEventListener(`message`, event => {
+  const { data } = event;
+
+  if (data.stages) {
+    stages = data.stages.map((/** @type Stages.StageSpec */ s) => ({ name: Stages.stageName(s), stage: Stages.create(s) }));
+    return;
+  }
+
+  if (data.configure) {
+    const name = Stages.stageName(data.configure);
+    const index = stages.findIndex(s => s.name === name);
+    if (index !== -1) stages[index] = { name, stage: Stages.create(data.configure) };
+    return;
+  }
+
+  try {
+    /** @type Record<string,number> */
+    let timings = {};
+    let frame;
+    if (data.bitmap) {
+      const start = performance.now();
+      frame = capture(data.bitmap);
+      timings.decode = performance.now() - start;
+    } else {
+      frame = data.frame;
+    }
+    const result = Stages.run(frame, stages);
+    timings = { ...timings, ...result.timings };
+    self.postMessage({ id: data.id, frame: result.frame, timings }, { transfer: Stages.transferables(result.frame) });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error instanceof Error ? error.message : String(error) });
+  }
+});
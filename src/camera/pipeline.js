@@ -0,0 +1,411 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Processes camera frames through a series of stages, such as
+ * grayscale, blur, diff and threshold. See stages.js for the stages available.
+ *
+ * ```js
+ * const pipeline = new Pipeline([
+ *  { type: `grayscale` },
+ *  { type: `diff` },
+ *  { type: `threshold`, value: 30 }
+ * ], { workers: 1 });
+ *
+ * await pipeline.start(videoEl, result => {
+ *  console.log(result.frame.results.differences);
+ * });
+ * ```
+ *
+ * With `workers: 0`, stages run in the main thread. Otherwise stages are split
+ * between that many workers, in order. With two workers, the first might convert
+ * to grayscale and blur while the second does diff and threshold on the frame before.
+ * Stages keep their state in the worker they run in.
+ *
+ * Frames are captured using OffscreenCanvas. Each stage is timed, and the average times
+ * are available from `pipeline.timings`.
+ */
+import * as Stages from './stages.js';
+
+/**
+ * @typedef {Readonly<{
+ * workers: number
+ * workerUrl: string|URL
+ * scale: number
+ * }>} PipelineOptions
+ */
+
+/**
+ * @typedef {{
+ * frame: Stages.Frame
+ * timings: Record<string,number>
+ * }} PipelineResult
+ */
+
+/**
+ * How much each new timing counts towards the average
+ */
+const timingWeight = 0.1;
+
+export class Pipeline {
+  /** @type PipelineOptions */
+  #options;
+
+  /** @type Stages.StageSpec[] */
+  #specs;
+
+  /**
+   * Which worker runs each stage
+   * @type number[]
+   */
+  #assigned;
+
+  /** @type Worker[] */
+  #workers = [];
+
+  /**
+   * Stages when running in the main thread
+   * @type Array<{name:string, stage:Stages.Stage}>
+   */
+  #local = [];
+
+  /** @type OffscreenCanvas|undefined */
+  #canvas;
+
+  /**
+   * Frames being processed by workers, keyed by id
+   * @type Map<number,{resolve:(result:PipelineResult) => void, reject:(error:Error) => void, timings:Record<string,number>, started:number}>
+   */
+  #pending = new Map();
+
+  #nextId = 0;
+  #running = false;
+
+  /** @type Map<string,number> */
+  #timings = new Map();
+
+  /**
+   * Options:
+   * - workers: Number of workers to split stages between, or 0 to run in the main thread. Default: 1
+   * - workerUrl: Where the worker script is. Default: pipeline-worker.js next to this file
+   * - scale: Frames are resized by this when captured, eg. 0.5 for half size. Default: 1
+   * @param {Stages.StageSpec[]} specs Stages, in order
+   * @param {Partial<PipelineOptions>} options
+   */
+  constructor(specs, options = {}) {
+    this.#options = {
+      workers: 1,
+      workerUrl: new URL(`pipeline-worker.js`, import.meta.url),
+      scale: 1,
+      ...options
+    };
+    this.#specs = specs.map(s => ({ ...s }));
+
+    const names = this.#specs.map(s => Stages.stageName(s));
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`More than one stage is named '${duplicate}'. Give each a unique 'name'`);
+
+    // Split stages evenly between workers, keeping them in order
+    const count = Math.min(this.#options.workers, this.#specs.length);
+    this.#assigned = this.#specs.map((_, index) => Math.floor(index * count / this.#specs.length));
+
+    if (count === 0) {
+      this.#local = this.#specs.map(s => ({ name: Stages.stageName(s), stage: Stages.create(s) }));
+      return;
+    }
+    for (let index = 0; index < count; index++) {
+      const worker = new Worker(this.#options.workerUrl, { type: `module` });
+      worker.addEventListener(`message`, event => {
+        this.#onWorkerMessage(index, event.data);
+      });
+      worker.postMessage({ stages: this.#specs.filter((_, s) => this.#assigned[s] === index) });
+      this.#workers.push(worker);
+    }
+  }
+
+  /**
+   * Processes a single frame.
+   *
+   * `source` can also be a frame, eg. from a source in sources.js. It isn't resized by
+   * the `scale` option, and if workers are used, its pixels are transferred to them so can't be used again.
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas|Stages.Frame} source
+   * @returns {Promise<PipelineResult>}
+   */
+  async process(source) {
+    const started = performance.now();
+    if (`channels` in source) return this.#processFrame(source, started);
+    const { width, height } = this.#sizeOf(source);
+
+    if (this.#workers.length === 0) {
+      const canvas = this.#getCanvas(width, height);
+      const context = /** @type OffscreenCanvasRenderingContext2D */(canvas.getContext(`2d`, { willReadFrequently: true }));
+      context.drawImage(source, 0, 0, width, height);
+      const image = context.getImageData(0, 0, width, height);
+      const capture = performance.now() - started;
+      const { frame, timings } = Stages.run(Stages.fromRgba(image.data, width, height), this.#local);
+      return this.#completed(frame, { capture, ...timings }, started);
+    }
+
+    // Workers draw the bitmap to their own OffscreenCanvas
+    const bitmap = await createImageBitmap(source, { resizeWidth: width, resizeHeight: height });
+    const id = this.#nextId++;
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject, timings: { capture: performance.now() - started }, started });
+      this.#workers[0].postMessage({ id, bitmap }, [ bitmap ]);
+    });
+  }
+
+  /**
+   * Processes frames from `source` until `stop()` is called, at most once per
+   * animation frame. With workers, several frames can be processed at once, one in each worker.
+   * Results are passed to `onFrame` in the order frames were captured.
+   *
+   * `source` can also be a frame source from sources.js, in which case it stops
+   * once the source has no more frames.
+   *
+   * Returns a promise that resolves when stopped, or rejects if there is an error.
+   * @param {HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas|import('./sources.js').FrameSource} source
+   * @param {(result:PipelineResult) => void} onFrame
+   * @returns {Promise<void>}
+   */
+  start(source, onFrame) {
+    if (this.#running) throw new Error(`Pipeline is already running`);
+    this.#running = true;
+    const maxInFlight = Math.max(1, this.#workers.length);
+    let inFlight = 0;
+    let ended = false;
+
+    /**
+     * Gets the next frame from a frame source, or the video or canvas
+     * @returns {Promise<PipelineResult|undefined>}
+     */
+    const next = async () => {
+      if (!(`next` in source)) return this.process(source);
+      const frame = await source.next();
+      if (frame === undefined) {
+        ended = true;
+        return;
+      }
+      return this.process(frame);
+    };
+
+    // Without a browser, eg. in Node.js, there are no animation frames
+    const schedule = typeof requestAnimationFrame === `function` ?
+      requestAnimationFrame :
+      (/** @type {() => void} */ callback) => setTimeout(callback, 0);
+
+    return new Promise((resolve, reject) => {
+      const loop = () => {
+        if (ended && inFlight === 0) this.#running = false;
+        if (!this.#running) {
+          resolve();
+          return;
+        }
+        if (inFlight < maxInFlight && !ended) {
+          inFlight++;
+          next().then(result => {
+            inFlight--;
+            if (this.#running && result) onFrame(result);
+          }).catch(error => {
+            this.#running = false;
+            reject(error);
+          });
+        }
+        schedule(loop);
+      };
+      loop();
+    });
+  }
+
+  /**
+   * Stops processing frames from `start()`
+   */
+  stop() {
+    this.#running = false;
+  }
+
+  /**
+   * Changes options of a stage, while running. Stages are named by their
+   * `name`, or if not set, their `type`.
+   *
+   * The stage starts again, so stages that keep state, such as `diff`, will forget
+   * previous frames. Set `enabled` to turn a stage on or off.
+   *
+   * ```js
+   * pipeline.configure(`threshold`, { value: 50 });
+   * pipeline.configure(`flow`, { enabled: false });
+   * ```
+   * @param {string} name
+   * @param {Record<string,any>} options
+   */
+  configure(name, options) {
+    const index = this.#specs.findIndex(s => Stages.stageName(s) === name);
+    if (index === -1) throw new Error(`No stage named '${name}'`);
+    const spec = { ...this.#specs[index], ...options, type: this.#specs[index].type };
+    this.#specs[index] = spec;
+
+    if (this.#workers.length === 0) {
+      this.#local[index] = { name, stage: Stages.create(spec) };
+    } else {
+      this.#workers[this.#assigned[index]].postMessage({ configure: spec });
+    }
+  }
+
+  /**
+   * Average time taken in milliseconds, keyed by stage name.
+   * Also includes:
+   * - capture: Getting the frame from the source
+   * - total: From capture until the result is ready, including time waiting for workers
+   * @returns {Record<string,number>}
+   */
+  get timings() {
+    return Object.fromEntries(this.#timings.entries());
+  }
+
+  /**
+   * Stops processing and closes workers
+   */
+  dispose() {
+    this.stop();
+    for (const w of this.#workers) w.terminate();
+    this.#workers = [];
+    for (const p of this.#pending.values()) p.reject(new Error(`Pipeline disposed`));
+    this.#pending.clear();
+  }
+
+  /**
+   * Processes a frame that has already been captured
+   * @param {Stages.Frame} frame
+   * @param {number} started
+   * @returns {Promise<PipelineResult>}
+   */
+  async #processFrame(frame, started) {
+    if (this.#workers.length === 0) {
+      const { frame: processed, timings } = Stages.run(frame, this.#local);
+      return this.#completed(processed, timings, started);
+    }
+    const id = this.#nextId++;
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject, timings: {}, started });
+      this.#workers[0].postMessage({ id, frame }, Stages.transferables(frame));
+    });
+  }
+
+  /**
+   * Handles a frame processed by a worker
+   * @param {number} index Worker index
+   * @param {any} data
+   */
+  #onWorkerMessage(index, data) {
+    const pending = this.#pending.get(data.id);
+    if (pending === undefined) return;
+    if (data.error) {
+      this.#pending.delete(data.id);
+      pending.reject(new Error(data.error));
+      return;
+    }
+    Object.assign(pending.timings, data.timings);
+
+    // Pass on to the next worker
+    if (index < this.#workers.length - 1) {
+      this.#workers[index + 1].postMessage({ id: data.id, frame: data.frame }, Stages.transferables(data.frame));
+      return;
+    }
+    this.#pending.delete(data.id);
+    pending.resolve(this.#completed(data.frame, pending.timings, pending.started));
+  }
+
+  /**
+   * Adds timings to the averages
+   * @param {Stages.Frame} frame
+   * @param {Record<string,number>} timings
+   * @param {number} started
+   * @returns {PipelineResult}
+   */
+  #completed(frame, timings, started) {
+    timings.total = performance.now() - started;
+    for (const [ name, ms ] of Object.entries(timings)) {
+      const average = this.#timings.get(name);
+      this.#timings.set(name, average === undefined ? ms : average + (ms - average) * timingWeight);
+    }
+    return { frame, timings };
+  }
+
+  /**
+   * Size frames are captured at
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas} source
+   */
+  #sizeOf(source) {
+    const { scale } = this.#options;
+    const width = `videoWidth` in source ? source.videoWidth : source.width;
+    const height = `videoHeight` in source ? source.videoHeight : source.height;
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+
+  /**
+   * Returns a canvas for capturing frames, resizing if needed
+   * @param {number} width
+   * @param {number} height
+   */
+  #getCanvas(width, height) {
+    if (this.#canvas === undefined) this.#canvas = new OffscreenCanvas(width, height);
+    if (this.#canvas.width !== width) this.#canvas.width = width;
+    if (this.#canvas.height !== height) this.#canvas.height = height;
+    return this.#canvas;
+  }
+}
+
+/**
+ * Converts a frame to ImageData so it can be drawn.
+ * Single-channel frames are drawn as grayscale. With `colour`, they are
+ * drawn as a mask instead: that colour where pixels are set, and transparent elsewhere.
+ * @param {Stages.Frame|{width:number, height:number, channels:number, data:ArrayLike<number>}} frame
+ * @param {{r:number, g:number, b:number, a?:number}} [colour]
+ * @returns {ImageData}
+ */
+export const toImageData = (frame, colour) => {
+  const { width, height, channels, data } = frame;
+  const image = new ImageData(width, height);
+  const out = image.data;
+  if (channels === 4) {
+    out.set(data);
+    return image;
+  }
+  for (let index = 0; index < width * height; index++) {
+    const p = index * 4;
+    const v = data[index];
+    if (colour === undefined) {
+      out[p] = v;
+      out[p + 1] = v;
+      out[p + 2] = v;
+      out[p + 3] = 255;
+    } else if (v > 0) {
+      out[p] = colour.r;
+      out[p + 1] = colour.g;
+      out[p + 2] = colour.b;
+      out[p + 3] = colour.a ?? 255;
+    }
+  }
+  return image;
+};
+
+/**
+ * Converts a position in pixels of a processed frame to a relative (0..1) position
+ * in the captured frame. Useful when stages have cropped or downscaled the frame.
+ * @param {Stages.Frame} frame
+ * @param {{x:number, y:number}} pt
+ */
+export const toRelative = (frame, pt) => ({
+  x: frame.region.x + pt.x / frame.width * frame.region.width,
+  y: frame.region.y + pt.y / frame.height * frame.region.height
+});
+
+/**
+ * Formats timings as text, eg. `grayscale: 1.2ms, diff: 3.4ms`
+ * @param {Record<string,number>} timings
+ */
+export const formatTimings = (timings) => Object.entries(timings)
+  .map(([ name, ms ]) => `${name}: ${ms.toFixed(1)}ms`)
+  .join(`, `);
@@ -1,19 +1,41 @@
 /**
- * pixels-overlay: draws on top of a camera feed
- * 
+ * pixels-overlay: draws on top of a camera feed, tracking colours
+ * and activity in zones
+ *
  * Please see README.md in parent folder.
  */
 import { Camera } from '../../ixfx/io.js';
-import { Video } from '../../ixfx/visual.js';
 import * as Trackers from '../../ixfx/trackers.js';
 import { defaultErrorHandler } from '../../ixfx/dom.js';
+import { Pipeline, toImageData, toRelative, formatTimings } from '../pipeline.js';
+import { Zones, rect, pickColour } from '../tracking.js';
+
+const zones = new Zones({ enterThreshold: 0.05, leaveThreshold: 0.02 });
+// Zones, relative to the video (0..1)
+zones.add(`top-left`, rect(0, 0, 0.3, 0.3));
+zones.add(`bottom-right`, [ { x: 1, y: 0.6 }, { x: 1, y: 1 }, { x: 0.6, y: 1 } ]);
 
 /**
  * Define settings
  */
 const settings = Object.freeze({
-  // Difference in grayscale value to count as a changed pixel
-  threshold: 30,
+  // Stages each frame goes through. Runs in the main thread (workers: 0)
+  pipeline: new Pipeline([
+    // Colours to track are added by clicking on the video
+    { type: `colours`, colours: [] },
+    { type: `grayscale` },
+    // Compare to previous frame
+    { type: `diff` },
+    // Difference in grayscale value to count as a changed pixel
+    { type: `threshold`, value: 30 },
+    // How much motion there is in each zone
+    { type: `zones`, zones: zones.list }
+  ], { workers: 0 }),
+  zones,
+  // How close a colour has to be to one that was picked
+  colourRange: { hueRange: 15, satRange: 0.3, lightRange: 0.3 },
+  // Colour of changed pixels
+  colour: { r: 255, g: 0, b: 255 },
   // If true, the differencing is shown. If false, just the
   // difference calculation is shown
   visualise: true,
@@ -27,6 +49,10 @@ const settings = Object.freeze({
   lblFps: document.querySelector(`#lblFps`),
   /** @type {HTMLElement|null} */
   lblDifferences: document.querySelector(`#lblDifferences`),
+  /** @type {HTMLElement|null} */
+  lblTimings: document.querySelector(`#lblTimings`),
+  /** @type {HTMLElement|null} */
+  logEl: document.querySelector(`#log`),
   lblError: document.querySelector(`#error`),
   lblErrorMsg: document.querySelector(`#errorMsg`)
 });
@@ -37,75 +63,42 @@ const settings = Object.freeze({
 let state = Object.freeze({
   /** @type {number} */
   fps: 0,
-  lastFrame: new Uint8ClampedArray(),
   /** @type {number} */
-  differences: 0
+  differences: 0,
+  timings: ``,
+  /** @type {import('../stages.js').ColourRange[]} */
+  colours: [],
+  /** @type {string[]} */
+  log: []
 });
 
 /**
  * Uses calculated state to update labels
  */
 const use = () => {
-  const { fps, differences } = state;
-  const { lblFps, lblDifferences } = settings;
+  const { fps, differences, timings, log } = state;
+  const { lblFps, lblDifferences, lblTimings, logEl } = settings;
 
   if (lblFps) lblFps.textContent = `FPS: ${fps}`;
   if (lblDifferences)
     lblDifferences.textContent = `Differences: ${Math.round(differences * 100)}%`;
+  if (lblTimings) lblTimings.textContent = timings;
+  logEl?.replaceChildren(...log.map(line => {
+    const li = document.createElement(`li`);
+    li.textContent = line;
+    return li;
+  }));
 };
 
 /**
- * In this simple frame processor, the current frame is compared
- * to the last frame. Pixels are compared to get the amount of change
- * frame-on-frame.
- * 
- * @param {ImageData} frame 
- * @param {CanvasRenderingContext2D} context
+ * Called with each processed frame
+ * @param {import('../pipeline.js').PipelineResult} result
  */
-const update = (frame, context) => {
-  const { data } = frame;
-  const { lastFrame } = state;
-  const { threshold, frameIntervalTracker, visualise } = settings;
-  let differences = 0;
-
-  if (lastFrame.length === 0) {
-    // No previous frame
-  } else {
-    // Compare to previous frame
+const update = (result) => {
+  const { frameIntervalTracker, pipeline, zones } = settings;
 
-    // Count of pixels which are deemed different
-    differences = 0;
-
-    const w = frame.width;
-    const h = frame.height;
-    context.fillStyle = `magenta`;
-
-    // Loop left to right of frame
-    for (let x = 0; x < w; x++) {
-      // ...and top-to-bottom
-      for (let y = 0; y < h; y++) {
-        const indexes = rgbaIndexes(w, x, y);
-        const pixel = rgbaValues(data, indexes);
-        const pixelGray = grayscale(pixel);
-
-        // Get the grayscale value of the same pixel in last frame
-        const lastFramePixelGray = grayscale(rgbaValues(lastFrame, indexes));
-
-        // Calculate absolute difference (ignore if it is above/below)
-        const diff = Math.abs(pixelGray - lastFramePixelGray);
-
-        // If the difference meets our threshold, count it
-        if (diff > threshold) {
-          differences++;
-          // ...and if we should, colour that pixel
-          if (visualise) context.fillRect(x, y, 1, 1);
-        }
-      }
-    }
-
-    // Get a proportional difference, dividing by total number of pixels
-    differences /= (w * h);
-  }
+  // Zones fire events if something has entered or left
+  zones.update(result.frame);
 
   // Keep track of how long it takes us to process frames
   frameIntervalTracker.mark();
@@ -113,49 +106,117 @@ const update = (frame, context) => {
   // Update state with latest calculations
   saveState({
     fps: Math.round(1000 / frameIntervalTracker.avg),
-    lastFrame: data,
-    differences
+    differences: result.frame.results.differences,
+    timings: formatTimings(pipeline.timings)
   });
 };
 
 /**
- * Get array indexes for pixel at x,y. This is four indexes,
- * for R, G, B and A.
- * @param {number} width Width of frame
- * @param {number} x X position
- * @param {number} y Y position
- * @returns number[]
+ * Draws the video frame, with changed pixels on top
+ * @param {HTMLVideoElement} videoEl
+ * @param {CanvasRenderingContext2D} context
+ * @param {OffscreenCanvas} maskCanvas
+ * @param {import('../pipeline.js').PipelineResult} result
  */
-const rgbaIndexes = (width, x, y) => {
-  const p = y * (width * 4) + x * 4;
-  return [p, p + 1, p + 2, p + 3];
+const draw = (videoEl, context, maskCanvas, result) => {
+  const { colour } = settings;
+  context.drawImage(videoEl, 0, 0);
+
+  // putImageData replaces pixels rather than drawing on top,
+  // so the mask goes via another canvas
+  maskCanvas.getContext(`2d`)?.putImageData(toImageData(result.frame, colour), 0, 0);
+  context.drawImage(maskCanvas, 0, 0);
+
+  drawZones(context);
+  drawColours(context, result.frame);
 };
 
 /**
- * Get the pixel values for a set of indexes.
- * @param {Uint8ClampedArray} frame 
- * @param {number[]} indexes 
- * @returns number[]
+ * Draws zones, filled more the more activity there is in them
+ * @param {CanvasRenderingContext2D} context
  */
-const rgbaValues = (frame, indexes) => [
-  frame[indexes[0]],
-  frame[indexes[1]],
-  frame[indexes[2]],
-  frame[indexes[3]]
-];
+const drawZones = (context) => {
+  const { zones } = settings;
+  const { width, height } = context.canvas;
+  context.font = `14px sans-serif`;
+  for (const { name, polygon } of zones.list) {
+    context.beginPath();
+    for (const pt of polygon) context.lineTo(pt.x * width, pt.y * height);
+    context.closePath();
+    context.fillStyle = `hsla(60, 100%, 50%, ${Math.min(1, zones.activity(name) * 2)})`;
+    context.fill();
+    context.strokeStyle = zones.inside(name).length > 0 ? `yellow` : `white`;
+    context.lineWidth = 2;
+    context.stroke();
+    context.fillStyle = `white`;
+    context.fillText(name, polygon[0].x * width + 5, polygon[0].y * height + 15);
+  }
+};
 
 /**
- * Calculates grayscale value of a pixel (ignoring alpha)
- * @param {number[]} values 
- * @returns number
+ * Draws a marker where each tracked colour is
+ * @param {CanvasRenderingContext2D} context
+ * @param {import('../stages.js').Frame} frame
  */
-const grayscale = (values) => (values[0] + values[1] + values[2]) / 3;
+const drawColours = (context, frame) => {
+  const { colours } = state;
+  const { width, height } = context.canvas;
+  for (const c of colours) {
+    const found = frame.results.colours?.[c.name];
+    if (found === undefined) continue;
+    const pt = toRelative(frame, found);
+    context.beginPath();
+    context.arc(pt.x * width, pt.y * height, 10 + Math.sqrt(found.area) * 100, 0, Math.PI * 2);
+    context.fillStyle = `hsl(${c.h}, ${c.s * 100}%, ${c.l * 100}%)`;
+    context.fill();
+    context.strokeStyle = `white`;
+    context.stroke();
+    context.fillStyle = `white`;
+    context.fillText(c.name, pt.x * width + 14, pt.y * height);
+  }
+};
+
+/**
+ * Adds a line to the log
+ * @param {string} line
+ */
+const log = (line) => {
+  saveState({ log: [ line, ...state.log ].slice(0, 10) });
+  use();
+};
+
+/**
+ * Tracks the colour that was clicked on
+ * @param {MouseEvent} event
+ * @param {HTMLVideoElement} videoEl
+ */
+const onVideoClick = (event, videoEl) => {
+  const { canvasEl, pipeline, colourRange } = settings;
+  if (!canvasEl) return;
+
+  // Canvas may be shown at a different size to its pixels
+  const bounds = canvasEl.getBoundingClientRect();
+  const x = (event.clientX - bounds.left) / bounds.width * canvasEl.width;
+  const y = (event.clientY - bounds.top) / bounds.height * canvasEl.height;
+
+  // Pick from the video rather than the canvas, which has been drawn on
+  const frameCanvas = new OffscreenCanvas(videoEl.videoWidth, videoEl.videoHeight);
+  const frameContext = frameCanvas.getContext(`2d`);
+  if (!frameContext) return;
+  frameContext.drawImage(videoEl, 0, 0);
+  const hsl = pickColour(frameContext, x, y);
+
+  const colours = [ ...state.colours, { name: `colour ${state.colours.length + 1}`, ...hsl, ...colourRange } ];
+  saveState({ colours });
+  pipeline.configure(`colours`, { colours });
+  log(`Tracking colour ${colours.length}: hsl(${Math.round(hsl.h)}, ${Math.round(hsl.s * 100)}%, ${Math.round(hsl.l * 100)}%)`);
+};
 
 /**
  * Starts video stream
  */
 const startVideo = async () => {
-  const { canvasEl, visualise } = settings;
+  const { canvasEl, visualise, pipeline } = settings;
 
   // Init camera
   const { videoEl, dispose } = await Camera.start(
@@ -170,21 +231,24 @@ const startVideo = async () => {
 
   canvasEl.width = videoEl.videoWidth;
   canvasEl.height = videoEl.videoHeight;
+  const maskCanvas = new OffscreenCanvas(videoEl.videoWidth, videoEl.videoHeight);
+  canvasEl.addEventListener(`click`, event => {
+    onVideoClick(event, videoEl);
+  });
 
   // Hide canvas if visualise is turned off
   if (!visualise) canvasEl.style.display = `none`;
 
   try {
-    // Video.frames generator loops forever, 
-    // returning ImageData from video stream
-    const frames = Video.frames(videoEl, { canvasEl });
-    for await (const frame of frames) {
+    // Runs until stopped, processing frames from the video
+    await pipeline.start(videoEl, result => {
       // Update calculations
-      update(frame, context);
+      update(result);
+      if (visualise) draw(videoEl, context, maskCanvas, result);
 
       // Update labels
       use();
-    }
+    });
   } catch (error) {
     console.error(error);
 
@@ -194,9 +258,26 @@ const startVideo = async () => {
 };
 
 function setup() {
+  const { zones, pipeline } = settings;
+
   // Show unexpected errors on the page to help debugger;
   defaultErrorHandler();
 
+  // Log when motion or colours enter and leave zones
+  zones.events.addEventListener(`enter`, event => {
+    const { zone, source } = /** @type {CustomEvent} */(event).detail;
+    log(`${source} entered ${zone}`);
+  });
+  zones.events.addEventListener(`leave`, event => {
+    const { zone, source } = /** @type {CustomEvent} */(event).detail;
+    log(`${source} left ${zone}`);
+  });
+
+  document.querySelector(`#btnClearColours`)?.addEventListener(`click`, () => {
+    saveState({ colours: [] });
+    pipeline.configure(`colours`, { colours: [] });
+  });
+
   // Attempt to start video stream when button is pressed
   document.querySelector(`#btnStart`)?.addEventListener(`click`, async () => {
     await startVideo();
@@ -207,11 +288,11 @@ setup();
 
 /**
  * Save state
- * @param {Partial<state>} s 
+ * @param {Partial<state>} s
  */
 function saveState(s) {
   state = Object.freeze({
     ...state,
     ...s
   });
-}
\ No newline at end of file
+}
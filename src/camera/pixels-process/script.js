@@ -1,18 +1,26 @@
 /**
- * pixels-process: pixel-level manipulation of frames from a camera, 
+ * pixels-process: pixel-level manipulation of frames from a camera,
  * drawing them to a canvas
- * 
+ *
  * Please see README.md in parent folder.
  */
 import { Camera } from '../../ixfx/io.js';
-import { Video } from '../../ixfx/visual.js';
 import * as Trackers from '../../ixfx/trackers.js';
 import { defaultErrorHandler } from '../../ixfx/dom.js';
+import { Pipeline, formatTimings } from '../pipeline.js';
 
 const settings = Object.freeze({
-  // Difference in grayscale value to count as a changed pixel
-  threshold: 30,
-  // If true, the differencing is shown. If false, 
+  // Stages each frame goes through. Runs in the main thread (workers: 0)
+  pipeline: new Pipeline([
+    // Keep the colour frame, so we can draw it
+    { type: `snapshot`, as: `colour` },
+    { type: `grayscale` },
+    // Compare to previous frame
+    { type: `diff` },
+    // Difference in grayscale value to count as a changed pixel
+    { type: `threshold`, value: 30 }
+  ], { workers: 0 }),
+  // If true, the differencing is shown. If false,
   // just the difference calculation is shown
   visualise: true,
   frameIntervalTracker: Trackers.interval({ id: `fps`, resetAfterSamples: 100 }),
@@ -22,102 +30,75 @@ const settings = Object.freeze({
   /** @type {HTMLElement|null} */
   lblFps: document.querySelector(`#lblFps`),
   /** @type {HTMLElement|null} */
-  lblDifferences: document.querySelector(`#lblDifferences`)
+  lblDifferences: document.querySelector(`#lblDifferences`),
+  /** @type {HTMLElement|null} */
+  lblTimings: document.querySelector(`#lblTimings`)
 });
 
 let state = Object.freeze({
   /** @type {number} */
   fps: 0,
-  lastFrame: new Uint8ClampedArray(), // Empty array
   visFrame: new ImageData(1, 1), // Dummy image data
   /** @type {number} */
-  differences: 0
+  differences: 0,
+  timings: ``
 });
 
 /**
  * Update labels based on state
  */
 const use = () => {
-  const { fps, differences, visFrame } = state;
-  const { visualise, lblFps, lblDifferences, canvasEl } = settings;
+  const { fps, differences, visFrame, timings } = state;
+  const { visualise, lblFps, lblDifferences, lblTimings, canvasEl } = settings;
 
   if (lblFps) lblFps.textContent = `FPS: ${fps}`;
   if (lblDifferences)
     lblDifferences.textContent = `Differences: ${Math.round(differences * 100)}%`;
+  if (lblTimings) lblTimings.textContent = timings;
 
   // Get drawing context if possible
   const context = canvasEl?.getContext(`2d`);
   if (canvasEl === null || !context) return;
 
-  // Write pixels to canvas. Pixels that were different are unchanged, 
-  // so they come through in original colour but pixels deemed same 
+  // Write pixels to canvas. Pixels that were different are unchanged,
+  // so they come through in original colour but pixels deemed same
   // as last frame were changed to grayscale and translucent
   if (visualise) context.putImageData(visFrame, 0, 0);
 
 };
 
 /**
- * In this simple frame processor, the current frame is compared
- * to the last frame. Pixels are compared to get the amount of change
- * frame-on-frame.
- * 
- * @param {ImageData} frame 
+ * Called with each processed frame. The pipeline has worked out which
+ * pixels have changed, and here we use that to manipulate the colour frame.
+ *
+ * @param {import('../pipeline.js').PipelineResult} result
  */
-const update = (frame) => {
-  const { data } = frame;
-  const { lastFrame } = state;
-  const { threshold, frameIntervalTracker, visualise } = settings;
-
-  // Counter for how many pixels have changed
-  let differences = 0;
-
-  // Copy frame data
-  const frameDataCopy = new Uint8ClampedArray(frame.data);
-
-  if (lastFrame.length === 0) {
-    // No previous frame
-  } else {
-    // Compare to previous frame
-    differences = 0;
-    const w = frame.width;
-    const h = frame.height;
-
-    // Proceed left-to-right
-    for (let x = 0; x < w; x++) {
-      // ...top-to-bottom
-      for (let y = 0; y < h; y++) {
-        // Get array indexes of pixel
-        const indexes = rgbaIndexes(w, x, y);
-
-        // Get RGBA values and then compute grayscale value
-        const pixel = rgbaValues(data, indexes);
-        const pixelGray = grayscale(pixel);
-
-        // Get the grayscale value of the same pixel in last frame
-        const lastFramePixelGray = grayscale(rgbaValues(lastFrame, indexes));
-
-        // Calculate absolute difference (don't care if it's higher or lower)
-        const diff = Math.abs(pixelGray - lastFramePixelGray);
-
-        // If difference is greater than the threshold, count it
-        if (diff > threshold) {
-          differences++;
-        } else {
-          if (visualise) {
-            // Pixel is the same as before, set it to
-            // a translucent grayscale
-            data[indexes[0]] = pixelGray; // R
-            data[indexes[1]] = pixelGray; // G
-            data[indexes[2]] = pixelGray; // B
-            data[indexes[3]] = 10;        // A
-          }
-        }
-      }
+const update = (result) => {
+  const { frame } = result;
+  const { frameIntervalTracker, visualise, pipeline } = settings;
+  const { width, height } = frame;
+
+  // Mask of changed pixels: 255 if changed, 0 if not
+  const mask = frame.data;
+
+  // Colour frame from before it was converted to grayscale
+  const visFrame = new ImageData(width, height);
+  const data = visFrame.data;
+  data.set(frame.snapshots.colour.data);
+
+  if (visualise) {
+    for (let index = 0; index < width * height; index++) {
+      if (mask[index] > 0) continue;
+
+      // Pixel is the same as before, set it to
+      // a translucent grayscale
+      const p = index * 4;
+      const pixelGray = (data[p] + data[p + 1] + data[p + 2]) / 3;
+      data[p] = pixelGray; // R
+      data[p + 1] = pixelGray; // G
+      data[p + 2] = pixelGray; // B
+      data[p + 3] = 10; // A
     }
-
-
-    // Get a proportional difference, dividing by total number of pixels
-    differences /= (w * h);
   }
 
   // Keep track of how long it takes us to process frames
@@ -125,52 +106,14 @@ const update = (frame) => {
 
   saveState({
     fps: Math.round(1000 / frameIntervalTracker.avg),
-    lastFrame: frameDataCopy,
-    differences,
-    visFrame: frame
+    differences: frame.results.differences,
+    visFrame,
+    timings: formatTimings(pipeline.timings)
   });
 };
 
-/**
- * Get array indexes for pixel at x,y. This is four indexes,
- * for R, G, B and A.
- * @param {number} width Width of frame
- * @param {number} x X position
- * @param {number} y Y position
- * @returns number[]
- */
-const rgbaIndexes = (width, x, y) => {
-  const p = y * (width * 4) + x * 4;
-  return [p, p + 1, p + 2, p + 3];
-};
-
-/**
- * Get the pixel values for a set of indexes
- * @param {Uint8ClampedArray} frame 
- * @param {number[]} indexes 
- * @returns number[]
- */
-const rgbaValues = (frame, indexes) => [
-  frame[indexes[0]],
-  frame[indexes[1]],
-  frame[indexes[2]],
-  frame[indexes[3]]
-];
-
-/**
-const rgbaString = (values) => `rgba(${values[0]}, 
-  ${values[1]}, ${values[2]}, ${values[3]})`;
-*/
-
-/**
- * Calculates grayscale value of a pixel (ignoring alpha)
- * @param {number[]} values 
- * @returns number
- */
-const grayscale = (values) => (values[0] + values[1] + values[2]) / 3;
-
 const startVideo = async () => {
-  const { canvasEl, visualise } = settings;
+  const { canvasEl, visualise, pipeline } = settings;
 
   // Init camera
   const { videoEl, dispose } = await Camera.start({
@@ -188,13 +131,12 @@ const startVideo = async () => {
   if (!visualise) canvasEl.style.display = `none`;
 
   try {
-    // Video.frames generator loops forever, 
-    // returning ImageData from video stream
-    for await (const frame of Video.frames(videoEl)) {
+    // Runs until stopped, processing frames from the video
+    await pipeline.start(videoEl, result => {
       // Update calculations
-      update(frame);
+      update(result);
       use();
-    }
+    });
   } catch (error) {
     dispose();
     throw error;
@@ -211,11 +153,11 @@ setup();
 
 /**
  * Save state
- * @param {Partial<state>} s 
+ * @param {Partial<state>} s
  */
 function saveState(s) {
   state = Object.freeze({
     ...state,
     ...s
   });
-}
\ No newline at end of file
+}
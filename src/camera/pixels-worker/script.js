@@ -1,19 +1,42 @@
 /**
- * pixels-worker: process image frames in a separate worker thread.
- * The image processing happens in `worker.js`.
+ * pixels-worker: process image frames in separate worker threads.
+ * The image processing is set up as a pipeline of stages, which
+ * are split between workers. See pipeline.js and stages.js in the parent folder.
  * 
  * Please see README.md in parent folder.
  */
 import { Camera } from '../../ixfx/io.js';
-import { Video } from '../../ixfx/visual.js';
 import * as Trackers from '../../ixfx/trackers.js';
 import { defaultErrorHandler } from '../../ixfx/dom.js';
+import { Pipeline, formatTimings } from '../pipeline.js';
+import { SyntheticSource, randomShapes, openVideo } from '../sources.js';
+
+// Instead of the camera, use ?source=synthetic for moving test shapes,
+// or ?video=file.mp4 for a video file
+const params = (new URL(document.location.toString())).searchParams;
 
 /**
  * Define settings
  */
 const settings = Object.freeze({
-  worker: new Worker(`worker.js`),
+  // Stages each frame goes through, split between two workers.
+  // Some are changed while running, in setup()
+  pipeline: new Pipeline([
+    { type: `grayscale` },
+    // Which way things are moving. Turned on with a checkbox
+    { type: `flow`, enabled: false, blockSize: 16, search: 6, sampleStep: 2 },
+    // Compare to the 'previous' frame or the 'background', a running average of frames.
+    // With 'compensate', changes in brightness of the whole frame are ignored
+    { type: `diff`, against: `previous`, learningRate: 0.02, compensate: false },
+    // Difference in grayscale value to count as a changed pixel. With 'adaptive',
+    // pixels that are usually noisy need to change more
+    { type: `threshold`, value: 30, adaptive: false, noiseMultiplier: 3 },
+    // Find and track regions of motion
+    { type: `blobs`, cellSize: 8, cellThreshold: 0.2, minCells: 4, maxDistance: 80, maxMissedFrames: 5 }
+  ], { workers: 2 }),
+  // Where frames come from: 'camera' or 'synthetic'
+  source: params.get(`source`) ?? `camera`,
+  videoUrl: params.get(`video`),
   diffTracker: Trackers.number({ id: `difference`, resetAfterSamples: 200 }),
   frameIntervalTracker: Trackers.interval({ id: `fps`, resetAfterSamples: 100 }),
   // HTML elements for status
@@ -22,9 +45,36 @@ const settings = Object.freeze({
   /** @type {HTMLElement|null} */
   lblDifferences: document.querySelector(`#lblDifferences`),
   /** @type {HTMLElement|null} */
-  lblDiffVu: document.querySelector(`#lblDiffVu`)
+  lblDiffVu: document.querySelector(`#lblDiffVu`),
+  /** @type {HTMLElement|null} */
+  lblBlobs: document.querySelector(`#lblBlobs`),
+  /** @type {HTMLElement|null} */
+  lblFlow: document.querySelector(`#lblFlow`),
+  /** @type {HTMLElement|null} */
+  lblTimings: document.querySelector(`#lblTimings`),
+  /** @type {HTMLCanvasElement|null} */
+  canvasEl: document.querySelector(`#canvas`),
+  /** @type {HTMLCanvasElement|null} */
+  overlayEl: document.querySelector(`#overlay`)
 });
 
+/**
+ * @typedef {import('../stages.js').Blob} Blob
+ */
+
+/**
+ * Optical flow, from the 'flow' stage.
+ * `vectors` has x,y movement in pixels for each block, row by row.
+ * @typedef {{
+ * cols: number
+ * rows: number
+ * blockSize: number
+ * vectors: Float32Array
+ * average: { x:number, y:number }
+ * moving: number
+ * }} Flow
+ */
+
 /**
  * Define state
  */
@@ -33,44 +83,202 @@ let state = Object.freeze({
   fps: 0,
   /** @type {number} */
   differences: 0,
-  diffVu: ``
+  diffVu: ``,
+  timings: ``,
+  /** @type {Blob[]} */
+  blobs: [],
+  /** @type {Flow|undefined} */
+  flow: undefined,
+  /** 
+   * Recent positions of each blob, keyed by id
+   * @type {Map<number,Array<{x:number,y:number}>>} */
+  trails: new Map()
 });
 
 const use = () => {
-  const { fps, differences, diffVu } = state;
-  const { lblFps, lblDifferences, lblDiffVu } = settings;
+  const { fps, differences, diffVu, blobs, flow, timings } = state;
+  const { lblFps, lblDifferences, lblDiffVu, lblBlobs, lblFlow, lblTimings } = settings;
 
   // Update HTML labels
   if (lblFps) lblFps.textContent = `FPS: ${fps}`;
   if (lblDifferences)
     lblDifferences.textContent = `Differences: ${percentage(differences)}`;
   if (lblDiffVu) lblDiffVu.innerHTML = diffVu;
+  if (lblTimings) lblTimings.textContent = timings;
+  if (lblBlobs) lblBlobs.textContent = blobs.map(b => `${b.id}: ${Math.round(b.area)}px`).join(`, `);
+  if (lblFlow) {
+    lblFlow.textContent = flow ?
+      `Average: ${flow.average.x.toFixed(1)}, ${flow.average.y.toFixed(1)} px/frame. Moving: ${percentage(flow.moving)}` :
+      ``;
+  }
+
+  drawBlobs();
+  drawFlow();
+};
+
+/**
+ * Draws a line for each moving block, showing which way it moved
+ */
+const drawFlow = () => {
+  const { overlayEl } = settings;
+  const { flow } = state;
+  const context = overlayEl?.getContext(`2d`);
+  if (!context || !flow) return;
+
+  const { cols, rows, blockSize, vectors, average } = flow;
+  // Lines are exaggerated so they are easier to see
+  const scale = 3;
+  context.strokeStyle = `white`;
+  context.lineWidth = 1;
+  context.beginPath();
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const index = (row * cols + col) * 2;
+      const vx = vectors[index];
+      const vy = vectors[index + 1];
+      if (vx === 0 && vy === 0) continue;
+      const x = (col + 0.5) * blockSize;
+      const y = (row + 0.5) * blockSize;
+      context.moveTo(x, y);
+      context.lineTo(x + vx * scale, y + vy * scale);
+    }
+  }
+  context.stroke();
+
+  // Overall direction, from the middle
+  const middle = { x: overlayEl.width / 2, y: overlayEl.height / 2 };
+  context.strokeStyle = `yellow`;
+  context.lineWidth = 4;
+  context.beginPath();
+  context.moveTo(middle.x, middle.y);
+  context.lineTo(middle.x + average.x * scale * 10, middle.y + average.y * scale * 10);
+  context.stroke();
+};
+
+/**
+ * Draws box, id and trail of each blob over the video
+ */
+const drawBlobs = () => {
+  const { overlayEl } = settings;
+  const { blobs, trails } = state;
+  const context = overlayEl?.getContext(`2d`);
+  if (!overlayEl || !context) return;
+
+  context.clearRect(0, 0, overlayEl.width, overlayEl.height);
+  context.font = `14px sans-serif`;
+  for (const b of blobs) {
+    // Each blob gets its own colour, based on its id
+    const colour = `hsl(${(b.id * 47) % 360}, 80%, 60%)`;
+    context.strokeStyle = colour;
+    context.fillStyle = colour;
+    context.lineWidth = 2;
+    context.strokeRect(b.box.x, b.box.y, b.box.width, b.box.height);
+    context.fillText(b.id.toString(), b.box.x + 4, b.box.y + 16);
+
+    // Trail of where centroid has been
+    const trail = trails.get(b.id) ?? [];
+    context.beginPath();
+    for (const pt of trail) context.lineTo(pt.x, pt.y);
+    context.stroke();
+  }
+};
+
+/**
+ * Adds the latest position of each blob to its trail
+ * @param {Blob[]} blobs 
+ */
+const updateTrails = (blobs) => {
+  const trails = new Map();
+  for (const b of blobs) {
+    const trail = [ ...(state.trails.get(b.id) ?? []), { x: b.x, y: b.y } ].slice(-20);
+    trails.set(b.id, trail);
+  }
+  return trails;
+};
+
+/**
+ * Called with each frame processed by the pipeline
+ * @param {import('../pipeline.js').PipelineResult} result
+ */
+const onFrame = (result) => {
+  const { diffTracker, pipeline, frameIntervalTracker } = settings;
+  const { differences, blobs, flow } = result.frame.results;
+
+  // Keep track of how long it takes us to process frames
+  frameIntervalTracker.mark();
+
+  diffTracker.seen(differences);
+  const mma = diffTracker.getMinMaxAvg();
+
+  // Add results of the stages to the state
+  saveState({
+    fps: Math.round(1000 / frameIntervalTracker.avg),
+    differences,
+    blobs,
+    // Flow is only there if the stage is enabled
+    flow,
+    trails: updateTrails(blobs),
+    diffVu: `
+     max: ${percentage(mma.max)}<br />
+     avg: ${percentage(mma.avg)}<br />
+     min: ${percentage(mma.min)}`,
+    timings: formatTimings(pipeline.timings)
+  });
+
+  use();
+};
+
+/**
+ * Sets canvas and overlay to the size of frames
+ * @param {number} width
+ * @param {number} height
+ */
+const setSize = (width, height) => {
+  const { canvasEl, overlayEl } = settings;
+  if (!canvasEl || !overlayEl) return;
+  canvasEl.width = width;
+  canvasEl.height = height;
+  overlayEl.width = width;
+  overlayEl.height = height;
+};
+
+/**
+ * Processes generated test shapes, rather than the camera
+ */
+const startSynthetic = async () => {
+  const { pipeline, canvasEl } = settings;
+  const context = canvasEl?.getContext(`2d`);
+  if (!context) return;
+
+  const source = new SyntheticSource({
+    width: 640,
+    height: 480,
+    shapes: randomShapes({ count: 4, width: 640, height: 480, seed: 1 }),
+    noise: 10
+  });
+  setSize(source.width, source.height);
+  await pipeline.start(source, result => {
+    source.draw(context);
+    onFrame(result);
+  });
 };
 
 const startVideo = async () => {
-  const { worker, frameIntervalTracker } = settings;
-  const { videoEl, dispose } = await Camera.start();
+  const { pipeline, canvasEl, overlayEl, videoUrl } = settings;
+  const { videoEl, dispose } = videoUrl ? await openVideo(videoUrl) : await Camera.start();
+  const context = canvasEl?.getContext(`2d`);
+  if (!canvasEl || !overlayEl || !context) return;
+
+  // Overlay is the same size as the video frames
+  setSize(videoEl.videoWidth, videoEl.videoHeight);
 
   try {
-    // Video.frames generator loops forever,
-    // returning ImageData from video stream
-    for await (const frame of Video.frames(videoEl)) {
-
-      // Post frame to the worker for processing
-      worker.postMessage({
-        pixels: frame.data.buffer,
-        width: frame.width,
-        height: frame.height,
-        channels: 4
-      }, [frame.data.buffer]);
-
-      // Keep track of how long it takes us to process frames
-      frameIntervalTracker.mark();
-
-      saveState({
-        fps: Math.round(1000 / frameIntervalTracker.avg)
-      });
-    }
+    // Runs until stopped, sending frames from the video to the workers
+    await pipeline.start(videoEl, result => {
+      // Draw frame so we can see what the blobs are
+      context.drawImage(videoEl, 0, 0);
+      onFrame(result);
+    });
   } catch (error) {
     console.error(error);
 
@@ -87,32 +295,27 @@ const startVideo = async () => {
 const percentage = (v) => Math.round(v * 100) + `%`;
 
 function setup() {
-  const { worker } = settings;
+  const { pipeline } = settings;
   defaultErrorHandler();
 
-  // Start camera when button is pressed
-  document.querySelector(`#btnStart`)?.addEventListener(`click`, async () => {
-    await startVideo();
+  // Change stages when options are changed
+  const selMode = /** @type {HTMLSelectElement|null} */(document.querySelector(`#selMode`));
+  const chkAdaptive = /** @type {HTMLInputElement|null} */(document.querySelector(`#chkAdaptive`));
+  const chkFlow = /** @type {HTMLInputElement|null} */(document.querySelector(`#chkFlow`));
+  selMode?.addEventListener(`change`, () => {
+    pipeline.configure(`diff`, { against: selMode.value });
+  });
+  chkAdaptive?.addEventListener(`change`, () => {
+    pipeline.configure(`diff`, { compensate: chkAdaptive.checked });
+    pipeline.configure(`threshold`, { adaptive: chkAdaptive.checked });
+  });
+  chkFlow?.addEventListener(`change`, () => {
+    pipeline.configure(`flow`, { enabled: chkFlow.checked });
   });
 
-  // Listen for results from the worker
-  worker.addEventListener(`message`, event => {
-    const d = event.data;
-    const { diffTracker } = settings;
-
-    diffTracker.seen(d.differences);
-    const mma = diffTracker.getMinMaxAvg();
-
-    // Add what the worker sends to the state
-    saveState({
-      ...d,
-      diffVu: `
-       max: ${percentage(mma.max)}<br />
-       avg: ${percentage(mma.avg)}<br />
-       min: ${percentage(mma.min)}`
-    });
-
-    use();
+  // Start camera when button is pressed
+  document.querySelector(`#btnStart`)?.addEventListener(`click`, async () => {
+    await (settings.source === `synthetic` ? startSynthetic() : startVideo());
   });
 };
 setup();
@@ -0,0 +1,402 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Sources of frames other than a camera, for trying out and testing
+ * camera sketches without a webcam.
+ *
+ * - `SyntheticSource`: generated test patterns: moving shapes, noise and lighting changes.
+ *   The same seed always gives the same frames, and it doesn't need a browser, so it can be used in Node.js
+ * - `ImageSequenceSource`: a series of images
+ * - `openVideo()`: a video file, used in place of `Camera.start()`
+ *
+ * Frame sources can be given to `Pipeline.start()` or `Pipeline.process()` instead of a video element:
+ * ```js
+ * const source = new SyntheticSource({ shapes: randomShapes({ count: 3 }) });
+ * await pipeline.start(source, result => { ... });
+ * ```
+ *
+ * Or used without a pipeline, eg. in a test:
+ * ```js
+ * const source = new SyntheticSource({ seed: 42, frames: 100 });
+ * const stages = [ `grayscale`, `diff`, `threshold` ].map(type => ({ name: type, stage: Stages.create({ type }) }));
+ * for (const frame of source) {
+ *  const { frame: processed } = Stages.run(frame, stages);
+ * }
+ * ```
+ */
+import * as Stages from './stages.js';
+
+/**
+ * Something that gives frames. `next()` returns _undefined_ when there are no more.
+ * @typedef {{
+ * width: number
+ * height: number
+ * next: () => Stages.Frame|undefined|Promise<Stages.Frame|undefined>
+ * draw?: (context:CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D) => void
+ * }} FrameSource
+ */
+
+/**
+ * Returns a random number generator that gives the same numbers for the same seed (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} Function that returns 0..1
+ */
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D_2B_79_F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+};
+
+/**
+ * Shape drawn by SyntheticSource. Positions and sizes are in pixels, and
+ * velocities are in pixels per frame. Shapes bounce off the edges of the frame.
+ * @typedef {{
+ * shape: `rect`|`circle`
+ * x: number
+ * y: number
+ * width: number
+ * height: number
+ * vx: number
+ * vy: number
+ * colour: {r:number, g:number, b:number}
+ * }} Shape
+ */
+
+/**
+ * Returns shapes with random position, size, speed and colour
+ *
+ * Options:
+ * - count: Number of shapes. Default: 3
+ * - seed: Same seed gives same shapes. Default: 1
+ * - width, height: Size of frame. Default: 320x240
+ * - minSize, maxSize: Size of shapes, in pixels. Default: 20..60
+ * - maxSpeed: In pixels per frame. Default: 4
+ * @param {Partial<{count:number, seed:number, width:number, height:number, minSize:number, maxSize:number, maxSpeed:number}>} options
+ * @returns {Shape[]}
+ */
+export const randomShapes = (options = {}) => {
+  const { count = 3, seed = 1, width = 320, height = 240, minSize = 20, maxSize = 60, maxSpeed = 4 } = options;
+  const random = seededRandom(seed);
+  /** @type Shape[] */
+  const shapes = [];
+  for (let index = 0; index < count; index++) {
+    const size = minSize + random() * (maxSize - minSize);
+    shapes.push({
+      shape: random() > 0.5 ? `rect` : `circle`,
+      x: random() * (width - size),
+      y: random() * (height - size),
+      width: size,
+      height: size,
+      vx: (random() * 2 - 1) * maxSpeed,
+      vy: (random() * 2 - 1) * maxSpeed,
+      colour: { r: Math.floor(random() * 256), g: Math.floor(random() * 256), b: Math.floor(random() * 256) }
+    });
+  }
+  return shapes;
+};
+
+/**
+ * Position along a line of length `range` that bounces at each end
+ * @param {number} start
+ * @param {number} velocity
+ * @param {number} frame
+ * @param {number} range
+ */
+const bounce = (start, velocity, frame, range) => {
+  if (range <= 0) return 0;
+  const period = range * 2;
+  const p = (((start + velocity * frame) % period) + period) % period;
+  return p > range ? period - p : p;
+};
+
+/**
+ * @typedef {Readonly<{
+ * width: number
+ * height: number
+ * seed: number
+ * frames: number
+ * background: {r:number, g:number, b:number}
+ * shapes: Shape[]
+ * noise: number
+ * lighting: number
+ * lightingPeriod: number
+ * }>} SyntheticSourceOptions
+ */
+
+/**
+ * Generates test patterns. Each frame is worked out from the frame number and seed,
+ * so the same options always give the same frames.
+ *
+ * Frames can be taken with `next()`, or by iterating:
+ * ```js
+ * for (const frame of new SyntheticSource({ frames: 10 })) { ... }
+ * ```
+ */
+export class SyntheticSource {
+  /** @type SyntheticSourceOptions */
+  options;
+
+  /**
+   * Number of the next frame
+   */
+  frame = 0;
+
+  /**
+   * Options:
+   * - width, height: Size of frames. Default: 320x240
+   * - seed: Seed for noise. Default: 1
+   * - frames: How many frames to give before `next()` returns _undefined_. Default: Infinity
+   * - background: Colour of background. Default: dark gray
+   * - shapes: Shapes that move around. See `randomShapes()`. Default: none
+   * - noise: Amount of random noise added to each pixel, 0..255. Default: 0
+   * - lighting: How much the brightness of the whole frame goes up and down, 0..255. Eg. to test
+   *   how sketches cope with the camera adjusting its exposure. Default: 0
+   * - lightingPeriod: Number of frames for brightness to go up and back down. Default: 100
+   * @param {Partial<SyntheticSourceOptions>} options
+   */
+  constructor(options = {}) {
+    this.options = {
+      width: 320,
+      height: 240,
+      seed: 1,
+      frames: Number.POSITIVE_INFINITY,
+      background: { r: 40, g: 40, b: 40 },
+      shapes: [],
+      noise: 0,
+      lighting: 0,
+      lightingPeriod: 100,
+      ...options
+    };
+  }
+
+  get width() {
+    return this.options.width;
+  }
+
+  get height() {
+    return this.options.height;
+  }
+
+  /**
+   * Returns the next frame, or _undefined_ if `frames` have been given
+   * @returns {Stages.Frame|undefined}
+   */
+  next() {
+    if (this.frame >= this.options.frames) return;
+    return this.render(this.frame++);
+  }
+
+  /**
+   * Goes back to the first frame
+   */
+  reset() {
+    this.frame = 0;
+  }
+
+  /**
+   * Returns where shapes are in a frame
+   * @param {number} frame
+   * @returns {Shape[]}
+   */
+  shapesAt(frame) {
+    const { width, height, shapes } = this.options;
+    return shapes.map(s => ({
+      ...s,
+      x: bounce(s.x, s.vx, frame, width - s.width),
+      y: bounce(s.y, s.vy, frame, height - s.height)
+    }));
+  }
+
+  /**
+   * Draws a frame. Doesn't change `frame`
+   * @param {number} frame Frame number
+   * @returns {Stages.Frame}
+   */
+  render(frame) {
+    const { width, height, seed, background, noise, lighting, lightingPeriod } = this.options;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    // Brightness goes up and down in a triangle wave
+    const phase = (frame % lightingPeriod) / lightingPeriod;
+    const light = lighting * (phase < 0.5 ? phase * 2 : 2 - phase * 2);
+
+    for (let p = 0; p < data.length; p += 4) {
+      data[p] = background.r;
+      data[p + 1] = background.g;
+      data[p + 2] = background.b;
+      data[p + 3] = 255;
+    }
+
+    for (const s of this.shapesAt(frame)) {
+      const left = Math.max(0, Math.floor(s.x));
+      const top = Math.max(0, Math.floor(s.y));
+      const right = Math.min(width, Math.ceil(s.x + s.width));
+      const bottom = Math.min(height, Math.ceil(s.y + s.height));
+      const cx = s.x + s.width / 2;
+      const cy = s.y + s.height / 2;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          // Circles are ellipses that fit in the shape's box
+          if (s.shape === `circle` && ((x + 0.5 - cx) / (s.width / 2)) ** 2 + ((y + 0.5 - cy) / (s.height / 2)) ** 2 > 1) continue;
+          const p = (y * width + x) * 4;
+          data[p] = s.colour.r;
+          data[p + 1] = s.colour.g;
+          data[p + 2] = s.colour.b;
+        }
+      }
+    }
+
+    if (noise > 0 || light !== 0) {
+      // Noise is different for every frame, but the same each time a frame is drawn
+      const random = seededRandom(seed * 100_003 + frame);
+      for (let p = 0; p < data.length; p += 4) {
+        const n = noise > 0 ? (random() * 2 - 1) * noise : 0;
+        data[p] += light + n;
+        data[p + 1] += light + n;
+        data[p + 2] += light + n;
+      }
+    }
+    return Stages.fromRgba(data, width, height);
+  }
+
+  /**
+   * Draws the last frame given by `next()`, eg. to show it on a canvas
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context
+   */
+  draw(context) {
+    const { data, width, height } = this.render(Math.max(0, this.frame - 1));
+    context.putImageData(new ImageData(/** @type Uint8ClampedArray */(data), width, height), 0, 0);
+  }
+
+  *[Symbol.iterator]() {
+    let frame = this.next();
+    while (frame !== undefined) {
+      yield frame;
+      frame = this.next();
+    }
+  }
+}
+
+/**
+ * Gives frames from a series of images, eg. frames exported from a video
+ */
+export class ImageSequenceSource {
+  /** @type ImageData[] */
+  #images;
+  #loop;
+  #index = 0;
+
+  /**
+   * Use `ImageSequenceSource.load()` to create
+   * @param {ImageData[]} images
+   * @param {boolean} loop
+   */
+  constructor(images, loop) {
+    if (images.length === 0) throw new Error(`No images`);
+    this.#images = images;
+    this.#loop = loop;
+  }
+
+  /**
+   * Loads images. They are scaled to the size of the first.
+   * @param {string[]} urls
+   * @param {{loop?:boolean}} options If `loop` is true, starts again after the last image. Default: true
+   */
+  static async load(urls, { loop = true } = {}) {
+    const bitmaps = await Promise.all(urls.map(async url => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Could not load ${url}: ${response.status}`);
+      return createImageBitmap(await response.blob());
+    }));
+    if (bitmaps.length === 0) throw new Error(`No images`);
+    const { width, height } = bitmaps[0];
+    const canvas = new OffscreenCanvas(width, height);
+    const context = /** @type OffscreenCanvasRenderingContext2D */(canvas.getContext(`2d`, { willReadFrequently: true }));
+    const images = bitmaps.map(bitmap => {
+      context.drawImage(bitmap, 0, 0, width, height);
+      bitmap.close();
+      return context.getImageData(0, 0, width, height);
+    });
+    return new ImageSequenceSource(images, loop);
+  }
+
+  get width() {
+    return this.#images[0].width;
+  }
+
+  get height() {
+    return this.#images[0].height;
+  }
+
+  /**
+   * Returns the next image as a frame, or _undefined_ at the end if not looping
+   * @returns {Stages.Frame|undefined}
+   */
+  next() {
+    if (this.#index >= this.#images.length) {
+      if (!this.#loop) return;
+      this.#index = 0;
+    }
+    const { data, width, height } = this.#images[this.#index++];
+    // Copy, since frames given to workers can't be used again
+    return Stages.fromRgba(new Uint8ClampedArray(data), width, height);
+  }
+
+  /**
+   * Goes back to the first image
+   */
+  reset() {
+    this.#index = 0;
+  }
+
+  /**
+   * Draws the last image given by `next()`
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context
+   */
+  draw(context) {
+    context.putImageData(this.#images[Math.max(0, this.#index - 1)], 0, 0);
+  }
+}
+
+/**
+ * Plays a video file, to use in place of a camera. Returns the same as `Camera.start()`,
+ * so it can be swapped in:
+ * ```js
+ * const { videoEl, dispose } = await openVideo(`test.mp4`);
+ * ```
+ * @param {string} url
+ * @param {{loop?:boolean}} options If `loop` is true, video plays over and over. Default: true
+ * @returns {Promise<{videoEl:HTMLVideoElement, dispose:() => void}>}
+ */
+export const openVideo = async (url, { loop = true } = {}) => {
+  const videoEl = document.createElement(`video`);
+  videoEl.src = url;
+  videoEl.loop = loop;
+  videoEl.muted = true;
+  videoEl.playsInline = true;
+  videoEl.crossOrigin = `anonymous`;
+  videoEl.style.display = `none`;
+  document.body.append(videoEl);
+
+  await new Promise((resolve, reject) => {
+    videoEl.addEventListener(`loadeddata`, resolve, { once: true });
+    videoEl.addEventListener(`error`, () => {
+      reject(new Error(`Could not load video ${url}`));
+    }, { once: true });
+  });
+  await videoEl.play();
+
+  const dispose = () => {
+    videoEl.pause();
+    videoEl.remove();
+  };
+  return { videoEl, dispose };
+};
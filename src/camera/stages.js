@@ -0,0 +1,822 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Stages for processing camera frames, used by pipeline.js.
+ * They run in the main thread or in a worker, so they don't use the DOM.
+ *
+ * Each stage is created from a spec, eg `{ type: 'blur', radius: 2 }`, and is a
+ * function that is given a frame and returns a frame. Stages can keep state between
+ * frames, for example `diff` keeps the previous frame.
+ *
+ * Frames have either 4 channels (RGBA, 0..255) or 1 channel (eg. grayscale, 0..255).
+ * Results of stages, such as the proportion of changed pixels, are added to `frame.results`.
+ */
+
+/**
+ * @typedef {{
+ * width: number
+ * height: number
+ * channels: number
+ * data: Uint8ClampedArray|Float32Array
+ * region: { x:number, y:number, width:number, height:number }
+ * snapshots: Record<string,{width:number, height:number, channels:number, data:Uint8ClampedArray|Float32Array}>
+ * results: Record<string,any>
+ * }} Frame
+ */
+
+/**
+ * @typedef {(frame:Frame) => Frame} Stage
+ */
+
+/**
+ * @typedef {{ type:string, name?:string, enabled?:boolean, [key:string]:any }} StageSpec
+ */
+
+/**
+ * Throws an error if frame isn't single-channel
+ * @param {Frame} frame
+ * @param {string} stage
+ */
+const requireGray = (frame, stage) => {
+  if (frame.channels !== 1) throw new Error(`Stage '${stage}' needs a single-channel frame. Add a 'grayscale' stage before it`);
+};
+
+/**
+ * Returns a copy of pixel data, of the same type
+ * @param {Uint8ClampedArray|Float32Array} data
+ */
+const copy = (data) => data instanceof Float32Array ? Float32Array.from(data) : Uint8ClampedArray.from(data);
+
+/**
+ * Reduces size of frame by averaging blocks of pixels
+ * @param {{factor?:number}} options
+ * @returns {Stage}
+ */
+export const downscale = ({ factor = 2 } = {}) => (frame) => {
+  const { width, height, channels, data } = frame;
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const out = new Float32Array(w * h * channels);
+  const area = factor * factor;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      for (let c = 0; c < channels; c++) {
+        let total = 0;
+        for (let dy = 0; dy < factor; dy++) {
+          for (let dx = 0; dx < factor; dx++) {
+            total += data[((y * factor + dy) * width + x * factor + dx) * channels + c];
+          }
+        }
+        out[(y * w + x) * channels + c] = total / area;
+      }
+    }
+  }
+  return { ...frame, width: w, height: h, data: out };
+};
+
+/**
+ * Converts to a single channel, a simple average of RGB (ignoring alpha)
+ * @returns {Stage}
+ */
+export const grayscale = () => (frame) => {
+  if (frame.channels === 1) return frame;
+  const { data } = frame;
+  const out = new Float32Array(frame.width * frame.height);
+  for (let index = 0; index < out.length; index++) {
+    const p = index * 4;
+    out[index] = (data[p] + data[p + 1] + data[p + 2]) / 3;
+  }
+  return { ...frame, channels: 1, data: out };
+};
+
+/**
+ * Box blur, to smooth out noise
+ * @param {{radius?:number}} options
+ * @returns {Stage}
+ */
+export const blur = ({ radius = 1 } = {}) => (frame) => {
+  const { width, height, channels } = frame;
+  const size = radius * 2 + 1;
+
+  /**
+   * Blurs along one direction
+   * @param {ArrayLike<number>} source
+   * @param {boolean} horizontal
+   */
+  const pass = (source, horizontal) => {
+    const out = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let c = 0; c < channels; c++) {
+          let total = 0;
+          for (let offset = -radius; offset <= radius; offset++) {
+            // Repeat edge pixels
+            const sx = horizontal ? Math.min(width - 1, Math.max(0, x + offset)) : x;
+            const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + offset));
+            total += source[(sy * width + sx) * channels + c];
+          }
+          out[(y * width + x) * channels + c] = total / size;
+        }
+      }
+    }
+    return out;
+  };
+  return { ...frame, data: pass(pass(frame.data, true), false) };
+};
+
+/**
+ * Compares each frame to the previous one, or to a running average of frames (the background).
+ * The result is how much each pixel differs, 0..255.
+ *
+ * Options:
+ * - against: `previous` or `background`. Default: `previous`
+ * - learningRate: How quickly the background adapts, 0..1. Default: 0.02
+ * - threshold: Pixels that differ more than this are added to the background more slowly,
+ *   so moving things don't smear into it. Default: 30
+ * - compensate: Ignore changes in brightness of the whole frame, eg. from lights flickering. Default: false
+ * @param {{against?:`previous`|`background`, learningRate?:number, threshold?:number, compensate?:boolean}} options
+ * @returns {Stage}
+ */
+export const diff = ({ against = `previous`, learningRate = 0.02, threshold = 30, compensate = false } = {}) => {
+  /** @type Float32Array|undefined */
+  let previous;
+  /** @type Float32Array|undefined */
+  let background;
+
+  return (frame) => {
+    requireGray(frame, `diff`);
+    const gray = frame.data;
+    if (previous === undefined || background === undefined || previous.length !== gray.length) {
+      // First frame, so nothing has changed
+      previous = Float32Array.from(gray);
+      background = Float32Array.from(gray);
+      return { ...frame, data: new Float32Array(gray.length) };
+    }
+    const reference = against === `background` ? background : previous;
+
+    // Overall change in brightness. Median rather than average,
+    // so large moving things don't count. A sample of pixels is enough
+    let shift = 0;
+    if (compensate) {
+      const sample = [];
+      for (let index = 0; index < gray.length; index += 16) sample.push(gray[index] - reference[index]);
+      sample.sort((a, b) => a - b);
+      shift = sample[Math.floor(sample.length / 2)] ?? 0;
+    }
+
+    const out = new Float32Array(gray.length);
+    for (const [ index, value ] of gray.entries()) {
+      out[index] = Math.abs(value - reference[index] - shift);
+      // Keep background up to date
+      const rate = out[index] > threshold ? learningRate / 10 : learningRate;
+      background[index] += (value - background[index]) * rate;
+    }
+    previous = Float32Array.from(gray);
+    return { ...frame, data: out };
+  };
+};
+
+/**
+ * Turns a frame into a mask: 255 where pixels are above the threshold, 0 otherwise.
+ * Sets `results.differences` to the proportion of pixels above the threshold.
+ *
+ * Options:
+ * - value: Threshold. Default: 30
+ * - adaptive: Raise the threshold for pixels that are usually noisy. Default: false
+ * - noiseMultiplier: For adaptive, how many times more than a pixel's usual noise it must be. Default: 3
+ * - learningRate: For adaptive, how quickly noise levels are learnt. Default: 0.02
+ * @param {{value?:number, adaptive?:boolean, noiseMultiplier?:number, learningRate?:number}} options
+ * @returns {Stage}
+ */
+export const threshold = ({ value = 30, adaptive = false, noiseMultiplier = 3, learningRate = 0.02 } = {}) => {
+  /** @type Float32Array|undefined */
+  let noise;
+
+  return (frame) => {
+    requireGray(frame, `threshold`);
+    const { data } = frame;
+    // Noise starts so the threshold is the same as without adaptive, then adapts
+    if (adaptive && noise?.length !== data.length) noise = new Float32Array(data.length).fill(value / noiseMultiplier);
+
+    // With adaptive, the threshold never goes lower than this
+    const minimum = value / 3;
+    const out = new Float32Array(data.length);
+    let count = 0;
+    for (const [ index, v ] of data.entries()) {
+      const t = noise ? Math.max(minimum, noiseMultiplier * noise[index]) : value;
+      if (v > t) {
+        out[index] = 255;
+        count++;
+      } else if (noise) {
+        // Only learn noise from pixels that aren't changing
+        noise[index] += (v - noise[index]) * learningRate;
+      }
+    }
+    return {
+      ...frame,
+      data: out,
+      results: { ...frame.results, differences: count / data.length }
+    };
+  };
+};
+
+/**
+ * Crops to a region of interest. Coordinates are relative (0..1) to the frame.
+ * @param {{x?:number, y?:number, width?:number, height?:number}} options
+ * @returns {Stage}
+ */
+export const crop = ({ x = 0, y = 0, width = 1, height = 1 } = {}) => (frame) => {
+  const { channels, data, region } = frame;
+  const left = Math.round(x * frame.width);
+  const top = Math.round(y * frame.height);
+  const w = Math.max(1, Math.min(frame.width - left, Math.round(width * frame.width)));
+  const h = Math.max(1, Math.min(frame.height - top, Math.round(height * frame.height)));
+  const out = new Float32Array(w * h * channels);
+  for (let row = 0; row < h; row++) {
+    const start = ((top + row) * frame.width + left) * channels;
+    out.set(data.subarray(start, start + w * channels), row * w * channels);
+  }
+  return {
+    ...frame,
+    width: w,
+    height: h,
+    data: out,
+    // Keep track of where we are in the original frame
+    region: {
+      x: region.x + left / frame.width * region.width,
+      y: region.y + top / frame.height * region.height,
+      width: w / frame.width * region.width,
+      height: h / frame.height * region.height
+    }
+  };
+};
+
+/**
+ * Keeps a copy of the frame as it is at this point, in `frame.snapshots[name]`.
+ * Eg. to keep the colour frame before converting to grayscale.
+ * @param {{as?:string}} options
+ * @returns {Stage}
+ */
+export const snapshot = ({ as = `snapshot` } = {}) => (frame) => ({
+  ...frame,
+  snapshots: {
+    ...frame.snapshots,
+    [as]: { width: frame.width, height: frame.height, channels: frame.channels, data: copy(frame.data) }
+  }
+});
+
+/**
+ * Finds connected regions (blobs) in a mask, and tracks them from frame to frame so each keeps the same id.
+ * Sets `results.blobs`, with positions in pixels of this frame.
+ *
+ * Options:
+ * - cellSize: Pixels are grouped into square cells, which is much quicker than pixel-by-pixel. Default: 8
+ * - cellThreshold: Proportion of pixels in a cell that must be set for it to count. Default: 0.2
+ * - minCells: Smallest blob to report, in cells. Default: 4
+ * - maxDistance: How far (in pixels) a blob can move between frames and keep its id. Default: 80
+ * - maxMissedFrames: How many frames a blob can go missing before it is forgotten. Default: 5
+ * @param {{cellSize?:number, cellThreshold?:number, minCells?:number, maxDistance?:number, maxMissedFrames?:number}} options
+ * @returns {Stage}
+ */
+export const blobs = ({ cellSize = 8, cellThreshold = 0.2, minCells = 4, maxDistance = 80, maxMissedFrames = 5 } = {}) => {
+  /** @type Blob[] */
+  let tracked = [];
+  let nextId = 1;
+
+  /**
+   * Finds connected cells
+   * @param {Uint32Array} cells Count of set pixels for each cell
+   * @param {number} cols
+   * @param {number} rows
+   */
+  const find = (cells, cols, rows) => {
+    const minCount = cellSize * cellSize * cellThreshold;
+    const visited = new Uint8Array(cells.length);
+    const found = [];
+    const stack = [];
+
+    for (let start = 0; start < cells.length; start++) {
+      if (visited[start] || cells[start] < minCount) continue;
+
+      // Flood fill from this cell, adding up the blob as we go
+      let count = 0;
+      let area = 0;
+      let sumX = 0;
+      let sumY = 0;
+      let minCol = cols;
+      let maxCol = 0;
+      let minRow = rows;
+      let maxRow = 0;
+      visited[start] = 1;
+      stack.push(start);
+      while (stack.length > 0) {
+        const index = /** @type {number} */(stack.pop());
+        const col = index % cols;
+        const row = Math.floor(index / cols);
+        const set = cells[index];
+        count++;
+        area += set;
+        // Centroid is weighted by how much of each cell is set
+        sumX += (col + 0.5) * set;
+        sumY += (row + 0.5) * set;
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        // Visit neighbours, including diagonals
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const c = col + dx;
+            const r = row + dy;
+            if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+            const next = r * cols + c;
+            if (visited[next] || cells[next] < minCount) continue;
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+
+      if (count < minCells) continue;
+      found.push({
+        x: sumX / area * cellSize,
+        y: sumY / area * cellSize,
+        box: {
+          x: minCol * cellSize,
+          y: minRow * cellSize,
+          width: (maxCol - minCol + 1) * cellSize,
+          height: (maxRow - minRow + 1) * cellSize
+        },
+        area
+      });
+    }
+    return found;
+  };
+
+  /**
+   * Matches blobs found in this frame with those being tracked, closest first
+   * @param {ReturnType<typeof find>} found
+   */
+  const track = (found) => {
+    const pairs = [];
+    for (const [ trackedIndex, t ] of tracked.entries()) {
+      for (const [ foundIndex, f ] of found.entries()) {
+        const distance = Math.hypot(t.x - f.x, t.y - f.y);
+        if (distance <= maxDistance) pairs.push({ trackedIndex, foundIndex, distance });
+      }
+    }
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    /** @type Blob[] */
+    const next = [];
+    const matchedTracked = new Set();
+    const matchedFound = new Set();
+    for (const { trackedIndex, foundIndex } of pairs) {
+      if (matchedTracked.has(trackedIndex) || matchedFound.has(foundIndex)) continue;
+      matchedTracked.add(trackedIndex);
+      matchedFound.add(foundIndex);
+      const t = tracked[trackedIndex];
+      next.push({ ...found[foundIndex], id: t.id, age: t.age + 1, missed: 0 });
+    }
+
+    // New blobs
+    for (const [ foundIndex, f ] of found.entries()) {
+      if (!matchedFound.has(foundIndex)) next.push({ ...f, id: nextId++, age: 0, missed: 0 });
+    }
+
+    // Keep unmatched blobs for a little while in case they come back
+    for (const [ trackedIndex, t ] of tracked.entries()) {
+      if (matchedTracked.has(trackedIndex)) continue;
+      if (t.missed < maxMissedFrames) next.push({ ...t, missed: t.missed + 1 });
+    }
+    tracked = next;
+  };
+
+  return (frame) => {
+    requireGray(frame, `blobs`);
+    const { width, height, data } = frame;
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cells = new Uint32Array(cols * rows);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] > 0) cells[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)]++;
+      }
+    }
+    track(find(cells, cols, rows));
+
+    // Blobs which have gone missing for a frame or two aren't included
+    return {
+      ...frame,
+      results: { ...frame.results, blobs: tracked.filter(b => b.missed === 0) }
+    };
+  };
+};
+
+/**
+ * A connected region. Positions are in pixels.
+ * @typedef {{
+ * id: number
+ * x: number
+ * y: number
+ * box: { x:number, y:number, width:number, height:number }
+ * area: number
+ * age: number
+ * missed: number
+ * }} Blob
+ */
+
+/**
+ * Block-based optical flow: works out which way things are moving. For each block of
+ * the previous frame, finds where it has moved to in this frame.
+ *
+ * Sets `results.flow`:
+ * - cols, rows: Number of blocks across and down
+ * - blockSize: Size of each block, in pixels
+ * - vectors: Float32Array of x,y movement for each block, in pixels per frame, row by row
+ * - average: Average movement of moving blocks, eg. which way a crowd is moving
+ * - moving: Proportion of blocks that are moving, 0..1
+ *
+ * Options:
+ * - blockSize: Default: 16
+ * - search: Furthest a block is searched for, in pixels. Default: 6
+ * - sampleStep: Only every n-th pixel of a block is compared, for speed. Default: 2
+ * - threshold: Average difference needed for a block to be searched. Default: 10
+ * @param {{blockSize?:number, search?:number, sampleStep?:number, threshold?:number}} options
+ * @returns {Stage}
+ */
+export const flow = ({ blockSize = 16, search = 6, sampleStep = 2, threshold: minDifference = 10 } = {}) => {
+  /** @type Float32Array|Uint8ClampedArray|undefined */
+  let previous;
+
+  return (frame) => {
+    requireGray(frame, `flow`);
+    const { width: w, height: h, data: current } = frame;
+    const cols = Math.floor(w / blockSize);
+    const rows = Math.floor(h / blockSize);
+    const vectors = new Float32Array(cols * rows * 2);
+    let sumX = 0;
+    let sumY = 0;
+    let moving = 0;
+
+    if (previous !== undefined && previous.length === current.length) {
+      const before = previous;
+      /**
+       * Sum of absolute differences between block at bx,by in
+       * previous frame and the block offset by dx,dy in this frame
+       * @param {number} bx
+       * @param {number} by
+       * @param {number} dx
+       * @param {number} dy
+       */
+      const blockDifference = (bx, by, dx, dy) => {
+        let total = 0;
+        for (let y = by; y < by + blockSize; y += sampleStep) {
+          for (let x = bx; x < bx + blockSize; x += sampleStep) {
+            total += Math.abs(before[y * w + x] - current[(y + dy) * w + x + dx]);
+          }
+        }
+        return total;
+      };
+
+      const samples = Math.ceil(blockSize / sampleStep) ** 2;
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const bx = col * blockSize;
+          const by = row * blockSize;
+
+          // Skip blocks that haven't changed
+          const still = blockDifference(bx, by, 0, 0);
+          if (still / samples < minDifference) continue;
+
+          // Search for best match nearby
+          let best = still;
+          let bestX = 0;
+          let bestY = 0;
+          for (let dy = -search; dy <= search; dy++) {
+            if (by + dy < 0 || by + dy + blockSize > h) continue;
+            for (let dx = -search; dx <= search; dx++) {
+              if (bx + dx < 0 || bx + dx + blockSize > w) continue;
+              const d = blockDifference(bx, by, dx, dy);
+              if (d < best) {
+                best = d;
+                bestX = dx;
+                bestY = dy;
+              }
+            }
+          }
+
+          const index = (row * cols + col) * 2;
+          vectors[index] = bestX;
+          vectors[index + 1] = bestY;
+          if (bestX !== 0 || bestY !== 0) {
+            sumX += bestX;
+            sumY += bestY;
+            moving++;
+          }
+        }
+      }
+    }
+    previous = copy(current);
+
+    return {
+      ...frame,
+      results: {
+        ...frame.results,
+        flow: {
+          cols,
+          rows,
+          blockSize,
+          vectors,
+          average: moving === 0 ? { x: 0, y: 0 } : { x: sumX / moving, y: sumY / moving },
+          moving: cols * rows === 0 ? 0 : moving / (cols * rows)
+        }
+      }
+    };
+  };
+};
+
+/**
+ * Converts RGB (0..255) to HSL, with hue in degrees (0..360) and saturation and lightness 0..1
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {{h:number, s:number, l:number}}
+ */
+export const rgbToHsl = (r, g, b) => {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+};
+
+/**
+ * Range of colours to track. Hue is in degrees (0..360), saturation and lightness are 0..1.
+ * A pixel matches if it is within `hueRange`, `satRange` and `lightRange` of the colour.
+ * @typedef {{
+ * name: string
+ * h: number
+ * s: number
+ * l: number
+ * hueRange?: number
+ * satRange?: number
+ * lightRange?: number
+ * }} ColourRange
+ */
+
+/**
+ * Returns _true_ if a HSL colour is within a range
+ * @param {{h:number, s:number, l:number}} hsl
+ * @param {ColourRange} range
+ */
+export const inColourRange = (hsl, range) => {
+  const { hueRange = 15, satRange = 0.3, lightRange = 0.3 } = range;
+  // Hue wraps around, so 350 and 10 are close
+  const hueDistance = Math.abs(hsl.h - range.h) % 360;
+  return Math.min(hueDistance, 360 - hueDistance) <= hueRange &&
+    Math.abs(hsl.s - range.s) <= satRange &&
+    Math.abs(hsl.l - range.l) <= lightRange;
+};
+
+/**
+ * Finds where colours are, eg. to track a coloured glove or prop. Needs an RGBA frame,
+ * so put it before `grayscale`.
+ *
+ * Sets `results.colours`, keyed by name. Each has the centroid (`x`, `y`) and bounding `box`
+ * of matching pixels, in pixels of this frame, and `area`, the proportion of the frame that matches.
+ * Colours that aren't found are _undefined_.
+ *
+ * Options:
+ * - colours: Colours to track. Default: none
+ * - minArea: Smallest proportion of the frame that counts as finding the colour. Default: 0.001
+ * - sampleStep: Only every n-th pixel across and down is checked, for speed. Default: 2
+ * @param {{colours?:ColourRange[], minArea?:number, sampleStep?:number}} options
+ * @returns {Stage}
+ */
+export const colours = ({ colours: ranges = [], minArea = 0.001, sampleStep = 2 } = {}) => (frame) => {
+  if (frame.channels !== 4) throw new Error(`Stage 'colours' needs an RGBA frame. Put it before 'grayscale'`);
+  const { width, height, data } = frame;
+  const found = ranges.map(() => ({ count: 0, sumX: 0, sumY: 0, minX: width, minY: height, maxX: 0, maxY: 0 }));
+  let samples = 0;
+
+  for (let y = 0; y < height; y += sampleStep) {
+    for (let x = 0; x < width; x += sampleStep) {
+      samples++;
+      const p = (y * width + x) * 4;
+      const hsl = rgbToHsl(data[p], data[p + 1], data[p + 2]);
+      for (const [ index, range ] of ranges.entries()) {
+        if (!inColourRange(hsl, range)) continue;
+        const f = found[index];
+        f.count++;
+        f.sumX += x;
+        f.sumY += y;
+        f.minX = Math.min(f.minX, x);
+        f.minY = Math.min(f.minY, y);
+        f.maxX = Math.max(f.maxX, x);
+        f.maxY = Math.max(f.maxY, y);
+      }
+    }
+  }
+
+  /** @type Record<string,ColourFound|undefined> */
+  const results = {};
+  for (const [ index, range ] of ranges.entries()) {
+    const f = found[index];
+    const area = samples === 0 ? 0 : f.count / samples;
+    results[range.name] = area < minArea ? undefined : {
+      x: f.sumX / f.count,
+      y: f.sumY / f.count,
+      box: { x: f.minX, y: f.minY, width: f.maxX - f.minX + sampleStep, height: f.maxY - f.minY + sampleStep },
+      area
+    };
+  }
+  return { ...frame, results: { ...frame.results, colours: results } };
+};
+
+/**
+ * Where a colour was found. Positions are in pixels.
+ * @typedef {{
+ * x: number
+ * y: number
+ * box: { x:number, y:number, width:number, height:number }
+ * area: number
+ * }} ColourFound
+ */
+
+/**
+ * Returns _true_ if a point is inside a polygon
+ * @param {{x:number, y:number}} pt
+ * @param {Array<{x:number, y:number}>} polygon
+ */
+export const insidePolygon = (pt, polygon) => {
+  let inside = false;
+  for (let index = 0, previous = polygon.length - 1; index < polygon.length; previous = index++) {
+    const a = polygon[index];
+    const b = polygon[previous];
+    if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * A named region of interest. Polygon points are relative (0..1) to the captured frame,
+ * so zones stay in the same place if the frame is cropped or downscaled.
+ * @typedef {{
+ * name: string
+ * polygon: Array<{x:number, y:number}>
+ * }} Zone
+ */
+
+/**
+ * How much activity there is in regions of interest. Needs a mask, eg. from `threshold`.
+ * Sets `results.zones`, keyed by name, with the proportion of each zone's pixels that are set (0..1).
+ *
+ * Options:
+ * - zones: Zones to check. Default: none
+ * @param {{zones?:Zone[]}} options
+ * @returns {Stage}
+ */
+export const zones = ({ zones: list = [] } = {}) => {
+  /**
+   * Pixel indexes inside each zone. Worked out once for a frame size, since
+   * checking if every pixel is inside a polygon each frame is slow
+   * @type {{key:string, pixels:Uint32Array[]}|undefined}
+   */
+  let cache;
+
+  /**
+   * @param {Frame} frame
+   */
+  const pixelsOf = (frame) => {
+    const { width, height, region } = frame;
+    const key = `${width}x${height} ${region.x},${region.y},${region.width},${region.height}`;
+    if (cache?.key === key) return cache.pixels;
+    const pixels = list.map(zone => {
+      const indexes = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          // Middle of pixel, relative to the captured frame
+          const pt = {
+            x: region.x + (x + 0.5) / width * region.width,
+            y: region.y + (y + 0.5) / height * region.height
+          };
+          if (insidePolygon(pt, zone.polygon)) indexes.push(y * width + x);
+        }
+      }
+      return Uint32Array.from(indexes);
+    });
+    cache = { key, pixels };
+    return pixels;
+  };
+
+  return (frame) => {
+    requireGray(frame, `zones`);
+    const { data } = frame;
+    /** @type Record<string,number> */
+    const results = {};
+    for (const [ index, indexes ] of pixelsOf(frame).entries()) {
+      let count = 0;
+      for (const p of indexes) {
+        if (data[p] > 0) count++;
+      }
+      results[list[index].name] = indexes.length === 0 ? 0 : count / indexes.length;
+    }
+    return { ...frame, results: { ...frame.results, zones: results } };
+  };
+};
+
+/**
+ * Stages available by name
+ * @type Record<string,(options:any) => Stage>
+ */
+export const registry = {
+  downscale,
+  grayscale,
+  blur,
+  diff,
+  threshold,
+  crop,
+  snapshot,
+  blobs,
+  flow,
+  colours,
+  zones
+};
+
+/**
+ * Returns the name of a stage, used for timing and configuring it
+ * @param {StageSpec} spec
+ */
+export const stageName = (spec) => spec.name ?? spec.type;
+
+/**
+ * Creates a stage from its spec. Stages with `enabled: false` pass frames through unchanged.
+ * @param {StageSpec} spec
+ * @returns {Stage}
+ */
+export const create = (spec) => {
+  const factory = registry[spec.type];
+  if (factory === undefined) throw new Error(`Unknown stage '${spec.type}'. Expected one of: ${Object.keys(registry).join(`, `)}`);
+  if (spec.enabled === false) return (frame) => frame;
+  return factory(spec);
+};
+
+/**
+ * Creates a frame from RGBA pixel data
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {Frame}
+ */
+export const fromRgba = (data, width, height) => ({
+  width,
+  height,
+  channels: 4,
+  data,
+  region: { x: 0, y: 0, width: 1, height: 1 },
+  snapshots: {},
+  results: {}
+});
+
+/**
+ * Runs a frame through stages, timing each.
+ * @param {Frame} frame
+ * @param {Array<{name:string, stage:Stage}>} stages
+ * @returns {{frame:Frame, timings:Record<string,number>}}
+ */
+export const run = (frame, stages) => {
+  /** @type Record<string,number> */
+  const timings = {};
+  for (const { name, stage } of stages) {
+    const start = performance.now();
+    frame = stage(frame);
+    timings[name] = performance.now() - start;
+  }
+  return { frame, timings };
+};
+
+/**
+ * Returns buffers of a frame that can be transferred to or from a worker
+ * @param {Frame} frame
+ * @returns {ArrayBuffer[]}
+ */
+export const transferables = (frame) => {
+  const buffers = new Set([ frame.data.buffer ]);
+  for (const s of Object.values(frame.snapshots)) buffers.add(s.data.buffer);
+  if (frame.results.flow) buffers.add(frame.results.flow.vectors.buffer);
+  return /** @type ArrayBuffer[] */([ ...buffers ]);
+};
@@ -0,0 +1,244 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Colour tracking and regions of interest (zones), used with the `colours` and
+ * `zones` stages of a pipeline.
+ *
+ * ```js
+ * const zones = new Zones();
+ * zones.add(`top-left`, rect(0, 0, 0.3, 0.3));
+ * zones.events.addEventListener(`enter`, event => {
+ *  console.log(`${event.detail.source} entered ${event.detail.zone}`);
+ * });
+ *
+ * const pipeline = new Pipeline([
+ *  { type: `colours`, colours: [ { name: `glove`, h: 0, s: 0.8, l: 0.5 } ] },
+ *  { type: `grayscale` },
+ *  { type: `diff` },
+ *  { type: `threshold` },
+ *  { type: `zones`, zones: zones.list }
+ * ]);
+ * pipeline.start(videoEl, result => zones.update(result.frame));
+ * ```
+ *
+ * Zones become active when there is enough motion in them, and when a tracked
+ * colour is inside them. Each of these is a 'source': `motion` or the name of the colour.
+ */
+import { rgbToHsl, insidePolygon } from './stages.js';
+import { toRelative } from './pipeline.js';
+
+/**
+ * Returns a rectangle as a polygon, for use as a zone
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+export const rect = (x, y, width, height) => [
+  { x, y },
+  { x: x + width, y },
+  { x: x + width, y: y + height },
+  { x, y: y + height }
+];
+
+/**
+ * Returns the average colour around a point, as HSL.
+ * Use this to pick a colour to track, eg. when the video is clicked.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context Context with video frame drawn on it
+ * @param {number} x X position, in pixels
+ * @param {number} y Y position, in pixels
+ * @param {number} radius Size of area to average
+ * @returns {{h:number, s:number, l:number}}
+ */
+export const pickColour = (context, x, y, radius = 3) => {
+  // Keep area within canvas, otherwise pixels outside of it are read as transparent black
+  const { width, height } = context.canvas;
+  const left = Math.max(0, Math.round(x) - radius);
+  const top = Math.max(0, Math.round(y) - radius);
+  const right = Math.min(width, Math.round(x) + radius + 1);
+  const bottom = Math.min(height, Math.round(y) + radius + 1);
+  if (right <= left || bottom <= top) throw new RangeError(`Point ${x},${y} is outside of canvas`);
+  const { data } = context.getImageData(left, top, right - left, bottom - top);
+  let hueX = 0;
+  let hueY = 0;
+  let s = 0;
+  let l = 0;
+  const count = data.length / 4;
+  for (let p = 0; p < data.length; p += 4) {
+    const hsl = rgbToHsl(data[p], data[p + 1], data[p + 2]);
+    // Hue is an angle, so it is averaged as a direction
+    hueX += Math.cos(hsl.h / 180 * Math.PI);
+    hueY += Math.sin(hsl.h / 180 * Math.PI);
+    s += hsl.s;
+    l += hsl.l;
+  }
+  const h = (Math.atan2(hueY, hueX) / Math.PI * 180 + 360) % 360;
+  return { h, s: s / count, l: l / count };
+};
+
+/**
+ * @typedef {import('./stages.js').Zone} Zone
+ */
+
+/**
+ * @typedef {Readonly<{
+ * enterThreshold:number
+ * leaveThreshold:number
+ * }>} ZonesOptions
+ */
+
+/**
+ * Keeps track of which zones are active, dispatching events when
+ * a source enters or leaves a zone.
+ *
+ * Events, with `detail`:
+ * - `enter`: `{ zone, source, activity }`
+ * - `leave`: `{ zone, source, activity }`
+ *
+ * `activity` is the proportion of the zone with motion, 0..1.
+ */
+export class Zones {
+  events = new EventTarget();
+
+  /** @type ZonesOptions */
+  #options;
+
+  /** @type Map<string,Zone> */
+  #zones = new Map();
+
+  /**
+   * Latest activity of each zone
+   * @type Map<string,number>
+   */
+  #activity = new Map();
+
+  /**
+   * Sources in each zone
+   * @type Map<string,Set<string>>
+   */
+  #inside = new Map();
+
+  /**
+   * Options:
+   * - enterThreshold: Activity needed for motion to enter a zone. Default: 0.05
+   * - leaveThreshold: Motion leaves a zone once activity drops below this. Lower than `enterThreshold`,
+   *   so it doesn't flicker in and out. Default: 0.02
+   * @param {Partial<ZonesOptions>} options
+   */
+  constructor(options = {}) {
+    this.#options = {
+      enterThreshold: 0.05,
+      leaveThreshold: 0.02,
+      ...options
+    };
+  }
+
+  /**
+   * Adds a zone, or replaces one with the same name.
+   * Points are relative (0..1) to the video. See `rect()` for making rectangles.
+   *
+   * Zones are given to the `zones` stage with `list`, so configure it after adding or removing zones:
+   * ```js
+   * zones.add(`door`, rect(0.8, 0, 0.2, 1));
+   * pipeline.configure(`zones`, { zones: zones.list });
+   * ```
+   * @param {string} name
+   * @param {Array<{x:number, y:number}>} polygon
+   */
+  add(name, polygon) {
+    if (polygon.length < 3) throw new Error(`Zone '${name}' needs at least three points`);
+    this.#zones.set(name, { name, polygon });
+  }
+
+  /**
+   * Removes a zone. Sources inside it leave.
+   * @param {string} name
+   */
+  remove(name) {
+    for (const source of this.#inside.get(name) ?? []) this.#leave(name, source);
+    this.#zones.delete(name);
+    this.#inside.delete(name);
+    this.#activity.delete(name);
+  }
+
+  /**
+   * Zones, for the `zones` stage
+   * @returns {Zone[]}
+   */
+  get list() {
+    return [ ...this.#zones.values() ];
+  }
+
+  /**
+   * Activity of a zone: the proportion of it with motion, 0..1
+   * @param {string} name
+   */
+  activity(name) {
+    return this.#activity.get(name) ?? 0;
+  }
+
+  /**
+   * Returns sources inside a zone: `motion` and/or names of colours
+   * @param {string} name
+   */
+  inside(name) {
+    return [ ...(this.#inside.get(name) ?? []) ];
+  }
+
+  /**
+   * Updates zones with results of a frame from the pipeline.
+   * Uses `results.zones` for motion and `results.colours` for colours, if they are there.
+   * @param {import('./stages.js').Frame} frame
+   */
+  update(frame) {
+    const { enterThreshold, leaveThreshold } = this.#options;
+    /** @type Record<string,number> */
+    const activity = frame.results.zones ?? {};
+    /** @type Record<string,import('./stages.js').ColourFound|undefined> */
+    const colours = frame.results.colours ?? {};
+
+    for (const zone of this.#zones.values()) {
+      const inside = this.#inside.get(zone.name) ?? new Set();
+      this.#inside.set(zone.name, inside);
+
+      const a = activity[zone.name];
+      if (a !== undefined) {
+        this.#activity.set(zone.name, a);
+        if (!inside.has(`motion`) && a >= enterThreshold) this.#enter(zone.name, `motion`);
+        else if (inside.has(`motion`) && a < leaveThreshold) this.#leave(zone.name, `motion`);
+      }
+
+      for (const [ name, found ] of Object.entries(colours)) {
+        const isInside = found !== undefined && insidePolygon(toRelative(frame, found), zone.polygon);
+        if (isInside && !inside.has(name)) this.#enter(zone.name, name);
+        else if (!isInside && inside.has(name)) this.#leave(zone.name, name);
+      }
+
+      // Colours no longer being tracked
+      for (const source of inside) {
+        if (source !== `motion` && !(source in colours)) this.#leave(zone.name, source);
+      }
+    }
+  }
+
+  /**
+   * @param {string} zone
+   * @param {string} source
+   */
+  #enter(zone, source) {
+    this.#inside.get(zone)?.add(source);
+    this.events.dispatchEvent(new CustomEvent(`enter`, { detail: { zone, source, activity: this.activity(zone) } }));
+  }
+
+  /**
+   * @param {string} zone
+   * @param {string} source
+   */
+  #leave(zone, source) {
+    this.#inside.get(zone)?.delete(source);
+    this.events.dispatchEvent(new CustomEvent(`leave`, { detail: { zone, source, activity: this.activity(zone) } }));
+  }
+}
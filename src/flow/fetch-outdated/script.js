@@ -1,13 +1,17 @@
 
 import { updateOutdated } from '../../ixfx/flow.js';
 
+// URL to fetch from. If running with `npm run ws`, you could instead
+// use a value posted to the local server, eg: `/values/demo`
+const url = `https://jsonplaceholder.typicode.com/todos/1`;
+
 // Define settings
 const settings = Object.freeze({
   // Set up the fetcher. Caches results for 10 seconds.
   fetcher: updateOutdated(async elapsedMs => {
     console.log(`Fetch running. Elapsed: ${elapsedMs}`);
     status(`Fetching...`);
-    const r = await fetch(`https://jsonplaceholder.typicode.com/todos/1`);
+    const r = await fetch(url);
     status(`Fetched.`);
     return await r.json();
   }, 10 * 1000),
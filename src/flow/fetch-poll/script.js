@@ -12,6 +12,9 @@ import { continuously } from "../../ixfx/flow.js";
 
 // Define settings
 const settings = Object.freeze({
+  // URL to fetch from. If running with `npm run ws`, you could instead
+  // use a value posted to the local server, eg: `/values/demo`
+  url: `https://jsonplaceholder.typicode.com/todos/1`,
   // How often to fetch data
   fetchIntervalMs: 10 * 1000,
   dataEl: document.querySelector(`#data`),
@@ -24,11 +27,11 @@ let state = Object.freeze({
 });
 
 continuously(async () => {
-  const { dataEl } = settings;
+  const { dataEl, url } = settings;
   try {
     // Try to fetch from URL
     status(`Fetching...`);
-    const resp = await fetch(`https://jsonplaceholder.typicode.com/todos/1`);
+    const resp = await fetch(url);
 
     // Add the JSON to state
     saveState({
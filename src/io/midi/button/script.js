@@ -4,6 +4,9 @@ import * as MIDI from '../midi.js';
 const settings = Object.freeze({
   // Note that we respond to
   note: 48,
+  // If true, note on/off is sent back to MIDI outputs,
+  // which lights up the pad or button on many controllers
+  lightOutputs: true,
   // Function to update HTML element
   info: Util.textContent(`#info`),
   visElement: /** @type HTMLElement */(document.querySelector(`#vis`))
@@ -13,6 +16,8 @@ const settings = Object.freeze({
  * No other state needed at the moment
  */
 let state = Object.freeze({
+  /** @type MIDIOutput[] */
+  outputs: [],
   /** @type boolean */
   held: false,
   /** @type number */
@@ -41,13 +46,35 @@ const onMidiMessage = (message, input) => {
 
   if (message.command === `noteon` && message.note === note) {
     saveState({ held: true, velocity: message.velocity });
+    light(message.channel, true);
   } else if (message.command === `noteoff` && message.note === note) {
     saveState({ held: false });
+    light(message.channel, false);
   }
 
   use();
 };
 
+/**
+ * Send note on/off to outputs, to light up controller
+ * @param {number} channel
+ * @param {boolean} on
+ */
+const light = (channel, on) => {
+  const { note, lightOutputs } = settings;
+  const { outputs } = state;
+  if (!lightOutputs) return;
+
+  for (const output of outputs) {
+    MIDI.send(output, {
+      command: on ? `noteon` : `noteoff`,
+      channel,
+      note,
+      velocity: on ? 127 : 0
+    });
+  }
+};
+
 async function setup() {
   try {
     const r = await navigator.requestMIDIAccess();
@@ -62,6 +89,11 @@ async function setup() {
         onMidiMessage(message, input);
       });
     }
+
+    for (const [id, output] of r.outputs) {
+      console.log(`MIDI output: ${output.id} - ${output.name} (${output.manufacturer})`);
+    }
+    saveState({ outputs: [...r.outputs.values()] });
   } catch (error) {
     console.error(error);
   }
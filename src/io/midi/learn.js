@@ -0,0 +1,430 @@
+/**
+ * 'MIDI learn' for sketch parameters.
+ *
+ * Parameters are registered by name. Call `learn(name)` and move a knob or
+ * fader - the next control change is bound to the parameter. Bindings are saved to
+ * localStorage so they survive a reload.
+ *
+ * Incoming values are scaled to 0..1, passed through a curve, and optionally
+ * smoothed. With soft takeover, a control won't change a parameter until it
+ * has been moved to the parameter's current value, avoiding sudden jumps.
+ *
+ * ```js
+ * const mapper = new MidiMapper();
+ * mapper.add(`cutoff`, { curve: `quadIn`, smoothing: 0.8 });
+ * // Feed it messages from midi.js
+ * mapper.handle(message);
+ * // Later...
+ * const cutoff = mapper.get(`cutoff`); // 0..1
+ * ```
+ */
+import { Easings } from '../../ixfx/modulation.js';
+import { SimpleEventEmitter } from '../../ixfx/events.js';
+
+/**
+ * Returns a function to apply a curve
+ * @param {Curve|undefined} curve
+ * @returns {(v:number) => number}
+ */
+const toCurveFunction = (curve) => {
+  if (curve === undefined || curve === `linear`) return v => v;
+  if (typeof curve === `function`) return curve;
+  return Easings.get(curve);
+};
+
+/**
+ * Returns the binding for a message, if it is a kind we can learn
+ * @param {import('./midi.js').Message} message
+ * @returns {Binding|undefined}
+ */
+const bindingFor = (message) => {
+  switch (message.command) {
+    case `cc`:
+    case `cc14`: {
+      return { command: message.command, channel: message.channel, number: message.controller };
+    }
+    case `nrpn`:
+    case `rpn`: {
+      return { command: message.command, channel: message.channel, number: message.parameter };
+    }
+    case `noteon`: {
+      return { command: `noteon`, channel: message.channel, number: message.note };
+    }
+    case `pitchbend`: {
+      return { command: `pitchbend`, channel: message.channel, number: 0 };
+    }
+  }
+};
+
+/**
+ * Returns message value on a 0..1 scale
+ * @param {import('./midi.js').Message} message
+ * @returns {number}
+ */
+const scaledValue = (message) => {
+  switch (message.command) {
+    case `cc`: {
+      return message.value / 127;
+    }
+    case `cc14`:
+    case `nrpn`:
+    case `rpn`: {
+      return message.value / 16_383;
+    }
+    case `noteon`: {
+      return message.velocity / 127;
+    }
+    case `pitchbend`: {
+      return (message.value + 8192) / 16_383;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Controllers for selecting a parameter (98-101) and data entry (6, 38).
+ * MidiParser combines these into `nrpn` and `rpn` messages, which are learnt instead.
+ */
+const parameterControllers = new Set([ 6, 38, 98, 99, 100, 101 ]);
+
+/**
+ * @param {Binding} a
+ * @param {Binding} b
+ */
+const sameBinding = (a, b) => a.command === b.command && a.channel === b.channel && a.number === b.number;
+
+/**
+ * @typedef {{
+ * learned:{name:string, binding:Binding}
+ * change:{name:string, value:number}
+ * }} MidiMapperEvents
+ */
+/**
+ * @extends SimpleEventEmitter
+ */
+export class MidiMapper extends SimpleEventEmitter {
+  /**
+   * @type Map<string,Parameter>
+   */
+  #parameters = new Map();
+
+  /**
+   * Name of parameter waiting to be learnt, if any
+   * @type string|undefined
+   */
+  learning;
+
+  /**
+   * Key used for localStorage
+   */
+  storageKey;
+
+  /**
+   * When learning, how long to wait after a CC 0-31 for its LSB (CC 32-63),
+   * in milliseconds. If the LSB arrives, the control is learnt as 14-bit
+   */
+  lsbWaitMs = 50;
+
+  /**
+   * 7-bit control waiting to see if it is part of a 14-bit control
+   * @type {{binding:Binding, input:number, timer:ReturnType<typeof setTimeout>}|undefined}
+   */
+  #pending;
+
+  /**
+   * @param {string} [storageKey] Key to save mappings under in localStorage
+   */
+  constructor(storageKey = `midi-mappings`) {
+    super();
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Adds a parameter, restoring its binding if one was saved
+   * @param {string} name
+   * @param {Partial<ParameterOptions>} [options]
+   */
+  add(name, options = {}) {
+    const initial = options.initial ?? 0;
+    /** @type Parameter */
+    const p = {
+      name,
+      curve: toCurveFunction(options.curve),
+      smoothing: options.smoothing ?? 0,
+      softTakeover: options.softTakeover ?? true,
+      takeoverThreshold: options.takeoverThreshold ?? 0.05,
+      target: initial,
+      value: initial,
+      lastInput: undefined,
+      pickedUp: false,
+      updated: performance.now(),
+      binding: this.#load()[name]
+    };
+    this.#parameters.set(name, p);
+  }
+
+  /**
+   * Start learning for a parameter. The next control that moves will be bound to it.
+   * Call with _undefined_ to cancel learning.
+   * @param {string|undefined} name
+   */
+  learn(name) {
+    if (name !== undefined && !this.#parameters.has(name)) throw new Error(`Parameter not found: ${name}`);
+    this.#cancelPending();
+    this.learning = name;
+  }
+
+  /**
+   * Remove binding for a parameter
+   * @param {string} name
+   */
+  forget(name) {
+    const p = this.#parameters.get(name);
+    if (!p) return;
+    p.binding = undefined;
+    this.#save();
+  }
+
+  /**
+   * Returns the binding for a parameter, if it has one
+   * @param {string} name
+   * @returns {Binding|undefined}
+   */
+  binding(name) {
+    return this.#parameters.get(name)?.binding;
+  }
+
+  /**
+   * Handles a MIDI message, updating bound parameters
+   * or learning a binding.
+   * @param {import('./midi.js').Message} message
+   */
+  handle(message) {
+    const binding = bindingFor(message);
+    if (binding === undefined) return;
+    const input = scaledValue(message);
+
+    if (this.learning !== undefined) this.#learn(message, binding);
+    this.#apply(binding, input);
+  }
+
+  /**
+   * Learns a binding from a message.
+   *
+   * MidiParser sends the raw `cc` messages that make up 14-bit CC and NRPN/RPN
+   * before the combined message, so those are skipped or held back until we know
+   * if the combined message follows.
+   * @param {import('./midi.js').Message} message
+   * @param {Binding} binding
+   */
+  #learn(message, binding) {
+    const pending = this.#pending;
+    if (message.command === `cc`) {
+      const { controller, channel } = message;
+      if (parameterControllers.has(controller)) return;
+
+      // LSB of the control we are waiting on. The `cc14` that follows is learnt
+      if (pending && channel === pending.binding.channel && controller === pending.binding.number + 32) return;
+
+      if (controller < 32) {
+        // Could be the MSB of a 14-bit control, so wait to see if its LSB follows
+        if (pending && sameBinding(pending.binding, binding)) {
+          pending.input = scaledValue(message);
+          return;
+        }
+        this.#cancelPending();
+        const timer = setTimeout(() => {
+          const { binding, input } = this.#pending ?? {};
+          this.#pending = undefined;
+          if (binding === undefined || input === undefined) return;
+          this.#bind(binding);
+          this.#apply(binding, input);
+        }, this.lsbWaitMs);
+        this.#pending = { binding, input: scaledValue(message), timer };
+        return;
+      }
+    }
+
+    if (pending) {
+      // Something else moved while we were waiting. Only learn the 14-bit
+      // version of the pending control, otherwise the first control moved wins
+      if (message.command !== `cc14` || message.channel !== pending.binding.channel || message.controller !== pending.binding.number) return;
+      this.#cancelPending();
+    }
+    this.#bind(binding);
+  }
+
+  /**
+   * Binds the parameter being learnt
+   * @param {Binding} binding
+   */
+  #bind(binding) {
+    const p = this.learning === undefined ? undefined : this.#parameters.get(this.learning);
+    this.learning = undefined;
+    if (!p) return;
+
+    // A control can only be bound to one parameter
+    for (const other of this.#parameters.values()) {
+      if (other.binding && sameBinding(other.binding, binding)) other.binding = undefined;
+    }
+    p.binding = binding;
+    // We know where the control is, so pick up straight away
+    p.pickedUp = true;
+    this.#save();
+    this.fireEvent(`learned`, { name: p.name, binding });
+  }
+
+  #cancelPending() {
+    if (this.#pending) clearTimeout(this.#pending.timer);
+    this.#pending = undefined;
+  }
+
+  /**
+   * Applies an input to parameters bound to a control
+   * @param {Binding} binding
+   * @param {number} input 0..1
+   */
+  #apply(binding, input) {
+    for (const p of this.#parameters.values()) {
+      if (p.binding === undefined || !sameBinding(p.binding, binding)) continue;
+      this.#input(p, input);
+    }
+  }
+
+  /**
+   * Sets a parameter's value from code or UI. If soft takeover is enabled,
+   * the control must be moved to this value before it takes effect again.
+   * @param {string} name
+   * @param {number} value 0..1
+   */
+  set(name, value) {
+    const p = this.#parameters.get(name);
+    if (!p) throw new Error(`Parameter not found: ${name}`);
+    p.target = value;
+    p.value = value;
+    p.pickedUp = false;
+    this.fireEvent(`change`, { name, value });
+  }
+
+  /**
+   * Gets the value of a parameter, 0..1.
+   * If smoothing is used, call regularly (eg. in an animation loop) for the value to ease towards its target.
+   * @param {string} name
+   * @returns {number}
+   */
+  get(name) {
+    const p = this.#parameters.get(name);
+    if (!p) throw new Error(`Parameter not found: ${name}`);
+    const now = performance.now();
+    if (p.smoothing > 0) {
+      // Move a portion of the way towards target, based on time passed.
+      // Smoothing of 0.9 moves 10% each 1/60th of a second
+      const frames = (now - p.updated) / (1000 / 60);
+      const amount = 1 - Math.pow(p.smoothing, frames);
+      p.value += (p.target - p.value) * amount;
+    } else {
+      p.value = p.target;
+    }
+    p.updated = now;
+    return p.value;
+  }
+
+  /**
+   * Names of parameters
+   */
+  get names() {
+    return [ ...this.#parameters.keys() ];
+  }
+
+  /**
+   * Apply an incoming value to a parameter
+   * @param {Parameter} p
+   * @param {number} input 0..1
+   */
+  #input(p, input) {
+    const v = p.curve(input);
+    if (p.softTakeover && !p.pickedUp) {
+      // Pick up once the control is close to the current value,
+      // or passes over it
+      const last = p.lastInput;
+      p.lastInput = v;
+      const close = Math.abs(v - p.target) <= p.takeoverThreshold;
+      const crossed = last !== undefined && (last - p.target) * (v - p.target) <= 0;
+      if (!close && !crossed) return;
+      p.pickedUp = true;
+    }
+    // Bring smoothed value up to date before changing target
+    this.get(p.name);
+    p.target = v;
+    p.lastInput = v;
+    this.fireEvent(`change`, { name: p.name, value: v });
+  }
+
+  /**
+   * Load bindings from localStorage
+   * @returns {Record<string,Binding>}
+   */
+  #load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      if (saved) return JSON.parse(saved);
+    } catch (error) {
+      console.warn(`Could not load MIDI mappings`, error);
+    }
+    return {};
+  }
+
+  /**
+   * Save bindings to localStorage
+   */
+  #save() {
+    /** @type Record<string,Binding> */
+    const bindings = {};
+    for (const p of this.#parameters.values()) {
+      if (p.binding) bindings[p.name] = p.binding;
+    }
+    localStorage.setItem(this.storageKey, JSON.stringify(bindings));
+  }
+}
+
+/**
+ * A curve is `linear`, the name of an ixfx easing (eg `quadIn`), or a function
+ * @typedef {`linear`|import('../../ixfx/modulation.js').Easings.EasingName|((v:number) => number)} Curve
+ */
+
+/**
+ * @typedef {{
+ * command: `cc`|`cc14`|`nrpn`|`rpn`|`noteon`|`pitchbend`
+ * channel: number
+ * number: number
+ * }} Binding
+ */
+
+/**
+ * `smoothing` is 0..1, with 0 being no smoothing.
+ * With `softTakeover`, a control must come within `takeoverThreshold` of
+ * the current value (or pass over it) before taking effect.
+ * @typedef {{
+ * curve: Curve
+ * smoothing: number
+ * softTakeover: boolean
+ * takeoverThreshold: number
+ * initial: number
+ * }} ParameterOptions
+ */
+
+/**
+ * @typedef {{
+ * name: string
+ * curve: (v:number) => number
+ * smoothing: number
+ * softTakeover: boolean
+ * takeoverThreshold: number
+ * target: number
+ * value: number
+ * lastInput: number|undefined
+ * pickedUp: boolean
+ * updated: number
+ * binding: Binding|undefined
+ * }} Parameter
+ */
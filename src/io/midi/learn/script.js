@@ -0,0 +1,126 @@
+import * as MIDI from '../midi.js';
+import { MidiMapper } from '../learn.js';
+
+const settings = Object.freeze({
+  mapper: new MidiMapper(`midi-learn-demo`),
+  // Parameters that can be controlled, and how
+  parameters: /** @type Record<string,Partial<import('../learn.js').ParameterOptions>> */ ({
+    x: { smoothing: 0.9, initial: 0.5 },
+    size: { curve: `quadIn`, smoothing: 0.8, initial: 0.3 },
+    hue: { initial: 0.5 }
+  }),
+  parametersEl: /** @type HTMLElement */(document.querySelector(`#parameters`)),
+  thingEl: /** @type HTMLElement */(document.querySelector(`#thing`))
+});
+
+/**
+ * Update visuals based on parameter values
+ */
+const use = () => {
+  const { mapper, thingEl } = settings;
+
+  // Smoothed values move over time, so get them every frame
+  const x = mapper.get(`x`);
+  const size = mapper.get(`size`);
+  const hue = mapper.get(`hue`);
+
+  thingEl.style.left = `${x * 100}%`;
+  thingEl.style.width = thingEl.style.height = `${10 + size * 40}vh`;
+  thingEl.style.backgroundColor = `hsl(${hue * 360}, 100%, 50%)`;
+
+  for (const name of mapper.names) {
+    const slider = /** @type HTMLInputElement|null */(document.querySelector(`#${name} input`));
+    if (slider) slider.value = mapper.get(name).toString();
+  }
+
+  window.requestAnimationFrame(use);
+};
+
+/**
+ * Show what each parameter is bound to
+ */
+const showBindings = () => {
+  const { mapper } = settings;
+  for (const name of mapper.names) {
+    const element = document.querySelector(`#${name}`);
+    if (!element) continue;
+    const b = mapper.binding(name);
+    const bindingEl = element.querySelector(`.binding`);
+    if (bindingEl) bindingEl.textContent = b ? `${b.command} ${b.number} (ch ${b.channel})` : `Not bound`;
+    element.classList.toggle(`learning`, mapper.learning === name);
+  }
+};
+
+/**
+ * Make a row of UI for each parameter
+ */
+const createUi = () => {
+  const { mapper, parametersEl } = settings;
+  for (const name of mapper.names) {
+    const element = document.createElement(`div`);
+    element.classList.add(`parameter`);
+    element.id = name;
+    element.innerHTML = `
+      <label>${name}</label>
+      <input type="range" min="0" max="1" step="0.01">
+      <span class="binding"></span>
+      <button class="learn">Learn</button>
+      <button class="forget">Forget</button>`;
+    parametersEl.append(element);
+
+    // Moving the slider sets the value.
+    // The MIDI control will need to 'pick up' the new value
+    element.querySelector(`input`)?.addEventListener(`input`, event => {
+      const slider = /** @type HTMLInputElement */(event.target);
+      mapper.set(name, Number.parseFloat(slider.value));
+    });
+
+    element.querySelector(`.learn`)?.addEventListener(`click`, () => {
+      // Clicking again cancels
+      mapper.learn(mapper.learning === name ? undefined : name);
+      showBindings();
+    });
+
+    element.querySelector(`.forget`)?.addEventListener(`click`, () => {
+      mapper.forget(name);
+      showBindings();
+    });
+  }
+};
+
+async function setup() {
+  const { mapper, parameters } = settings;
+
+  for (const [ name, options ] of Object.entries(parameters)) {
+    mapper.add(name, options);
+  }
+  createUi();
+  showBindings();
+
+  mapper.addEventListener(`learned`, event => {
+    console.log(`Learned: ${event.name}`, event.binding);
+    showBindings();
+  });
+
+  try {
+    const r = await navigator.requestMIDIAccess();
+    for (const [ id, input ] of r.inputs) {
+      console.log(`MIDI input: ${input.id} - ${input.name} (${input.manufacturer})`);
+
+      // Use a parser for each input so 14-bit CC and NRPN are combined
+      const parser = new MIDI.MidiParser();
+      input.addEventListener(`midimessage`, event => {
+        const data = /** @type MIDIMessageEvent */(event).data;
+        if (!data) return;
+        for (const message of parser.push(data)) {
+          mapper.handle(message);
+        }
+      });
+    }
+  } catch (error) {
+    console.error(error);
+  }
+
+  window.requestAnimationFrame(use);
+};
+await setup();
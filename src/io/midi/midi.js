@@ -1,53 +1,440 @@
-/** @typedef { 'noteon'|'noteoff'|'pitchbend'|'cc'|'poly-at'|'progchange'|'at' } Commands */
 /**
- * @typedef {{
- *  command: Commands
- *  channel:number
- *  note: number
- *  velocity: number
- * }} Message
+ * @typedef { 'noteon'|'noteoff'|'poly-at'|'cc'|'progchange'|'at'|'pitchbend' } ChannelCommands
+ * @typedef { 'sysex'|'mtc-quarter'|'song-position'|'song-select'|'tune-request' } SystemCommands
+ * @typedef { 'clock'|'start'|'continue'|'stop'|'active-sensing'|'reset' } RealtimeCommands
+ * @typedef { 'cc14'|'nrpn'|'rpn' } DerivedCommands
+ * @typedef { ChannelCommands|SystemCommands|RealtimeCommands|DerivedCommands } Commands
  */
 
 /**
- * Parse MIDI event
+ * Note on or off. Channels are 1..16
+ * @typedef {{ command: 'noteon'|'noteoff', channel:number, note:number, velocity:number }} NoteMessage
+ */
+/**
+ * Polyphonic aftertouch
+ * @typedef {{ command: 'poly-at', channel:number, note:number, pressure:number }} PolyAftertouchMessage
+ */
+/**
+ * Control change, `value` 0..127
+ * @typedef {{ command: 'cc', channel:number, controller:number, value:number }} ControlChangeMessage
+ */
+/**
+ * @typedef {{ command: 'progchange', channel:number, program:number }} ProgramChangeMessage
+ */
+/**
+ * Channel aftertouch
+ * @typedef {{ command: 'at', channel:number, pressure:number }} AftertouchMessage
+ */
+/**
+ * Pitch bend, `value` is -8192..8191, with 0 being the centre
+ * @typedef {{ command: 'pitchbend', channel:number, value:number }} PitchbendMessage
+ */
+/**
+ * System exclusive. `data` is the bytes between 0xF0 and 0xF7
+ * @typedef {{ command: 'sysex', data:Uint8Array }} SysexMessage
+ */
+/**
+ * MIDI time code quarter frame. `value` is the data byte
+ * @typedef {{ command: 'mtc-quarter', value:number }} TimecodeMessage
+ */
+/**
+ * Song position, in MIDI beats (sixteenth notes)
+ * @typedef {{ command: 'song-position', beats:number }} SongPositionMessage
+ */
+/**
+ * @typedef {{ command: 'song-select', song:number }} SongSelectMessage
+ */
+/**
+ * System real-time and tune request messages, which have no data
+ * @typedef {{ command: RealtimeCommands|'tune-request' }} RealtimeMessage
+ */
+/**
+ * 14-bit control change, combining an MSB controller (0..31) and its LSB (32..63).
+ * `value` is 0..16383
+ * @typedef {{ command: 'cc14', channel:number, controller:number, value:number }} HighResControlChangeMessage
+ */
+/**
+ * Registered or non-registered parameter number.
+ * `parameter` and `value` are 0..16383
+ * @typedef {{ command: 'nrpn'|'rpn', channel:number, parameter:number, value:number }} ParameterMessage
+ */
+/**
+ * @typedef { NoteMessage|PolyAftertouchMessage|ControlChangeMessage|ProgramChangeMessage|AftertouchMessage|PitchbendMessage|SysexMessage|TimecodeMessage|SongPositionMessage|SongSelectMessage|RealtimeMessage|HighResControlChangeMessage|ParameterMessage } Message
+ */
+
+/** @type Record<number,RealtimeCommands> */
+const realtimeCommands = {
+  0xF8: `clock`,
+  0xFA: `start`,
+  0xFB: `continue`,
+  0xFC: `stop`,
+  0xFE: `active-sensing`,
+  0xFF: `reset`
+};
+
+/**
+ * Returns the number of data bytes that follow a status byte,
+ * or -1 for SysEx, which runs until 0xF7
+ * @param {number} status
+ */
+const dataLength = (status) => {
+  switch (status & 0xF0) {
+    case 0xC0:
+    case 0xD0: {
+      return 1;
+    }
+    case 0xF0: {
+      switch (status) {
+        case 0xF0: {
+          return -1;
+        }
+        case 0xF1:
+        case 0xF3: {
+          return 1;
+        }
+        case 0xF2: {
+          return 2;
+        }
+        default: {
+          return 0;
+        }
+      }
+    }
+    default: {
+      return 2;
+    }
+  }
+};
+
+/**
+ * Makes a message from a status byte and its data bytes
+ * @param {number} status
+ * @param {ArrayLike<number>} data
+ * @returns {Message|undefined}
+ */
+const toMessage = (status, data) => {
+  const channel = (status & 0x0F) + 1;
+  switch (status & 0xF0) {
+    case 0x80: {
+      return { command: `noteoff`, channel, note: data[0], velocity: data[1] };
+    }
+    case 0x90: {
+      // Note on with zero velocity is treated as note off
+      return { command: data[1] === 0 ? `noteoff` : `noteon`, channel, note: data[0], velocity: data[1] };
+    }
+    case 0xA0: {
+      return { command: `poly-at`, channel, note: data[0], pressure: data[1] };
+    }
+    case 0xB0: {
+      return { command: `cc`, channel, controller: data[0], value: data[1] };
+    }
+    case 0xC0: {
+      return { command: `progchange`, channel, program: data[0] };
+    }
+    case 0xD0: {
+      return { command: `at`, channel, pressure: data[0] };
+    }
+    case 0xE0: {
+      return { command: `pitchbend`, channel, value: ((data[1] << 7) | data[0]) - 8192 };
+    }
+  }
+
+  switch (status) {
+    case 0xF1: {
+      return { command: `mtc-quarter`, value: data[0] };
+    }
+    case 0xF2: {
+      return { command: `song-position`, beats: (data[1] << 7) | data[0] };
+    }
+    case 0xF3: {
+      return { command: `song-select`, song: data[0] };
+    }
+    case 0xF6: {
+      return { command: `tune-request` };
+    }
+  }
+  const realtime = realtimeCommands[status];
+  if (realtime) return { command: realtime };
+};
+
+/**
+ * Parse a single, complete MIDI message, such as
+ * the data of a `midimessage` event.
+ *
+ * Use `MidiParser` for a stream of bytes, running status,
+ * or to combine 14-bit CC and NRPN messages.
  * @param {Uint8Array} data
- * @returns {Message|undefined} 
+ * @returns {Message|undefined}
  */
 export const parse = (data) => {
-  /** @type Commands|undefined */
-  let command;
-
-  let first = data[0];
-  let second = data[1];
-  let third = data[2];
-
-  let channel = 0;
-  if (first >= 144 && first <= 159) {
-    channel = first-143;
-    command = third === 0 ? `noteoff` : `noteon`;  
-  } else if (first >= 128 && first <= 143) {
-    channel = first-127;
-    command = `noteoff`;
-  } else if (first >= 160 && first <= 175) {
-    channel = first-159;
-    command = `poly-at`;
-  } else if (first >= 176 && first <= 191) {
-    channel = first - 175;
-    command = `cc`;
-  } else if (first >= 192 && first <= 207) {
-    channel = first - 191;
-    command = `progchange`;
-  } else if (first >= 208 && first <= 223) {
-    channel = first - 207;
-    command = `at`;
-  } else if (first >= 224 && first <= 239) {
-    channel = first - 223;
-    command = `pitchbend`;
-  }
-
-  if (command === undefined) {
+  const status = data[0];
+  if (status === 0xF0) {
+    const end = data.indexOf(0xF7);
+    return { command: `sysex`, data: data.slice(1, end === -1 ? data.length : end) };
+  }
+  const message = toMessage(status, data.subarray(1));
+  if (message === undefined) {
     console.log(data);
-  } else {
-    return { command, note: second, velocity: third, channel };
   }
+  return message;
+};
+
+/**
+ * Parses a stream of MIDI bytes into messages.
+ *
+ * - Handles running status, where the status byte is left out for repeated messages
+ * - SysEx can arrive over several chunks, and real-time messages (eg. clock) can arrive in the middle of other messages
+ * - Control changes for controllers 0..31 followed by their LSB (32..63) are combined into `cc14` messages
+ * - NRPN (CC 99/98) and RPN (CC 101/100) parameter selection and data entry (CC 6/38) are combined into `nrpn` and `rpn` messages
+ *
+ * The original `cc` messages are still returned, with combined messages following them.
+ * A parameter message is returned for each data entry byte, so devices that only send
+ * the data MSB (CC 6) still work.
+ * ```js
+ * const parser = new MidiParser();
+ * input.addEventListener(`midimessage`, event => {
+ *  for (const message of parser.push(event.data)) {
+ *    ...
+ *  }
+ * });
+ * ```
+ */
+export class MidiParser {
+  /** Current status byte, kept for running status */
+  #status = 0;
+  /** @type number[] */
+  #data = [];
+  /** @type number[]|undefined */
+  #sysex;
+
+  /**
+   * Last MSB received for controllers 0..31, keyed by `channel-controller`
+   * @type Map<string,number>
+   */
+  #ccMsb = new Map();
+
+  /**
+   * Parameter selection per channel
+   * @type Map<number,{type:'nrpn'|'rpn', msb:number, lsb:number, valueMsb:number}>
+   */
+  #parameters = new Map();
+
+  /**
+   * Parse bytes, returning any complete messages
+   * @param {Iterable<number>} bytes
+   * @returns {Message[]}
+   */
+  push(bytes) {
+    /** @type Message[] */
+    const messages = [];
+    for (const b of bytes) {
+      // Real-time messages can appear anywhere and don't affect running status
+      if (b >= 0xF8) {
+        const m = toMessage(b, []);
+        if (m) messages.push(m);
+        continue;
+      }
+
+      if (b === 0xF0) {
+        this.#sysex = [];
+        this.#status = 0;
+        continue;
+      }
+
+      if (b === 0xF7) {
+        if (this.#sysex) messages.push({ command: `sysex`, data: Uint8Array.from(this.#sysex) });
+        this.#sysex = undefined;
+        continue;
+      }
+
+      if (b >= 0x80) {
+        // New status byte
+        this.#sysex = undefined;
+        this.#status = b;
+        this.#data = [];
+        if (dataLength(b) === 0) {
+          const m = toMessage(b, []);
+          if (m) messages.push(m);
+          // System common messages cancel running status
+          this.#status = 0;
+        }
+        continue;
+      }
+
+      // Data byte
+      if (this.#sysex) {
+        this.#sysex.push(b);
+        continue;
+      }
+      if (this.#status === 0) continue; // No status to go with it
+      this.#data.push(b);
+      if (this.#data.length < dataLength(this.#status)) continue;
+
+      const m = toMessage(this.#status, this.#data);
+      this.#data = [];
+      if (this.#status >= 0xF0) this.#status = 0;
+      if (m === undefined) continue;
+      messages.push(m);
+      if (m.command === `cc`) messages.push(...this.#combine(/** @type ControlChangeMessage */(m)));
+    }
+    return messages;
+  }
+
+  /**
+   * Returns combined 14-bit CC or parameter messages
+   * @param {ControlChangeMessage} m
+   * @returns {Message[]}
+   */
+  #combine(m) {
+    const { channel, controller, value } = m;
+    switch (controller) {
+      case 99:
+      case 101: {
+        // Parameter MSB
+        const type = controller === 99 ? `nrpn` : `rpn`;
+        const p = this.#parameters.get(channel);
+        this.#parameters.set(channel, { type, msb: value, lsb: p?.type === type ? p.lsb : 0, valueMsb: 0 });
+        return [];
+      }
+      case 98:
+      case 100: {
+        // Parameter LSB
+        const type = controller === 98 ? `nrpn` : `rpn`;
+        const p = this.#parameters.get(channel);
+        this.#parameters.set(channel, { type, msb: p?.type === type ? p.msb : 0, lsb: value, valueMsb: 0 });
+        return [];
+      }
+      case 6:
+      case 38: {
+        // Data entry MSB/LSB
+        const p = this.#parameters.get(channel);
+        if (p === undefined) break;
+        // RPN 127/127 is 'null', meaning no parameter is selected
+        if (p.type === `rpn` && p.msb === 127 && p.lsb === 127) return [];
+        if (controller === 6) p.valueMsb = value;
+        return [ {
+          command: p.type,
+          channel,
+          parameter: (p.msb << 7) | p.lsb,
+          value: (p.valueMsb << 7) | (controller === 38 ? value : 0)
+        } ];
+      }
+    }
+
+    const key = `${channel}-${controller}`;
+    if (controller < 32) {
+      this.#ccMsb.set(key, value);
+    } else if (controller < 64) {
+      const msb = this.#ccMsb.get(`${channel}-${controller - 32}`);
+      if (msb !== undefined) {
+        return [ { command: `cc14`, channel, controller: controller - 32, value: (msb << 7) | value } ];
+      }
+    }
+    return [];
+  }
+}
+
+/**
+ * Returns the status byte for a channel message
+ * @param {number} base
+ * @param {number} channel 1..16
+ */
+const channelStatus = (base, channel) => base | ((channel - 1) & 0x0F);
+
+/**
+ * Returns value as 7-bit data byte
+ * @param {number} v
+ */
+const data7 = (v) => Math.max(0, Math.min(127, Math.round(v)));
+
+/**
+ * Splits a 14-bit value into [lsb, msb]
+ * @param {number} v
+ * @returns {[number,number]}
+ */
+const data14 = (v) => {
+  const clamped = Math.max(0, Math.min(16_383, Math.round(v)));
+  return [ clamped & 0x7F, clamped >> 7 ];
+};
+
+/**
+ * Turns a message into bytes to send to a MIDI output.
+ * `cc14`, `nrpn` and `rpn` messages produce several control changes.
+ * ```js
+ * output.send(serialise({ command: `noteon`, channel: 1, note: 48, velocity: 127 }));
+ * ```
+ * @param {Message} message
+ * @returns {number[]}
+ */
+export const serialise = (message) => {
+  switch (message.command) {
+    case `noteon`: {
+      return [ channelStatus(0x90, message.channel), data7(message.note), data7(message.velocity) ];
+    }
+    case `noteoff`: {
+      return [ channelStatus(0x80, message.channel), data7(message.note), data7(message.velocity) ];
+    }
+    case `poly-at`: {
+      return [ channelStatus(0xA0, message.channel), data7(message.note), data7(message.pressure) ];
+    }
+    case `cc`: {
+      return [ channelStatus(0xB0, message.channel), data7(message.controller), data7(message.value) ];
+    }
+    case `progchange`: {
+      return [ channelStatus(0xC0, message.channel), data7(message.program) ];
+    }
+    case `at`: {
+      return [ channelStatus(0xD0, message.channel), data7(message.pressure) ];
+    }
+    case `pitchbend`: {
+      return [ channelStatus(0xE0, message.channel), ...data14(message.value + 8192) ];
+    }
+    case `cc14`: {
+      const [ lsb, msb ] = data14(message.value);
+      const status = channelStatus(0xB0, message.channel);
+      return [ status, data7(message.controller), msb, status, data7(message.controller) + 32, lsb ];
+    }
+    case `nrpn`:
+    case `rpn`: {
+      const [ parameterLsb, parameterMsb ] = data14(message.parameter);
+      const [ valueLsb, valueMsb ] = data14(message.value);
+      const status = channelStatus(0xB0, message.channel);
+      const isNrpn = message.command === `nrpn`;
+      return [
+        status, isNrpn ? 99 : 101, parameterMsb,
+        status, isNrpn ? 98 : 100, parameterLsb,
+        status, 6, valueMsb,
+        status, 38, valueLsb
+      ];
+    }
+    case `sysex`: {
+      return [ 0xF0, ...message.data, 0xF7 ];
+    }
+    case `mtc-quarter`: {
+      return [ 0xF1, data7(message.value) ];
+    }
+    case `song-position`: {
+      return [ 0xF2, ...data14(message.beats) ];
+    }
+    case `song-select`: {
+      return [ 0xF3, data7(message.song) ];
+    }
+    case `tune-request`: {
+      return [ 0xF6 ];
+    }
+  }
+  for (const [ status, command ] of Object.entries(realtimeCommands)) {
+    if (command === message.command) return [ Number(status) ];
+  }
+  throw new Error(`Cannot serialise message: ${JSON.stringify(message)}`);
+};
+
+/**
+ * Sends a message to a MIDI output.
+ * SysEx needs MIDI access to be requested with `{ sysex: true }`
+ * @param {MIDIOutput} output
+ * @param {Message} message
+ */
+export const send = (output, message) => {
+  output.send(serialise(message));
 };
@@ -0,0 +1,384 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Time-based effects for a WledSegment.
+ *
+ * Effects are layered, each layer blended on top of the ones
+ * below it using an HslMixer (eg. `hslHueMixer` or `hslOverwriteMixer`).
+ * The result is sent with `WledSegment.update()` at a capped frame rate.
+ *
+ * ```js
+ * const engine = new EffectEngine(wled.segments[0], { maxFps: 30 });
+ * engine.add(breathe({ colour: { h: 200, s: 1, l: 0.5 }, shape: Easings.get(`sineInOut`) }));
+ * engine.add(chase({ colour: { h: 20, s: 1, l: 0.5 }, width: 2 }), hslOverwriteMixer);
+ * engine.start();
+ * ```
+ */
+import { continuously } from '../../ixfx/flow.js';
+import { clamp } from '../../ixfx/numbers.js';
+import { updateSegment } from './wled.js';
+
+/**
+ * Gets a value 0..1 for an effect.
+ *
+ * If `source` is given, it is used instead of the effect's own timing. It can be
+ * an ixfx oscillator (or any iterator) or a function returning a number.
+ *
+ * Otherwise, `phase` (0..1, how far through the effect's period we are)
+ * is passed through `shape`, typically an ixfx easing, eg `Easings.get('sineIn')`.
+ * @param {DriverOptions} options
+ * @param {number} phase
+ * @returns {number}
+ */
+export const drive = (options, phase) => {
+  const { source, shape } = options;
+  if (source !== undefined) {
+    if (typeof source === `function`) return clamp(source());
+    const v = source.next().value;
+    return clamp(typeof v === `number` ? v : 0);
+  }
+  if (shape !== undefined) return clamp(shape(phase));
+  return phase;
+};
+
+/**
+ * Returns how far through a period of `periodMs` we are, 0..1
+ * @param {number} elapsedMs
+ * @param {number} periodMs
+ */
+const phaseOf = (elapsedMs, periodMs) => (elapsedMs % periodMs) / periodMs;
+
+/**
+ * A band of `width` LEDs that moves along the strip.
+ * By default it moves at a constant speed, completing the
+ * strip every `periodMs`.
+ * @param {ChaseOptions} options
+ * @returns {Effect}
+ */
+export const chase = (options) => {
+  const { colour, width = 1, periodMs = 2000 } = options;
+  return (context) => {
+    const { elapsedMs, length } = context;
+    const start = Math.floor(drive(options, phaseOf(elapsedMs, periodMs)) * length);
+    /** @type Led[] */
+    const leds = [];
+    for (let i = 0; i < width; i++) {
+      leds.push({ ...colour, index: (start + i) % length });
+    }
+    return leds;
+  };
+};
+
+/**
+ * All LEDs fade between `min` and `max` lightness.
+ * By default it follows a sine wave, repeating every `periodMs`.
+ * If `shape` is given, lightness follows the easing from `min` to `max` each period.
+ * @param {BreatheOptions} options
+ * @returns {Effect}
+ */
+export const breathe = (options) => {
+  const { colour, min = 0.05, max = colour.l, periodMs = 4000 } = options;
+  return (context) => {
+    const { elapsedMs, length } = context;
+    const phase = phaseOf(elapsedMs, periodMs);
+    const v = (options.shape === undefined && options.source === undefined) ?
+      // Default to a sine wave shape, 0..1..0
+      (Math.sin(phase * Math.PI * 2 - Math.PI / 2) + 1) / 2 :
+      drive(options, phase);
+    const l = min + (max - min) * v;
+    /** @type Led[] */
+    const leds = [];
+    for (let index = 0; index < length; index++) {
+      leds.push({ ...colour, l, index });
+    }
+    return leds;
+  };
+};
+
+/**
+ * A gradient between two hues which moves along the strip.
+ * The gradient covers the whole strip, and shifts by a full
+ * strip length every `periodMs`.
+ * @param {GradientSweepOptions} options
+ * @returns {Effect}
+ */
+export const gradientSweep = (options) => {
+  const { from, to, periodMs = 5000 } = options;
+  // Take the shortest way around the colour wheel
+  let hueDistance = to.h - from.h;
+  if (hueDistance > 180) hueDistance -= 360;
+  else if (hueDistance < -180) hueDistance += 360;
+
+  return (context) => {
+    const { elapsedMs, length } = context;
+    const offset = drive(options, phaseOf(elapsedMs, periodMs));
+    /** @type Led[] */
+    const leds = [];
+    for (let index = 0; index < length; index++) {
+      // Position along gradient, going there and back so it wraps smoothly
+      const p = (index / length + offset) % 1;
+      const amt = p < 0.5 ? p * 2 : (1 - p) * 2;
+      leds.push({
+        h: (from.h + hueDistance * amt + 360) % 360,
+        s: from.s + (to.s - from.s) * amt,
+        l: from.l + (to.l - from.l) * amt,
+        index
+      });
+    }
+    return leds;
+  };
+};
+
+/**
+ * Random LEDs light up and fade out over `fadeMs`.
+ *
+ * `density` is the chance (0..1) of an LED lighting up each second.
+ * If `source` or `shape` is given, density is multiplied by its value,
+ * allowing sparkling to come and go.
+ * @param {SparkleOptions} options
+ * @returns {Effect}
+ */
+export const sparkle = (options) => {
+  const { colour, density = 0.2, fadeMs = 500, periodMs = 4000 } = options;
+
+  /**
+   * When each LED last sparkled, keyed by index
+   * @type Map<number,number>
+   */
+  const lit = new Map();
+  let lastMs = 0;
+
+  return (context) => {
+    const { elapsedMs, length } = context;
+    const frameMs = Math.max(0, elapsedMs - lastMs);
+    lastMs = elapsedMs;
+
+    const amount = (options.source === undefined && options.shape === undefined) ? 1 : drive(options, phaseOf(elapsedMs, periodMs));
+    const chance = density * amount * frameMs / 1000;
+    for (let index = 0; index < length; index++) {
+      if (Math.random() < chance) lit.set(index, elapsedMs);
+    }
+
+    /** @type Led[] */
+    const leds = [];
+    for (const [index, startMs] of lit.entries()) {
+      const fade = 1 - (elapsedMs - startMs) / fadeMs;
+      if (fade <= 0 || index >= length) {
+        lit.delete(index);
+        continue;
+      }
+      leds.push({ ...colour, l: colour.l * fade, index });
+    }
+    return leds;
+  };
+};
+
+/**
+ * Runs a stack of effects on a segment.
+ *
+ * Layers are drawn in the order they were added, later layers
+ * being mixed on top of earlier ones.
+ */
+export class EffectEngine {
+  /**
+   * @type WledSegment
+   */
+  segment;
+
+  /**
+   * @type Layer[]
+   */
+  layers = [];
+
+  /**
+   * Returns the current time in milliseconds.
+   * Replace to drive the engine from a different clock.
+   * @type {() => number}
+   */
+  clock;
+
+  /** @type number */
+  #startedAt = 0;
+
+  /** @type number */
+  #maxFps;
+
+  /** @type import('../../ixfx/flow.js').Continuously */
+  #loop;
+
+  /**
+   *
+   * @param {WledSegment} segment
+   * @param {Partial<EffectEngineOptions>} [options]
+   */
+  constructor(segment, options = {}) {
+    this.segment = segment;
+    this.#maxFps = options.maxFps ?? 30;
+    this.clock = options.clock ?? (() => performance.now());
+    this.#loop = continuously(() => {
+      this.render();
+    }, Math.ceil(1000 / this.#maxFps));
+  }
+
+  /**
+   * Maximum frames per second to send to WLED.
+   * Changes take effect from the next frame.
+   */
+  get maxFps() {
+    return this.#maxFps;
+  }
+
+  set maxFps(fps) {
+    if (!(fps > 0)) throw new RangeError(`Param 'fps' should be above zero. Got: ${fps}`);
+    this.#maxFps = fps;
+    this.#loop.interval = Math.ceil(1000 / fps);
+  }
+
+  /**
+   * Adds an effect as a new layer on top of existing layers.
+   * Returns the layer, which can be used to disable or remove it.
+   * @param {Effect} effect
+   * @param {HslMixer} [mixer] How to mix with layers below. Defaults to the segment's mixer
+   * @returns {Layer}
+   */
+  add(effect, mixer) {
+    /** @type Layer */
+    const layer = { effect, mixer: mixer ?? this.segment.mixer, enabled: true };
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * Removes a layer
+   * @param {Layer} layer
+   */
+  remove(layer) {
+    this.layers = this.layers.filter(l => l !== layer);
+  }
+
+  /**
+   * Removes all layers
+   */
+  clear() {
+    this.layers = [];
+  }
+
+  /**
+   * Starts sending frames to WLED
+   */
+  start() {
+    this.#startedAt = this.clock();
+    this.#loop.start();
+  }
+
+  /**
+   * Stops sending frames. LEDs keep their last value
+   */
+  stop() {
+    this.#loop.cancel();
+  }
+
+  get running() {
+    const { runState } = this.#loop;
+    return runState === `running` || runState === `scheduled`;
+  }
+
+  /**
+   * Composes all enabled layers and sends the result.
+   * Called automatically once started, but could be called manually.
+   */
+  render() {
+    const { segment } = this;
+    const context = {
+      elapsedMs: this.clock() - this.#startedAt,
+      length: segment.length
+    };
+
+    let leds = segment.getBlank();
+    for (const layer of this.layers) {
+      if (!layer.enabled) continue;
+      leds = updateSegment(leds, layer.effect(context), layer.mixer);
+    }
+
+    // Keep in index order so LEDs can be sent compactly
+    leds.sort((a, b) => a.index - b.index);
+    segment.leds = leds;
+    segment.update();
+  }
+}
+
+/**
+ * @typedef {import('./wled.js').Led} Led
+ * @typedef {import('./wled.js').Hsl} Hsl
+ * @typedef {import('./wled.js').HslMixer} HslMixer
+ * @typedef {import('./wled.js').WledSegment} WledSegment
+ */
+
+/**
+ * @typedef {{
+ * elapsedMs: number
+ * length: number
+ * }} EffectContext
+ */
+
+/**
+ * An effect returns the LEDs it wants lit for a point in time.
+ * LEDs not returned are left as they are.
+ * @typedef {(context:EffectContext) => Led[]} Effect
+ */
+
+/**
+ * @typedef {{
+ * effect: Effect
+ * mixer: HslMixer
+ * enabled: boolean
+ * }} Layer
+ */
+
+/**
+ * @typedef {{
+ * maxFps: number
+ * clock: () => number
+ * }} EffectEngineOptions
+ */
+
+/**
+ * @typedef {{
+ * source?: Iterator<number>|(() => number)
+ * shape?: (v:number) => number
+ * periodMs?: number
+ * }} DriverOptions
+ */
+
+/**
+ * @typedef {DriverOptions & {
+ * colour: Hsl
+ * width?: number
+ * }} ChaseOptions
+ */
+
+/**
+ * @typedef {DriverOptions & {
+ * colour: Hsl
+ * min?: number
+ * max?: number
+ * }} BreatheOptions
+ */
+
+/**
+ * @typedef {DriverOptions & {
+ * from: Hsl
+ * to: Hsl
+ * }} GradientSweepOptions
+ */
+
+/**
+ * @typedef {DriverOptions & {
+ * colour: Hsl
+ * density?: number
+ * fadeMs?: number
+ * }} SparkleOptions
+ */
@@ -0,0 +1,149 @@
+import { Wled, hslOverwriteMixer } from "../wled.js";
+import { EffectEngine, breathe, chase, gradientSweep, sparkle } from "../effects.js";
+import { Easings, Oscillators } from '../../../ixfx/modulation.js';
+import { frequencyTimer } from '../../../ixfx/flow.js';
+
+const settings = Object.freeze({
+  wled: new Wled(`ws://4.3.2.1/ws`),
+  // What segment to control
+  segment: 0,
+  // Number of LEDs
+  numberOfLeds: 8,
+  // Cap on how many frames per second to send
+  maxFps: 30
+});
+
+/**
+ * @typedef {{
+ * connected: boolean
+ * engine: EffectEngine|undefined
+ * }} State
+ */
+
+/** @type State */
+let state = Object.freeze({
+  connected: false,
+  engine: undefined
+});
+
+/**
+ * Returns the effect engine, creating it if needed
+ * @returns {EffectEngine|undefined}
+ */
+function getEngine() {
+  const { wled, segment, maxFps } = settings;
+  if (state.engine) return state.engine;
+
+  const s = wled.segments[segment];
+  if (!s) {
+    console.log(`Segment ${segment} not available yet`);
+    return;
+  }
+  const engine = new EffectEngine(s, { maxFps });
+  saveState({ engine });
+  return engine;
+}
+
+/**
+ * Adds an effect on top of whatever is already running
+ * @param {import('../effects.js').Effect} effect
+ * @param {import('../wled.js').HslMixer} [mixer]
+ */
+function addEffect(effect, mixer) {
+  const engine = getEngine();
+  if (!engine) return;
+  engine.add(effect, mixer);
+  if (!engine.running) engine.start();
+}
+
+function setup() {
+  const { wled } = settings;
+
+  // Slow pulse, shaped by an easing function
+  document.querySelector(`#btnBreathe`)?.addEventListener(`click`, event => {
+    addEffect(breathe({
+      colour: { h: 200, s: 1, l: 0.4 },
+      shape: Easings.get(`sineInOut`),
+      periodMs: 3000
+    }));
+  });
+
+  // A band of LEDs moved back and forth by an oscillator
+  document.querySelector(`#btnChase`)?.addEventListener(`click`, event => {
+    addEffect(chase({
+      colour: { h: 20, s: 1, l: 0.5 },
+      width: 2,
+      source: Oscillators.sine(frequencyTimer(0.5))
+    }), hslOverwriteMixer);
+  });
+
+  document.querySelector(`#btnSweep`)?.addEventListener(`click`, event => {
+    addEffect(gradientSweep({
+      from: { h: 280, s: 1, l: 0.3 },
+      to: { h: 40, s: 1, l: 0.3 },
+      periodMs: 6000
+    }));
+  });
+
+  // Sparkles that come and go
+  document.querySelector(`#btnSparkle`)?.addEventListener(`click`, event => {
+    addEffect(sparkle({
+      colour: { h: 60, s: 0.2, l: 0.8 },
+      density: 2,
+      fadeMs: 400,
+      source: Oscillators.sine(frequencyTimer(0.2))
+    }), hslOverwriteMixer);
+  });
+
+  // Remove all effects and turn off LEDs
+  document.querySelector(`#btnStop`)?.addEventListener(`click`, event => {
+    const { engine } = state;
+    if (!engine) return;
+    engine.stop();
+    engine.clear();
+    engine.render();
+  });
+
+  // Listen for connection state changes
+  wled.connectionState.addEventListener(`change`, event => {
+    console.log(`Connection: ${event.priorState} -> ${event.newState}`);
+    saveState({ connected: event.newState === `open` });
+  });
+
+  wled.addEventListener(`updated`, event => {
+    if (event.what == `state`) {
+      // Override segment length, because my particular
+      // WLED setup doesn't have segments configured properly
+      wled.segments[settings.segment].length = settings.numberOfLeds;
+
+      // Segments are recreated when state arrives,
+      // so make a new engine when it's next needed
+      state.engine?.stop();
+      saveState({ engine: undefined });
+    }
+  });
+};
+
+/**
+ * Save state
+ * @param {Partial<State>} s
+ */
+function saveState(s) {
+  state = Object.freeze({
+    ...state,
+    ...s
+  });
+
+  // Connected state has changed
+  // Update CSS so we could make it obvious in UI
+  if (`connected` in s) {
+    if (s.connected) {
+      document.body.classList.add(`ws-open`);
+      document.body.classList.remove(`ws-closed`);
+    } else {
+      document.body.classList.remove(`ws-open`);
+      document.body.classList.add(`ws-closed`);
+    }
+  }
+}
+setup();
@@ -0,0 +1,102 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Controls several WLED controllers as one.
+ *
+ * ```js
+ * const group = new WledGroup([ `ws://10.0.0.10/ws`, `ws://10.0.0.11/ws` ]);
+ * group.brightness = 0.5;
+ * const s = group.segment(1, 0); // Controller 1, segment 0
+ * ```
+ */
+import { Wled } from './wled.js';
+import { SimpleEventEmitter } from '../../ixfx/events.js';
+
+/**
+ * @typedef {{
+ * connected:{connected:number, total:number}
+ * updated:{controller:number, what:`info`|`state`}
+ * }} WledGroupEvents
+ */
+/**
+ * @extends SimpleEventEmitter
+ */
+export class WledGroup extends SimpleEventEmitter {
+  /**
+   * @type Wled[]
+   */
+  controllers = [];
+
+  /**
+   *
+   * @param {Array<string|Wled>} controllers Websocket URLs or existing Wled instances
+   */
+  constructor(controllers) {
+    super();
+    for (const [ index, c ] of controllers.entries()) {
+      const wled = typeof c === `string` ? new Wled(c) : c;
+      wled.connectionState.addEventListener(`change`, () => {
+        this.fireEvent(`connected`, { connected: this.connectedCount, total: this.controllers.length });
+      });
+      wled.addEventListener(`updated`, event => {
+        this.fireEvent(`updated`, { controller: index, what: event.what });
+      });
+      this.controllers.push(wled);
+    }
+  }
+
+  /**
+   * Returns the number of controllers which are connected
+   */
+  get connectedCount() {
+    return this.controllers.filter(c => c.connectionState.state === `open`).length;
+  }
+
+  /**
+   * Returns _true_ if all controllers are connected
+   */
+  get allConnected() {
+    return this.connectedCount === this.controllers.length;
+  }
+
+  /**
+   * Gets a segment of a controller.
+   * Returns _undefined_ if the controller or segment isn't available (yet).
+   * Note that segments are replaced when controllers send their state.
+   * @param {number} controller Index of controller
+   * @param {number} [segment] Segment id, 0 by default
+   * @returns {import('./wled.js').WledSegment|undefined}
+   */
+  segment(controller, segment = 0) {
+    return this.controllers[controller]?.segments.find(s => s.id === segment);
+  }
+
+  /**
+   * Power all controllers on or off
+   * @param {boolean} on
+   */
+  set power(on) {
+    for (const c of this.controllers) c.power = on;
+  }
+
+  /**
+   * Set brightness 0..1 of all controllers
+   * @param {number} value
+   */
+  set brightness(value) {
+    for (const c of this.controllers) c.brightness = value;
+  }
+
+  /**
+   * Sets the realtime transport of all controllers. See realtime.js
+   * @param {(wled:Wled, index:number) => import('./realtime.js').RealtimeBridge|undefined} create
+   */
+  setRealtime(create) {
+    for (const [ index, c ] of this.controllers.entries()) {
+      c.realtime = create(c, index);
+    }
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Maps a 2D grid of pixels onto LED matrix panels, which can be
+ * spread across several segments and controllers.
+ *
+ * Each panel covers a rectangle of the canvas and says how its
+ * LEDs are wired: row or column order, serpentine or not, and how
+ * it is rotated.
+ *
+ * ```js
+ * const canvas = new LedCanvas(16, 8, [
+ *  { wled: wledA, x: 0, y: 0, width: 8, height: 8, serpentine: true },
+ *  { wled: wledB, x: 8, y: 0, width: 8, height: 8, serpentine: true, rotation: 180 }
+ * ]);
+ * canvas.set(3, 4, { h: 200, s: 1, l: 0.5 });
+ * canvas.update();
+ * ```
+ */
+import { Colour } from '../../ixfx/visual.js';
+import { HslOff } from './wled.js';
+
+/**
+ * Returns the LED index within a panel for a position within the panel.
+ * `x` and `y` are relative to the top-left of the panel as it appears on the canvas.
+ * @param {number} x
+ * @param {number} y
+ * @param {PanelLayout} panel
+ * @returns {number}
+ */
+export const panelIndex = (x, y, panel) => {
+  const { width, height, order = `row`, serpentine = false, rotation = 0, offset = 0 } = panel;
+
+  // Work out position in terms of how the panel is wired,
+  // undoing its rotation
+  let wx = x;
+  let wy = y;
+  let wiredWidth = width;
+  let wiredHeight = height;
+  switch (rotation) {
+    case 90: {
+      wx = y;
+      wy = width - 1 - x;
+      wiredWidth = height;
+      wiredHeight = width;
+      break;
+    }
+    case 180: {
+      wx = width - 1 - x;
+      wy = height - 1 - y;
+      break;
+    }
+    case 270: {
+      wx = height - 1 - y;
+      wy = x;
+      wiredWidth = height;
+      wiredHeight = width;
+      break;
+    }
+  }
+
+  if (order === `column`) {
+    // Every other column runs backwards if serpentine
+    if (serpentine && wx % 2 === 1) wy = wiredHeight - 1 - wy;
+    return offset + wx * wiredHeight + wy;
+  }
+  // Every other row runs backwards if serpentine
+  if (serpentine && wy % 2 === 1) wx = wiredWidth - 1 - wx;
+  return offset + wy * wiredWidth + wx;
+};
+
+/**
+ * A grid of pixels drawn onto LED panels
+ */
+export class LedCanvas {
+  width;
+  height;
+
+  /**
+   * @type Panel[]
+   */
+  panels;
+
+  /**
+   * Colour of each pixel, row by row
+   * @type Hsl[]
+   */
+  #pixels;
+
+  /**
+   * @param {number} width Width in pixels
+   * @param {number} height Height in pixels
+   * @param {Panel[]} panels
+   */
+  constructor(width, height, panels) {
+    this.width = width;
+    this.height = height;
+    this.panels = panels;
+    this.#pixels = Array.from({ length: width * height }, () => HslOff());
+  }
+
+  /**
+   * Returns the colour at a position, or _undefined_ if outside of canvas
+   * @param {number} x
+   * @param {number} y
+   * @returns {Hsl|undefined}
+   */
+  get(x, y) {
+    if (!this.#inside(x, y)) return;
+    return this.#pixels[y * this.width + x];
+  }
+
+  /**
+   * Sets the colour at a position. Positions outside the canvas are ignored.
+   * @param {number} x
+   * @param {number} y
+   * @param {Hsl} colour
+   */
+  set(x, y, colour) {
+    if (!this.#inside(x, y)) return;
+    this.#pixels[y * this.width + x] = { h: colour.h, s: colour.s, l: colour.l };
+  }
+
+  /**
+   * Sets all pixels to a colour. If not given, uses black (off)
+   * @param {Hsl} [colour]
+   */
+  fill(colour) {
+    const c = colour ?? HslOff();
+    this.#pixels = this.#pixels.map(() => ({ ...c }));
+  }
+
+  /**
+   * Sets pixels by sampling a canvas, scaling it to fit
+   * @param {CanvasImageSource} source Eg. a HTMLCanvasElement
+   */
+  drawFrom(source) {
+    const { width, height } = this;
+    const scratch = new OffscreenCanvas(width, height);
+    const context = scratch.getContext(`2d`, { willReadFrequently: true });
+    if (!context) return;
+    context.drawImage(source, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+    for (let index = 0; index < width * height; index++) {
+      const p = index * 4;
+      // Safe, so black and greys get a hue of 0 rather than NaN
+      const hsl = Colour.toHsl({ r: data[p] / 255, g: data[p + 1] / 255, b: data[p + 2] / 255, opacity: 1, space: `srgb` }, true);
+      // Keep hue in degrees, like the rest of the WLED code
+      this.#pixels[index] = { h: hsl.h * 360, s: hsl.s, l: hsl.l };
+    }
+  }
+
+  /**
+   * Draws the canvas as a grid of circles, for previewing without LEDs
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} cellSize Size of each pixel
+   */
+  preview(context, cellSize) {
+    context.fillStyle = `black`;
+    context.fillRect(0, 0, this.width * cellSize, this.height * cellSize);
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const c = this.#pixels[y * this.width + x];
+        context.fillStyle = `hsl(${c.h}, ${c.s * 100}%, ${c.l * 100}%)`;
+        context.beginPath();
+        context.arc(x * cellSize + cellSize / 2, y * cellSize + cellSize / 2, cellSize * 0.4, 0, Math.PI * 2);
+        context.fill();
+      }
+    }
+  }
+
+  /**
+   * Sends pixels to the panels.
+   * Panels sharing a segment are combined so each segment is sent once.
+   * Panels whose controller is not ready are skipped.
+   */
+  update() {
+    /** @type Map<import('./wled.js').WledSegment, Led[]> */
+    const bySegment = new Map();
+    for (const panel of this.panels) {
+      const segment = panel.wled.segments.find(s => s.id === (panel.segment ?? 0));
+      if (segment === undefined) continue;
+
+      let leds = bySegment.get(segment);
+      if (leds === undefined) {
+        leds = [];
+        bySegment.set(segment, leds);
+      }
+      for (let y = 0; y < panel.height; y++) {
+        for (let x = 0; x < panel.width; x++) {
+          const c = this.get(panel.x + x, panel.y + y) ?? HslOff();
+          leds.push({ ...c, index: panelIndex(x, y, panel) });
+        }
+      }
+    }
+
+    for (const [ segment, leds ] of bySegment.entries()) {
+      // Keep in index order so LEDs can be sent compactly
+      leds.sort((a, b) => a.index - b.index);
+      segment.leds = leds;
+      segment.update();
+    }
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  #inside(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height && Number.isInteger(x) && Number.isInteger(y);
+  }
+}
+
+/**
+ * @typedef {import('./wled.js').Led} Led
+ * @typedef {import('./wled.js').Hsl} Hsl
+ */
+
+/**
+ * How a panel is wired.
+ * `width` and `height` are as the panel appears on the canvas (ie. after rotation).
+ * `offset` is the index of the panel's first LED in its segment, for panels chained together.
+ * `rotation` is clockwise, in degrees.
+ * @typedef {{
+ * width: number
+ * height: number
+ * order?: `row`|`column`
+ * serpentine?: boolean
+ * rotation?: 0|90|180|270
+ * offset?: number
+ * }} PanelLayout
+ */
+
+/**
+ * A panel placed on the canvas, with its top-left at `x`,`y`.
+ * `segment` is the segment id on the controller, 0 by default.
+ * @typedef {PanelLayout & {
+ * wled: import('./wled.js').Wled
+ * segment?: number
+ * x: number
+ * y: number
+ * }} Panel
+ */
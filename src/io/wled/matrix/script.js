@@ -0,0 +1,87 @@
+import { WledGroup } from "../group.js";
+import { LedCanvas } from "../matrix.js";
+import { continuously } from '../../../ixfx/flow.js';
+
+// Two controllers, each with an 8x8 serpentine panel.
+// The second panel is mounted upside down.
+const group = new WledGroup([ `ws://10.0.0.10/ws`, `ws://10.0.0.11/ws` ]);
+// To try with the stand-in controller, run `LEDS=64 npm run wled` twice with different ports, eg:
+// const group = new WledGroup([ `ws://localhost:5556/ws`, `ws://localhost:5560/ws` ]);
+
+const settings = Object.freeze({
+  group,
+  leds: new LedCanvas(16, 8, [
+    { wled: group.controllers[0], x: 0, y: 0, width: 8, height: 8, serpentine: true },
+    { wled: group.controllers[1], x: 8, y: 0, width: 8, height: 8, serpentine: true, rotation: 180 }
+  ]),
+  // Canvas we draw on. Drawn at a larger size and scaled down to LEDs
+  sourceEl: /** @type HTMLCanvasElement */(document.querySelector(`#source`)),
+  // Canvas to preview what LEDs should show
+  previewEl: /** @type HTMLCanvasElement */(document.querySelector(`#preview`)),
+  statusEl: /** @type HTMLElement */(document.querySelector(`#status`)),
+  fps: 30
+});
+
+let state = Object.freeze({
+  /** @type number */
+  frame: 0
+});
+
+/**
+ * Draw a circle moving around the canvas
+ */
+function draw() {
+  const { sourceEl } = settings;
+  const { frame } = state;
+  const context = sourceEl.getContext(`2d`);
+  if (!context) return;
+
+  const { width, height } = sourceEl;
+  context.fillStyle = `black`;
+  context.fillRect(0, 0, width, height);
+
+  const x = width / 2 + Math.cos(frame / 20) * width * 0.35;
+  const y = height / 2 + Math.sin(frame / 13) * height * 0.3;
+  context.fillStyle = `hsl(${frame % 360}, 100%, 50%)`;
+  context.beginPath();
+  context.arc(x, y, height * 0.25, 0, Math.PI * 2);
+  context.fill();
+}
+
+function use() {
+  const { leds, sourceEl, previewEl } = settings;
+
+  // Sample the source canvas onto LEDs
+  leds.drawFrom(sourceEl);
+
+  const context = previewEl.getContext(`2d`);
+  if (context) leds.preview(context, previewEl.width / leds.width);
+
+  leds.update();
+}
+
+function setup() {
+  const { group, statusEl, fps } = settings;
+
+  group.addEventListener(`connected`, event => {
+    statusEl.textContent = `Connected: ${event.connected} of ${event.total}`;
+  });
+
+  continuously(() => {
+    draw();
+    use();
+    saveState({ frame: state.frame + 1 });
+  }, Math.floor(1000 / fps)).start();
+};
+
+/**
+ * Save state
+ * @param {Partial<state>} s
+ */
+function saveState(s) {
+  state = Object.freeze({
+    ...state,
+    ...s
+  });
+}
+setup();
@@ -0,0 +1,129 @@
+/**
+ * #####################################
+ * This can be considered a library file
+ * and should not need to be modified
+ * #####################################
+ *
+ * Sends LED data to WLED using its realtime UDP protocols (DDP, DRGB or DNRGB)
+ * rather than JSON. These are much lighter for long strips at animation frame rates.
+ *
+ * Browsers can't send UDP, so data goes via a small bridge (`npm run wled-bridge`)
+ * which forwards it to the controller.
+ *
+ * ```js
+ * const wled = new Wled(`ws://4.3.2.1/ws`);
+ * wled.realtime = new RealtimeBridge({ host: `4.3.2.1`, protocol: `ddp` });
+ * ```
+ *
+ * If the bridge isn't connected, `WledSegment.update()` falls back to sending JSON.
+ */
+
+/**
+ * Connection to the realtime bridge
+ */
+export class RealtimeBridge {
+  /**
+   * @type WebSocket|undefined
+   */
+  ws;
+
+  /**
+   * @type RealtimeOptions
+   */
+  options;
+
+  reconnectIntervalMs = 5000;
+
+  /**
+   * Number of frames sent
+   */
+  sentFrames = 0;
+
+  /**
+   * Number of bytes of LED data sent to the bridge
+   */
+  sentBytes = 0;
+
+  #closed = false;
+
+  /**
+   *
+   * @param {Partial<RealtimeOptions>} options
+   */
+  constructor(options = {}) {
+    this.options = {
+      bridgeUrl: options.bridgeUrl ?? `ws://${window.location.hostname}:5557`,
+      host: options.host ?? `4.3.2.1`,
+      protocol: options.protocol ?? `ddp`,
+      port: options.port ?? (options.protocol === `ddp` || options.protocol === undefined ? 4048 : 21_324),
+      timeoutSecs: options.timeoutSecs ?? 2
+    };
+    this.connect();
+  }
+
+  /**
+   * Returns _true_ if connected to the bridge
+   */
+  get isOpen() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  connect() {
+    const { bridgeUrl, host, port, protocol, timeoutSecs } = this.options;
+    const parameters = new URLSearchParams({ host, port: port.toString(), protocol, timeout: timeoutSecs.toString() });
+    const s = new WebSocket(`${bridgeUrl}?${parameters}`);
+    s.binaryType = `arraybuffer`;
+    s.addEventListener(`close`, (event) => {
+      // Bridge closes with a reason if settings are invalid or the host can't be reached
+      if (event.reason) console.log(`RealtimeBridge closed: ${event.reason}`);
+      if (this.#closed) return;
+      setTimeout(() => {
+        this.connect();
+      }, this.reconnectIntervalMs);
+    });
+    s.addEventListener(`error`, (event) => {
+      console.log(`RealtimeBridge error. Is the bridge running?`);
+    });
+    this.ws = s;
+  }
+
+  /**
+   * Sends LED colours.
+   * Returns _false_ if not connected, in which case data is not sent.
+   * @param {number} start Index of first LED
+   * @param {Uint8Array} rgb Colour of each LED as r,g,b bytes
+   * @returns {boolean}
+   */
+  send(start, rgb) {
+    if (!this.isOpen || this.ws === undefined) return false;
+
+    // Message is the start index (16 bit) followed by LED data
+    const message = new Uint8Array(rgb.length + 2);
+    message[0] = (start >> 8) & 0xFF;
+    message[1] = start & 0xFF;
+    message.set(rgb, 2);
+    this.ws.send(message);
+
+    this.sentFrames++;
+    this.sentBytes += message.length;
+    return true;
+  }
+
+  /**
+   * Closes connection to bridge, without reconnecting
+   */
+  close() {
+    this.#closed = true;
+    this.ws?.close();
+  }
+}
+
+/**
+ * @typedef {{
+ * bridgeUrl: string
+ * host: string
+ * port: number
+ * protocol: `ddp`|`drgb`|`dnrgb`
+ * timeoutSecs: number
+ * }} RealtimeOptions
+ */
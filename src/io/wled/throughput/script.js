@@ -0,0 +1,158 @@
+import { Wled } from "../wled.js";
+import { RealtimeBridge } from "../realtime.js";
+import { continuously } from '../../../ixfx/flow.js';
+
+const settings = Object.freeze({
+  wled: new Wled(`ws://4.3.2.1/ws`),
+  // Realtime bridge, forwarding to the same controller
+  bridge: new RealtimeBridge({ host: `4.3.2.1`, protocol: `ddp` }),
+  // What segment to control
+  segment: 0,
+  // Number of LEDs. Use a long strip to see the difference
+  numberOfLeds: 300,
+  // Frames per second to attempt
+  fps: 60,
+  statsEl: /** @type HTMLElement */(document.querySelector(`#stats`))
+});
+
+/**
+ * @typedef {{
+ * connected: boolean
+ * mode: `json`|`realtime`|`stopped`
+ * frame: number
+ * updateMs: number
+ * updates: number
+ * lastBytes: number
+ * lastFrames: number
+ * }} State
+ */
+
+/** @type State */
+let state = Object.freeze({
+  connected: false,
+  mode: `stopped`,
+  frame: 0,
+  updateMs: 0,
+  updates: 0,
+  lastBytes: 0,
+  lastFrames: 0
+});
+
+/**
+ * Draws a moving rainbow and sends it,
+ * keeping track of how long sending takes
+ */
+const animation = continuously(() => {
+  const { wled, segment } = settings;
+  const { frame } = state;
+  const s = wled.segments[segment];
+  if (!s) return;
+
+  for (const led of s.each()) {
+    led.h = (led.index * 360 / s.length + frame * 3) % 360;
+    led.s = 1;
+    led.l = 0.3;
+  }
+
+  const started = performance.now();
+  s.update();
+  saveState({
+    frame: frame + 1,
+    updateMs: state.updateMs + (performance.now() - started),
+    updates: state.updates + 1
+  });
+}, Math.floor(1000 / settings.fps));
+
+/**
+ * Once a second, show how much data was sent
+ */
+const report = continuously(() => {
+  const { wled, bridge, statsEl } = settings;
+  const { mode, updateMs, updates, lastBytes, lastFrames } = state;
+
+  // Total sent so far, by either transport
+  const bytes = wled.sentBytes + bridge.sentBytes;
+  const frames = wled.sentMessages + bridge.sentFrames;
+  const transport = (mode === `realtime` && bridge.isOpen) ? `realtime (${bridge.options.protocol})` : `json`;
+
+  statsEl.textContent = `Mode:       ${mode === `stopped` ? mode : transport}
+Frames/s:   ${frames - lastFrames}
+KB/s:       ${((bytes - lastBytes) / 1024).toFixed(1)}
+ms/update:  ${updates > 0 ? (updateMs / updates).toFixed(2) : `-`}`;
+
+  saveState({ lastBytes: bytes, lastFrames: frames, updateMs: 0, updates: 0 });
+}, 1000);
+
+/**
+ * Switch how LED data is sent
+ * @param {State["mode"]} mode
+ */
+function setMode(mode) {
+  const { wled, bridge } = settings;
+
+  // If realtime is set, but the bridge isn't connected,
+  // Wled falls back to JSON
+  wled.realtime = mode === `realtime` ? bridge : undefined;
+
+  if (mode === `stopped`) {
+    animation.cancel();
+  } else {
+    animation.start();
+  }
+  saveState({ mode });
+}
+
+function setup() {
+  const { wled } = settings;
+
+  document.querySelector(`#btnJson`)?.addEventListener(`click`, event => {
+    setMode(`json`);
+  });
+
+  document.querySelector(`#btnRealtime`)?.addEventListener(`click`, event => {
+    setMode(`realtime`);
+  });
+
+  document.querySelector(`#btnStop`)?.addEventListener(`click`, event => {
+    setMode(`stopped`);
+  });
+
+  // Listen for connection state changes
+  wled.connectionState.addEventListener(`change`, event => {
+    console.log(`Connection: ${event.priorState} -> ${event.newState}`);
+    saveState({ connected: event.newState === `open` });
+  });
+
+  wled.addEventListener(`updated`, event => {
+    if (event.what == `state`) {
+      // Override segment length to make sure we have a long strip
+      wled.segments[settings.segment].length = settings.numberOfLeds;
+    }
+  });
+
+  report.start();
+};
+
+/**
+ * Save state
+ * @param {Partial<State>} s
+ */
+function saveState(s) {
+  state = Object.freeze({
+    ...state,
+    ...s
+  });
+
+  // Connected state has changed
+  // Update CSS so we could make it obvious in UI
+  if (`connected` in s) {
+    if (s.connected) {
+      document.body.classList.add(`ws-open`);
+      document.body.classList.remove(`ws-closed`);
+    } else {
+      document.body.classList.remove(`ws-open`);
+      document.body.classList.add(`ws-closed`);
+    }
+  }
+}
+setup();
@@ -29,10 +29,13 @@ export const parseLeds = (colours) => {
     const colour = (typeof v === `string`) ? v : v[1];
     const index = (typeof v === `string`) ? i : v[0];
 
+    // ixfx gives hue as 0..1, but we use degrees
     const parsed = Colour.toHsl(colour);
     leds.push({
       index,
-      ...parsed
+      h: parsed.h * 360,
+      s: parsed.s,
+      l: parsed.l
     });
   }
   return leds;
@@ -143,13 +146,34 @@ const isContiguous = (leds) => {
  * @returns 
  */
 const getHex = (led) => {
-  const h = Math.abs(led.h % 360);
+  // Hue is kept in degrees, but ixfx expects 0..1
+  const h = Math.abs(led.h % 360) / 360;
 
   // @ts-ignore
   const hex = Colour.toHex({ h, s: led.s, l: led.l });
   return hex.slice(1);
 };
 
+/**
+ * Returns LED colours as r,g,b bytes, with
+ * LEDs not included in `leds` being off
+ * @param {Led[]} leds
+ * @param {number} length Number of LEDs
+ * @returns {Uint8Array}
+ */
+const toRgbBytes = (leds, length) => {
+  const bytes = new Uint8Array(length * 3);
+  for (const led of leds) {
+    if (led.index < 0 || led.index >= length) continue;
+    // Hue is kept in degrees, but ixfx expects 0..1
+    const rgb = Colour.toRgb({ h: Math.abs(led.h % 360) / 360, s: led.s, l: led.l });
+    bytes[led.index * 3] = Math.round(rgb.r * 255);
+    bytes[led.index * 3 + 1] = Math.round(rgb.g * 255);
+    bytes[led.index * 3 + 2] = Math.round(rgb.b * 255);
+  }
+  return bytes;
+};
+
 /**
  * 
  * @param {Led[]} leds 
@@ -318,12 +342,19 @@ export class WledSegment {
   }
 
   /**
-   * Sends LED data
+   * Sends LED data.
+   * Uses the realtime transport if the Wled instance has one that is connected,
+   * otherwise sends JSON.
    */
   update() {
     if (this.#wled.debugSentLeds) {
       console.log(this.#leds);
     }
+    const { realtime } = this.#wled;
+    if (realtime?.isOpen) {
+      const sent = realtime.send(this.data.start ?? 0, toRgbBytes(this.#leds, this.length));
+      if (sent) return;
+    }
     this.send({ i: simplifyLeds(this.#leds) });
   }
   /**
@@ -462,6 +493,23 @@ export class Wled extends SimpleEventEmitter {
    */
   debugSentLeds = false;
 
+  /**
+   * Optional realtime transport for LED data (see realtime.js).
+   * If set and connected, `WledSegment.update()` uses it instead of JSON.
+   * @type {import('./realtime.js').RealtimeBridge|undefined}
+   */
+  realtime;
+
+  /**
+   * Number of messages sent as JSON
+   */
+  sentMessages = 0;
+
+  /**
+   * Number of characters sent as JSON
+   */
+  sentBytes = 0;
+
   /**
    * @type WledSegment[]
    */
@@ -672,7 +720,11 @@ export class Wled extends SimpleEventEmitter {
     if (this.debugSent) {
       this.#log(`Sent`, data);
     }
-    this.ws?.send(JSON.stringify(data));
+    if (this.ws === undefined) return;
+    const json = JSON.stringify(data);
+    this.ws.send(json);
+    this.sentMessages++;
+    this.sentBytes += json.length;
   }
 
   /**
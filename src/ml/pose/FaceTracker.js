@@ -0,0 +1,76 @@
+import { PoseTracker } from './PoseTracker.js';
+
+/**
+ * Tracks a face from the sender's face model (see Landmarks.js).
+ * Landmarks are named as in `Landmarks.faceLandmarks`, eg. `nose_tip`.
+ *
+ * Use with PosesTracker:
+ * ```js
+ * const faces = new MoveNet.PosesTracker({ tracker: MoveNet.FaceTracker });
+ * for (const face of faces.get()) {
+ *  const open = face.mouthOpen;
+ * }
+ * ```
+ */
+export class FaceTracker extends PoseTracker {
+  /**
+   * Returns the last position of a landmark, eg. `upper_lip`
+   * @param {string} name
+   */
+  landmark(name) {
+    return this.keypointValue(name);
+  }
+
+  /**
+   * Returns distance between two landmarks
+   * @param {string} a
+   * @param {string} b
+   */
+  #distance(a, b) {
+    const ptA = this.landmark(a);
+    const ptB = this.landmark(b);
+    return Math.hypot(ptA.x - ptB.x, ptA.y - ptB.y);
+  }
+
+  /**
+   * Returns the height of the face, from forehead to chin.
+   * Other distances are compared to this, so it doesn't matter how far the face is from the camera.
+   */
+  get faceHeight() {
+    return this.#distance(`forehead`, `chin`);
+  }
+
+  /**
+   * Returns how open the mouth is: the gap between the lips, in face heights.
+   * Closed is close to 0, wide open is about 0.3
+   */
+  get mouthOpen() {
+    const height = this.faceHeight;
+    if (height === 0) return Number.NaN;
+    return this.#distance(`upper_lip`, `lower_lip`) / height;
+  }
+
+  /**
+   * Returns how open each eye is: height compared to width.
+   * Closed is close to 0, open is about 0.3
+   */
+  get eyesOpen() {
+    /**
+     * @param {string} side
+     */
+    const eye = (side) => {
+      const width = this.#distance(`${side}_eye_inner`, `${side}_eye_outer`);
+      if (width === 0) return Number.NaN;
+      return this.#distance(`${side}_eye_top`, `${side}_eye_bottom`) / width;
+    };
+    return { left: eye(`left`), right: eye(`right`) };
+  }
+
+  /**
+   * Body features aren't available for faces
+   * @returns {never}
+   */
+  get features() {
+    throw new Error(`Features are only available for body poses`);
+  }
+}
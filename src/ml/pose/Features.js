@@ -0,0 +1,246 @@
+import { limbs, limbLengths } from './Util.js';
+import * as MoveNet from './Poses.js';
+
+/**
+ * Features derived from a pose, so sketches don't need to work them out from keypoints.
+ *
+ * Angles are in radians. Values that can't be calculated because keypoints
+ * are missing or have a low score are NaN.
+ *
+ * Get them for a tracked pose:
+ * ```js
+ * const f = poseTracker.features;
+ * f.angles.leftElbow;
+ * ```
+ *
+ * Or for a raw pose:
+ * ```js
+ * const f = MoveNet.Features.compute(pose);
+ * ```
+ * @typedef {{
+ * angles: JointAngles
+ * torsoLean: number
+ * shoulderTilt: number
+ * facing: number
+ * handHeight: { left:number, right:number }
+ * limbLengths: Record<string,number>
+ * torsoLength: number
+ * }} BodyFeatures
+ */
+
+/**
+ * Angle at each joint, 0..PI. A straight limb is PI.
+ * @typedef {{
+ * leftElbow:number
+ * rightElbow:number
+ * leftShoulder:number
+ * rightShoulder:number
+ * leftHip:number
+ * rightHip:number
+ * leftKnee:number
+ * rightKnee:number
+ * }} JointAngles
+ */
+
+/**
+ * Width of shoulders relative to torso length when facing the camera.
+ * Used to estimate which way someone is facing.
+ */
+export const frontShoulderRatio = 0.8;
+
+/**
+ * Returns a keypoint if it has at least `minScore`, otherwise _undefined_
+ * @param {MoveNet.Pose} pose
+ * @param {string} name
+ * @param {number} minScore
+ */
+const point = (pose, name, minScore) => {
+  const kp = MoveNet.Coco.getKeypoint(pose, name);
+  if (kp === undefined || (kp.score ?? 1) < minScore) return;
+  return kp;
+};
+
+/**
+ * Returns the point halfway between two keypoints
+ * @param {MoveNet.Pose} pose
+ * @param {string} a
+ * @param {string} b
+ * @param {number} minScore
+ */
+const middle = (pose, a, b, minScore) => {
+  const ptA = point(pose, a, minScore);
+  const ptB = point(pose, b, minScore);
+  if (ptA === undefined || ptB === undefined) return;
+  return { x: (ptA.x + ptB.x) / 2, y: (ptA.y + ptB.y) / 2 };
+};
+
+/**
+ * Returns the angle at keypoint `b`, formed by lines to `a` and `c`, 0..PI.
+ * Eg. for the left elbow: `jointAngle(pose, 'left_shoulder', 'left_elbow', 'left_wrist')`
+ * @param {MoveNet.Pose} pose
+ * @param {string} a
+ * @param {string} b
+ * @param {string} c
+ * @param {number} minScore
+ */
+export const jointAngle = (pose, a, b, c, minScore = 0.3) => {
+  const ptA = point(pose, a, minScore);
+  const ptB = point(pose, b, minScore);
+  const ptC = point(pose, c, minScore);
+  if (ptA === undefined || ptB === undefined || ptC === undefined) return Number.NaN;
+  const angleA = Math.atan2(ptA.y - ptB.y, ptA.x - ptB.x);
+  const angleC = Math.atan2(ptC.y - ptB.y, ptC.x - ptB.x);
+  let angle = Math.abs(angleA - angleC);
+  if (angle > Math.PI) angle = Math.PI * 2 - angle;
+  return angle;
+};
+
+/**
+ * Returns the angle of elbows, shoulders, hips and knees
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ * @returns {JointAngles}
+ */
+export const jointAngles = (pose, minScore = 0.3) => ({
+  leftElbow: jointAngle(pose, `left_shoulder`, `left_elbow`, `left_wrist`, minScore),
+  rightElbow: jointAngle(pose, `right_shoulder`, `right_elbow`, `right_wrist`, minScore),
+  leftShoulder: jointAngle(pose, `left_hip`, `left_shoulder`, `left_elbow`, minScore),
+  rightShoulder: jointAngle(pose, `right_hip`, `right_shoulder`, `right_elbow`, minScore),
+  leftHip: jointAngle(pose, `left_shoulder`, `left_hip`, `left_knee`, minScore),
+  rightHip: jointAngle(pose, `right_shoulder`, `right_hip`, `right_knee`, minScore),
+  leftKnee: jointAngle(pose, `left_hip`, `left_knee`, `left_ankle`, minScore),
+  rightKnee: jointAngle(pose, `right_hip`, `right_knee`, `right_ankle`, minScore)
+});
+
+/**
+ * Returns the distance between middle of shoulders and middle of hips.
+ * Useful for comparing other distances regardless of how far someone is from the camera.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ */
+export const torsoLength = (pose, minScore = 0.3) => {
+  const shoulders = middle(pose, `left_shoulder`, `right_shoulder`, minScore);
+  const hips = middle(pose, `left_hip`, `right_hip`, minScore);
+  if (shoulders === undefined || hips === undefined) return Number.NaN;
+  return Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+};
+
+/**
+ * Returns how far the torso leans from upright, as seen by the camera.
+ * 0 is upright, negative leans to the left of the image, positive to the right.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ */
+export const torsoLean = (pose, minScore = 0.3) => {
+  const shoulders = middle(pose, `left_shoulder`, `right_shoulder`, minScore);
+  const hips = middle(pose, `left_hip`, `right_hip`, minScore);
+  if (shoulders === undefined || hips === undefined) return Number.NaN;
+  // Angle from vertical, with y going down the image
+  return Math.atan2(shoulders.x - hips.x, hips.y - shoulders.y);
+};
+
+/**
+ * Returns the angle of the line between the shoulders, as seen by the camera.
+ * 0 is level, positive when the shoulder on the right of the image is lower.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ */
+export const shoulderTilt = (pose, minScore = 0.3) => {
+  const left = point(pose, `left_shoulder`, minScore);
+  const right = point(pose, `right_shoulder`, minScore);
+  if (left === undefined || right === undefined) return Number.NaN;
+  const [ a, b ] = left.x < right.x ? [ left, right ] : [ right, left ];
+  return Math.atan2(b.y - a.y, b.x - a.x);
+};
+
+/**
+ * Estimates which way someone is facing, based on how wide their shoulders
+ * appear compared to their torso length.
+ *
+ * 0 is facing the camera, PI/2 or -PI/2 is side-on and PI is facing away.
+ * Positive values are turned towards the right of the image.
+ * Which way someone has turned is worked out from their nose, so is less reliable when facing away.
+ *
+ * Keypoints from the sender are mirrored (x is flipped, like looking in a mirror), so someone
+ * facing the camera has their left shoulder on the left of the image. For example, someone
+ * standing square on to the camera with these keypoints gives 0:
+ * - `nose`: { x: 0.5, y: 0.2 }
+ * - `left_shoulder`: { x: 0.4, y: 0.3 }, `right_shoulder`: { x: 0.6, y: 0.3 }
+ * - `left_hip`: { x: 0.42, y: 0.55 }, `right_hip`: { x: 0.58, y: 0.55 }
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ */
+export const facing = (pose, minScore = 0.3) => {
+  const left = point(pose, `left_shoulder`, minScore);
+  const right = point(pose, `right_shoulder`, minScore);
+  const length = torsoLength(pose, minScore);
+  if (left === undefined || right === undefined || Number.isNaN(length) || length === 0) return Number.NaN;
+
+  const ratio = Math.min(1, Math.hypot(left.x - right.x, left.y - right.y) / length / frontShoulderRatio);
+  let angle = Math.acos(ratio);
+
+  // The nose is in front of the shoulders, so it moves towards the side of
+  // the image we're turned towards. This is the same whether or not x is mirrored
+  const nose = point(pose, `nose`, minScore);
+  if (nose !== undefined && nose.x < (left.x + right.x) / 2) angle = -angle;
+
+  // Mirrored, the left shoulder is on the left of the image when facing the camera.
+  // If it's on the right, we're seeing their back
+  if (left.x > right.x) angle = Math.sign(angle || 1) * (Math.PI - Math.abs(angle));
+  return angle;
+};
+
+/**
+ * Returns how high each wrist is compared to the nose, in torso lengths.
+ * Positive values are above the head, negative below.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ */
+export const handHeight = (pose, minScore = 0.3) => {
+  const head = point(pose, `nose`, minScore) ?? middle(pose, `left_ear`, `right_ear`, minScore);
+  const length = torsoLength(pose, minScore);
+  /**
+   * @param {string} name
+   */
+  const height = (name) => {
+    const wrist = point(pose, name, minScore);
+    if (head === undefined || wrist === undefined || Number.isNaN(length) || length === 0) return Number.NaN;
+    return (head.y - wrist.y) / length;
+  };
+  return { left: height(`left_wrist`), right: height(`right_wrist`) };
+};
+
+/**
+ * Returns the length of each limb in torso lengths, keyed by the names of its keypoints,
+ * eg. 'left_shoulder-left_elbow'. See `limbs` in Util.js
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ * @returns {Record<string,number>}
+ */
+export const normalisedLimbLengths = (pose, minScore = 0.3) => {
+  const length = torsoLength(pose, minScore);
+  const lengths = limbLengths(pose, minScore);
+  /** @type Record<string,number> */
+  const result = {};
+  for (const [ index, [ a, b ] ] of limbs.entries()) {
+    const l = lengths[index];
+    result[`${a}-${b}`] = l === undefined || Number.isNaN(length) || length === 0 ? Number.NaN : l / length;
+  }
+  return result;
+};
+
+/**
+ * Computes all features for a pose
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore Keypoints with a lower score are ignored
+ * @returns {BodyFeatures}
+ */
+export const compute = (pose, minScore = 0.3) => ({
+  angles: jointAngles(pose, minScore),
+  torsoLean: torsoLean(pose, minScore),
+  shoulderTilt: shoulderTilt(pose, minScore),
+  facing: facing(pose, minScore),
+  handHeight: handHeight(pose, minScore),
+  limbLengths: normalisedLimbLengths(pose, minScore),
+  torsoLength: torsoLength(pose, minScore)
+});
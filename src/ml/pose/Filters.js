@@ -0,0 +1,264 @@
+/**
+ * Filters to smooth out jittery keypoints. Each keypoint of a pose gets its own filter,
+ * which also estimates how fast the keypoint is moving.
+ *
+ * Filters take the keypoint's score into account: the lower the score,
+ * the less the filter trusts the new position.
+ *
+ * Usually filters are set via PosesTracker options rather than used directly:
+ * ```js
+ * const poses = new MoveNet.PosesTracker({ filter: `oneEuro` });
+ * // Or with options
+ * const poses = new MoveNet.PosesTracker({ filter: { type: `oneEuro`, beta: 2 } });
+ * ```
+ */
+
+/**
+ * Smallest score used, so filters never completely ignore a point
+ */
+const minScore = 0.05;
+
+/**
+ * Returns score clamped to minScore..1. If score is _undefined_, 1 is returned.
+ * @param {number|undefined} score
+ */
+const clampScore = (score) => Math.min(1, Math.max(minScore, score ?? 1));
+
+/**
+ * Returns the smoothing factor for a low-pass filter
+ * @param {number} cutoff Cutoff frequency in Hz
+ * @param {number} elapsedSecs Time since last value
+ */
+const lowPassAlpha = (cutoff, elapsedSecs) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / elapsedSecs);
+};
+
+/**
+ * One Euro filter. Smooths heavily when a point is still, and less when it moves
+ * quickly, reducing jitter without adding much lag.
+ * https://gery.casiez.net/1euro/
+ *
+ * Options:
+ * - minCutoff: Lower values smooth more when moving slowly (Hz). Default: 1
+ * - beta: Higher values reduce lag when moving quickly. Default: 0.5
+ * - derivativeCutoff: Cutoff for smoothing velocity (Hz). Default: 1
+ * @param {Partial<OneEuroOptions>} options
+ * @returns {KeypointFilter}
+ */
+export const oneEuro = (options = {}) => {
+  const { minCutoff = 1, beta = 0.5, derivativeCutoff = 1 } = options;
+
+  /** @type FilterResult|undefined */
+  let last;
+  let lastTimestamp = 0;
+  // Last unfiltered point, for calculating velocity
+  let raw = { x: 0, y: 0 };
+
+  return (point, score, timestamp) => {
+    if (last === undefined) {
+      last = { x: point.x, y: point.y, vx: 0, vy: 0 };
+      lastTimestamp = timestamp;
+      raw = { x: point.x, y: point.y };
+      return last;
+    }
+    const elapsedSecs = Math.max(0.001, (timestamp - lastTimestamp) / 1000);
+    lastTimestamp = timestamp;
+    const trust = clampScore(score);
+
+    // Smooth velocity
+    const alphaD = lowPassAlpha(derivativeCutoff, elapsedSecs) * trust;
+    const vx = last.vx + alphaD * ((point.x - raw.x) / elapsedSecs - last.vx);
+    const vy = last.vy + alphaD * ((point.y - raw.y) / elapsedSecs - last.vy);
+    raw = { x: point.x, y: point.y };
+
+    // Cutoff rises with speed
+    const cutoff = minCutoff + beta * Math.hypot(vx, vy);
+    const alpha = lowPassAlpha(cutoff, elapsedSecs) * trust;
+    last = {
+      x: last.x + alpha * (point.x - last.x),
+      y: last.y + alpha * (point.y - last.y),
+      vx,
+      vy
+    };
+    return last;
+  };
+};
+
+/**
+ * Kalman filter assuming the point moves at a constant velocity,
+ * with some random acceleration.
+ *
+ * Options:
+ * - processNoise: How much the point's velocity is expected to change. Higher values follow changes more quickly. Default: 1
+ * - measurementNoise: How noisy positions are. Higher values smooth more. Default: 0.0001
+ *
+ * Measurement noise is divided by the keypoint score, so low scores count for less.
+ * @param {Partial<KalmanOptions>} options
+ * @returns {KeypointFilter}
+ */
+export const kalman = (options = {}) => {
+  const { processNoise = 1, measurementNoise = 0.0001 } = options;
+  const x = kalmanAxis(processNoise);
+  const y = kalmanAxis(processNoise);
+  let lastTimestamp = Number.NaN;
+
+  return (point, score, timestamp) => {
+    const elapsedSecs = Number.isNaN(lastTimestamp) ? 0 : (timestamp - lastTimestamp) / 1000;
+    lastTimestamp = timestamp;
+    const noise = measurementNoise / clampScore(score);
+    const rx = x(point.x, noise, elapsedSecs);
+    const ry = y(point.y, noise, elapsedSecs);
+    return { x: rx.position, y: ry.position, vx: rx.velocity, vy: ry.velocity };
+  };
+};
+
+/**
+ * Kalman filter for one axis. State is position and velocity
+ * @param {number} processNoise
+ */
+const kalmanAxis = (processNoise) => {
+  let position = Number.NaN;
+  let velocity = 0;
+  // Covariance
+  let p00 = 1;
+  let p01 = 0;
+  let p11 = 1;
+
+  /**
+   * @param {number} measured
+   * @param {number} noise
+   * @param {number} dt
+   */
+  return (measured, noise, dt) => {
+    if (Number.isNaN(position)) {
+      position = measured;
+      p00 = noise;
+      return { position, velocity };
+    }
+
+    // Predict
+    position += velocity * dt;
+    const q = processNoise;
+    const n00 = p00 + dt * (2 * p01 + dt * p11) + q * dt * dt * dt / 3;
+    const n01 = p01 + dt * p11 + q * dt * dt / 2;
+    const n11 = p11 + q * dt;
+
+    // Update with measurement
+    const s = n00 + noise;
+    const k0 = n00 / s;
+    const k1 = n01 / s;
+    const residual = measured - position;
+    position += k0 * residual;
+    velocity += k1 * residual;
+    p00 = (1 - k0) * n00;
+    p01 = (1 - k0) * n01;
+    p11 = n11 - k1 * n01;
+    return { position, velocity };
+  };
+};
+
+/**
+ * Exponential smoothing: moves a portion of the way towards each new position.
+ *
+ * Options:
+ * - amount: How much of a new position to take, 0..1. Lower values smooth more. Default: 0.3
+ * @param {Partial<ExponentialOptions>} options
+ * @returns {KeypointFilter}
+ */
+export const exponential = (options = {}) => {
+  const { amount = 0.3 } = options;
+
+  /** @type FilterResult|undefined */
+  let last;
+  let lastTimestamp = 0;
+
+  return (point, score, timestamp) => {
+    if (last === undefined) {
+      last = { x: point.x, y: point.y, vx: 0, vy: 0 };
+      lastTimestamp = timestamp;
+      return last;
+    }
+    const elapsedSecs = Math.max(0.001, (timestamp - lastTimestamp) / 1000);
+    lastTimestamp = timestamp;
+    const a = amount * clampScore(score);
+    const x = last.x + a * (point.x - last.x);
+    const y = last.y + a * (point.y - last.y);
+    last = {
+      x,
+      y,
+      vx: last.vx + a * ((x - last.x) / elapsedSecs - last.vx),
+      vy: last.vy + a * ((y - last.y) / elapsedSecs - last.vy)
+    };
+    return last;
+  };
+};
+
+/**
+ * No smoothing. Velocity is the change since the last position.
+ * @returns {KeypointFilter}
+ */
+export const none = () => {
+  /** @type FilterResult|undefined */
+  let last;
+  let lastTimestamp = 0;
+  return (point, _score, timestamp) => {
+    const elapsedSecs = Math.max(0.001, (timestamp - lastTimestamp) / 1000);
+    last = last === undefined ?
+      { x: point.x, y: point.y, vx: 0, vy: 0 } :
+      { x: point.x, y: point.y, vx: (point.x - last.x) / elapsedSecs, vy: (point.y - last.y) / elapsedSecs };
+    lastTimestamp = timestamp;
+    return last;
+  };
+};
+
+/**
+ * Creates a filter from a name, or name and options
+ * @param {FilterSpec} spec
+ * @returns {KeypointFilter}
+ */
+export const create = (spec) => {
+  const { type, ...options } = typeof spec === `string` ? { type: spec } : spec;
+  switch (type) {
+    case `oneEuro`: {
+      return oneEuro(options);
+    }
+    case `kalman`: {
+      return kalman(options);
+    }
+    case `exponential`: {
+      return exponential(options);
+    }
+    case `none`: {
+      return none();
+    }
+    default: {
+      throw new Error(`Unknown filter: '${type}'`);
+    }
+  }
+};
+
+/**
+ * @typedef {{ minCutoff:number, beta:number, derivativeCutoff:number }} OneEuroOptions
+ * @typedef {{ processNoise:number, measurementNoise:number }} KalmanOptions
+ * @typedef {{ amount:number }} ExponentialOptions
+ */
+
+/**
+ * Filtered position and velocity (units per second)
+ * @typedef {{ x:number, y:number, vx:number, vy:number }} FilterResult
+ */
+
+/**
+ * Filters a point, returning the smoothed position and velocity.
+ * `timestamp` is in milliseconds.
+ * @typedef {(point:{x:number,y:number}, score:number|undefined, timestamp:number) => FilterResult} KeypointFilter
+ */
+
+/**
+ * @typedef {`none`|`oneEuro`|`kalman`|`exponential`
+ * |({ type:`oneEuro` } & Partial<OneEuroOptions>)
+ * |({ type:`kalman` } & Partial<KalmanOptions>)
+ * |({ type:`exponential` } & Partial<ExponentialOptions>)
+ * |{ type:`none` }} FilterSpec
+ */
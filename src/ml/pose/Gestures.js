@@ -0,0 +1,411 @@
+import * as MoveNet from './Poses.js';
+
+/**
+ * @typedef {Readonly<{
+ * sampleMs:number
+ * keypoints:string[]
+ * minScore:number
+ * maxDistance:number
+ * maxStretch:number
+ * threshold:number
+ * cooldownMs:number
+ * storageKey:string
+ * }>} GestureRecogniserOptions
+ */
+
+/**
+ * A recorded example of a gesture. Each frame has x,y for each keypoint,
+ * relative to the torso.
+ * @typedef {{
+ * name:string
+ * frames:number[][]
+ * }} GestureTemplate
+ */
+
+/**
+ * Keypoints used by default. Face points are left out since they
+ * move about a lot without meaning much.
+ */
+export const defaultKeypoints = Object.freeze([
+  `left_shoulder`, `right_shoulder`,
+  `left_elbow`, `right_elbow`,
+  `left_wrist`, `right_wrist`,
+  `left_hip`, `right_hip`,
+  `left_knee`, `right_knee`,
+  `left_ankle`, `right_ankle`
+]);
+
+/**
+ * Returns a point halfway between two keypoints, or _undefined_ if
+ * either is missing or has a score below `minScore`
+ * @param {MoveNet.Pose} pose
+ * @param {string} a
+ * @param {string} b
+ * @param {number} minScore
+ */
+const midpoint = (pose, a, b, minScore) => {
+  const ptA = MoveNet.Coco.getKeypoint(pose, a);
+  const ptB = MoveNet.Coco.getKeypoint(pose, b);
+  if (ptA === undefined || ptB === undefined) return;
+  if ((ptA.score ?? 1) < minScore || (ptB.score ?? 1) < minScore) return;
+  return { x: (ptA.x + ptB.x) / 2, y: (ptA.y + ptB.y) / 2 };
+};
+
+/**
+ * Returns the keypoints of a pose relative to the torso, so it doesn't matter
+ * where someone is standing or how far they are from the camera.
+ * The middle of the torso is 0,0 and the torso length is 1.
+ *
+ * Returns a flat array of x,y for each of `keypoints`. Keypoints with a
+ * score below `minScore` are NaN. If the torso can't be found, _undefined_ is returned.
+ * @param {MoveNet.Pose} pose
+ * @param {readonly string[]} keypoints
+ * @param {number} minScore
+ * @returns {number[]|undefined}
+ */
+export const normalise = (pose, keypoints = defaultKeypoints, minScore = 0.3) => {
+  const shoulders = midpoint(pose, `left_shoulder`, `right_shoulder`, minScore);
+  const hips = midpoint(pose, `left_hip`, `right_hip`, minScore);
+  if (shoulders === undefined || hips === undefined) return;
+  const size = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  if (size === 0) return;
+  const middle = { x: (shoulders.x + hips.x) / 2, y: (shoulders.y + hips.y) / 2 };
+
+  const frame = [];
+  for (const name of keypoints) {
+    const kp = MoveNet.Coco.getKeypoint(pose, name);
+    if (kp === undefined || (kp.score ?? 1) < minScore) {
+      frame.push(Number.NaN, Number.NaN);
+    } else {
+      frame.push((kp.x - middle.x) / size, (kp.y - middle.y) / size);
+    }
+  }
+  return frame;
+};
+
+/**
+ * Average distance between matching keypoints of two frames.
+ * Keypoints missing from either frame are skipped.
+ * If none can be compared, a large distance is returned.
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+const frameDistance = (a, b) => {
+  let total = 0;
+  let count = 0;
+  for (let index = 0; index < a.length; index += 2) {
+    const dx = a[index] - b[index];
+    const dy = a[index + 1] - b[index + 1];
+    if (Number.isNaN(dx) || Number.isNaN(dy)) continue;
+    total += Math.hypot(dx, dy);
+    count++;
+  }
+  return count === 0 ? 10 : total / count;
+};
+
+/**
+ * Compares two sequences of frames with dynamic time warping,
+ * which allows for gestures being done faster or slower.
+ *
+ * Returns the average distance between frames along the best path.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ */
+export const dtw = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Number.POSITIVE_INFINITY;
+
+  // Cost and length of best path to each cell, a row at a time
+  let previous = Array.from({ length: m + 1 }, () => ({ cost: Number.POSITIVE_INFINITY, steps: 0 }));
+  previous[0] = { cost: 0, steps: 0 };
+  for (let index = 1; index <= n; index++) {
+    const current = [ { cost: Number.POSITIVE_INFINITY, steps: 0 } ];
+    for (let index_ = 1; index_ <= m; index_++) {
+      const d = frameDistance(a[index - 1], b[index_ - 1]);
+      const options = [ previous[index_ - 1], previous[index_], current[index_ - 1] ];
+      let best = options[0];
+      for (const o of options) {
+        if (o.cost < best.cost) best = o;
+      }
+      current.push({ cost: best.cost + d, steps: best.steps + 1 });
+    }
+    previous = current;
+  }
+  const end = previous[m];
+  return end.cost / end.steps;
+};
+
+/**
+ * Returns lengths of recent history to compare with a template of `length` frames,
+ * from `length / maxStretch` up to `length * maxStretch`. DTW can only line up
+ * the frames it is given, so a gesture done twice as slowly needs twice the frames.
+ * @param {number} length
+ * @param {number} maxStretch
+ * @returns {number[]}
+ */
+const windowLengths = (length, maxStretch) => {
+  const stretch = Math.max(1, maxStretch);
+  /** @type Set<number> */
+  const lengths = new Set();
+  // Steps of a quarter of the template's length
+  for (let f = 1 / stretch; f <= stretch + 0.001; f += 0.25) {
+    lengths.add(Math.max(2, Math.round(length * f)));
+  }
+  lengths.add(length);
+  return [ ...lengths ];
+};
+
+/**
+ * Records examples of gestures and recognises them live.
+ *
+ * Poses are sampled every `sampleMs`. Each tracked pose keeps a short history, which
+ * is compared with the recorded templates. Windows of history from `1 / maxStretch` to `maxStretch`
+ * times a template's length are tried, so it can be done faster or slower than it was recorded.
+ * When one matches well enough, a `gesture`
+ * event fires on the PosesTracker's `events`:
+ *
+ * ```js
+ * const gestures = new GestureRecogniser(poses);
+ * await gestures.record(`wave`);
+ * poses.events.addEventListener(`gesture`, event => {
+ *  const { name, confidence, tracker } = event.detail;
+ * });
+ * ```
+ *
+ * Templates are saved to localStorage so they survive a reload.
+ */
+export class GestureRecogniser {
+  /**
+   * @type import('./PosesTracker.js').PosesTracker
+   */
+  poses;
+
+  /** @type GestureRecogniserOptions */
+  #options;
+
+  /**
+   * @type GestureTemplate[]
+   */
+  #templates = [];
+
+  /**
+   * Recent frames for each tracker, keyed by guid
+   * @type Map<string,number[][]>
+   */
+  #history = new Map();
+
+  /**
+   * When each gesture last fired for a tracker, keyed by guid-name
+   * @type Map<string,number>
+   */
+  #lastFired = new Map();
+
+  /**
+   * Recordings in progress
+   * @type Array<{guid:string|undefined, frames:number[][]}>
+   */
+  #recordings = [];
+
+  /** @type ReturnType<typeof setInterval>|undefined */
+  #timer;
+
+  /**
+   * @param {import('./PosesTracker.js').PosesTracker} poses
+   * @param {Partial<GestureRecogniserOptions>} options
+   */
+  constructor(poses, options = {}) {
+    this.poses = poses;
+    this.#options = {
+      sampleMs: 50,
+      keypoints: [ ...defaultKeypoints ],
+      minScore: 0.3,
+      maxDistance: 0.5,
+      maxStretch: 2,
+      threshold: 0.7,
+      cooldownMs: 1000,
+      storageKey: `pose-gestures`,
+      ...options
+    };
+    this.#templates = this.#load();
+    this.#timer = setInterval(() => {
+      this.#sample();
+    }, this.#options.sampleMs);
+  }
+
+  /**
+   * Records an example of a gesture, resolving with the template once done.
+   * Several examples can be recorded for the same gesture.
+   *
+   * If `guid` is not given, the most recently updated pose is used.
+   * @param {string} name Name of gesture
+   * @param {Partial<{durationMs:number, guid:string}>} options
+   * @returns {Promise<GestureTemplate>}
+   */
+  record(name, options = {}) {
+    const { durationMs = 1500, guid } = options;
+    const recording = { guid, frames: [] };
+    this.#recordings.push(recording);
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        this.#recordings = this.#recordings.filter(r => r !== recording);
+        // History has the recorded movement, which would match straight away
+        this.#history.clear();
+        if (recording.frames.length < 2) {
+          reject(new Error(`Not enough pose data to record '${name}'`));
+          return;
+        }
+        const template = { name, frames: recording.frames };
+        this.add(template);
+        resolve(template);
+      }, durationMs);
+    });
+  }
+
+  /**
+   * Adds a template
+   * @param {GestureTemplate} template
+   */
+  add(template) {
+    this.#templates.push(template);
+    this.#save();
+  }
+
+  /**
+   * Removes all templates for a gesture
+   * @param {string} name
+   */
+  remove(name) {
+    this.#templates = this.#templates.filter(t => t.name !== name);
+    this.#save();
+  }
+
+  /**
+   * Returns the names of gestures which have templates
+   */
+  get names() {
+    return [ ...new Set(this.#templates.map(t => t.name)) ];
+  }
+
+  /**
+   * Returns all templates
+   */
+  get templates() {
+    return [ ...this.#templates ];
+  }
+
+  /**
+   * Compares the recent movement of a pose with each gesture.
+   * Returns matches sorted by confidence, highest first.
+   * @param {string} guid
+   * @returns {Array<{name:string, confidence:number}>}
+   */
+  match(guid) {
+    const history = this.#history.get(guid);
+    if (history === undefined) return [];
+
+    /** @type Map<string,number> */
+    const best = new Map();
+    for (const t of this.#templates) {
+      for (const length of windowLengths(t.frames.length, this.#options.maxStretch)) {
+        if (history.length < length) continue;
+        const distance = dtw(history.slice(-length), t.frames);
+        const confidence = Math.max(0, 1 - distance / this.#options.maxDistance);
+        best.set(t.name, Math.max(best.get(t.name) ?? 0, confidence));
+      }
+    }
+    return [ ...best.entries() ]
+      .map(([ name, confidence ]) => ({ name, confidence }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Stops sampling poses
+   */
+  dispose() {
+    if (this.#timer) clearInterval(this.#timer);
+    this.#timer = undefined;
+  }
+
+  /**
+   * Samples each pose, records and recognises gestures
+   */
+  #sample() {
+    const { keypoints, minScore, threshold, cooldownMs, maxStretch } = this.#options;
+    // Keep enough history to match the slowest version of the longest gesture
+    const longest = Math.max(0, ...this.#templates.map(t => Math.ceil(t.frames.length * Math.max(1, maxStretch))), ...this.#recordings.map(r => r.frames.length + 1));
+    const mostRecent = this.poses.getByAge().next().value;
+    const now = Date.now();
+
+    /** @type Set<string> */
+    const seen = new Set();
+    for (const tracker of this.poses.get()) {
+      seen.add(tracker.guid);
+      // Skip poses which haven't been updated since last sample
+      if (tracker.elapsed > this.#options.sampleMs * 2) continue;
+      // Use positions from the keypoint trackers, so any filtering is included
+      const frame = normalise({ keypoints: [ ...tracker.getRawValues() ] }, keypoints, minScore);
+      if (frame === undefined) continue;
+
+      for (const r of this.#recordings) {
+        if (r.guid === tracker.guid || (r.guid === undefined && tracker === mostRecent)) r.frames.push(frame);
+      }
+
+      let history = this.#history.get(tracker.guid);
+      if (history === undefined) {
+        history = [];
+        this.#history.set(tracker.guid, history);
+      }
+      history.push(frame);
+      if (history.length > longest) history.splice(0, history.length - longest);
+
+      // Don't recognise while recording, or the gesture will match itself
+      if (this.#recordings.length > 0) continue;
+      const match = this.match(tracker.guid)[0];
+      if (match === undefined || match.confidence < threshold) continue;
+
+      const key = tracker.guid + `-` + match.name;
+      if (now - (this.#lastFired.get(key) ?? 0) < cooldownMs) continue;
+      this.#lastFired.set(key, now);
+      // Start afresh so the same movement doesn't match again
+      history.length = 0;
+      this.poses.events.dispatchEvent(new CustomEvent(`gesture`, {
+        detail: { ...match, tracker }
+      }));
+    }
+
+    // Forget poses no longer tracked
+    for (const guid of this.#history.keys()) {
+      if (!seen.has(guid)) this.#history.delete(guid);
+    }
+  }
+
+  /**
+   * Load templates from localStorage
+   * @returns {GestureTemplate[]}
+   */
+  #load() {
+    try {
+      const saved = globalThis.localStorage?.getItem(this.#options.storageKey);
+      if (saved) {
+        /** @type GestureTemplate[] */
+        const templates = JSON.parse(saved);
+        // NaN is saved as null
+        return templates.map(t => ({
+          name: t.name,
+          frames: t.frames.map(f => f.map(v => v ?? Number.NaN))
+        }));
+      }
+    } catch (error) {
+      console.warn(`Could not load gestures`, error);
+    }
+    return [];
+  }
+
+  /**
+   * Save templates to localStorage
+   */
+  #save() {
+    globalThis.localStorage?.setItem(this.#options.storageKey, JSON.stringify(this.#templates));
+  }
+}
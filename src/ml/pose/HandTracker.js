@@ -0,0 +1,96 @@
+import { PoseTracker } from './PoseTracker.js';
+
+/**
+ * Tracks a hand from the sender's hand model (see Landmarks.js).
+ * Landmarks are named as in `Landmarks.handLandmarks`, eg. `index_finger_tip`.
+ *
+ * Use with PosesTracker:
+ * ```js
+ * const hands = new MoveNet.PosesTracker({ tracker: MoveNet.HandTracker });
+ * for (const hand of hands.get()) {
+ *  if (hand.isPinching()) ...
+ * }
+ * ```
+ */
+export class HandTracker extends PoseTracker {
+  /**
+   * Returns the last position of a landmark, eg. `thumb_tip`
+   * @param {string} name
+   */
+  landmark(name) {
+    return this.keypointValue(name);
+  }
+
+  /**
+   * Returns `Left` or `Right`, as reported by the model
+   * @returns {string|undefined}
+   */
+  get handedness() {
+    return /** @type {{handedness?:string}} */(this.last).handedness;
+  }
+
+  /**
+   * Returns the size of the palm: distance from wrist to the base of the middle finger.
+   * Other distances are compared to this, so it doesn't matter how far the hand is from the camera.
+   */
+  get palmSize() {
+    const wrist = this.landmark(`wrist`);
+    const middle = this.landmark(`middle_finger_mcp`);
+    return Math.hypot(wrist.x - middle.x, wrist.y - middle.y);
+  }
+
+  /**
+   * Returns distance between the thumb tip and a finger tip, in palm sizes.
+   * @param {`index`|`middle`|`ring`|`pinky`} finger
+   */
+  pinchDistance(finger = `index`) {
+    const thumb = this.landmark(`thumb_tip`);
+    const tip = this.landmark(`${finger}_finger_tip`);
+    const palm = this.palmSize;
+    if (palm === 0) return Number.NaN;
+    return Math.hypot(thumb.x - tip.x, thumb.y - tip.y) / palm;
+  }
+
+  /**
+   * Returns _true_ if thumb and finger are touching
+   * @param {`index`|`middle`|`ring`|`pinky`} finger
+   * @param {number} threshold Distance in palm sizes
+   */
+  isPinching(finger = `index`, threshold = 0.3) {
+    return this.pinchDistance(finger) < threshold;
+  }
+
+  /**
+   * Returns how open the hand is, 0..1. A fist is close to 0, fingers spread out is 1.
+   * Based on how far finger tips are from the wrist.
+   */
+  get openness() {
+    const wrist = this.landmark(`wrist`);
+    const palm = this.palmSize;
+    if (palm === 0) return Number.NaN;
+    const fingers = [ `index`, `middle`, `ring`, `pinky` ];
+    let reach = 0;
+    for (const finger of fingers) {
+      const tip = this.landmark(`${finger}_finger_tip`);
+      reach += Math.hypot(tip.x - wrist.x, tip.y - wrist.y) / palm / fingers.length;
+    }
+    // Tips are about 1 palm size from the wrist when closed, and 2 when open
+    return Math.min(1, Math.max(0, reach - 1));
+  }
+
+  /**
+   * Returns _true_ if the hand is open
+   * @param {number} threshold
+   */
+  isOpen(threshold = 0.7) {
+    return this.openness >= threshold;
+  }
+
+  /**
+   * Body features aren't available for hands
+   * @returns {never}
+   */
+  get features() {
+    throw new Error(`Features are only available for body poses`);
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * Hand and face landmark models, for use in the sender instead of MoveNet.
+ *
+ * These plug into the same `mount()` pipeline by setting the app's model. Their data
+ * comes through `onPoseData` in the same shape as poses: an array of objects with an `id`,
+ * `score`, `box` and named `keypoints`, with coordinates relative (0..1) and mirrored like MoveNet's.
+ *
+ * ```js
+ * const ml = MoveNet.mount(`#container`, config);
+ * ml.model = new Landmarks.HandModel({ maxHands: 2 });
+ * ```
+ *
+ * Model weights are loaded from local files, by default in the `models` folder next
+ * to the sender. See the README for where to get them.
+ *
+ * The bundle doesn't include the hand and face detection libraries, so they are
+ * imported when the model is first used, from `moduleUrl`. They run on the bundle's
+ * TensorFlow.js backends: tfjs keeps its engine and backends on the global object,
+ * so the detection libraries use those rather than loading their own.
+ *
+ * The sender's view only knows how to draw MoveNet skeletons, so these models draw
+ * their own landmarks instead.
+ */
+
+/**
+ * @typedef {{x:number, y:number, name?:string, score?:number}} Landmark
+ */
+
+/**
+ * Names of hand landmarks, in the order the model gives them
+ */
+export const handLandmarks = Object.freeze([
+  `wrist`,
+  `thumb_cmc`, `thumb_mcp`, `thumb_ip`, `thumb_tip`,
+  `index_finger_mcp`, `index_finger_pip`, `index_finger_dip`, `index_finger_tip`,
+  `middle_finger_mcp`, `middle_finger_pip`, `middle_finger_dip`, `middle_finger_tip`,
+  `ring_finger_mcp`, `ring_finger_pip`, `ring_finger_dip`, `ring_finger_tip`,
+  `pinky_finger_mcp`, `pinky_finger_pip`, `pinky_finger_dip`, `pinky_finger_tip`
+]);
+
+/**
+ * Named face landmarks, and their index in the face mesh.
+ * Left and right are from the person's point of view.
+ */
+export const faceLandmarks = Object.freeze({
+  forehead: 10,
+  chin: 152,
+  nose_tip: 1,
+  upper_lip: 13,
+  lower_lip: 14,
+  mouth_left: 291,
+  mouth_right: 61,
+  left_eye_outer: 263,
+  left_eye_inner: 362,
+  left_eye_top: 386,
+  left_eye_bottom: 374,
+  right_eye_outer: 33,
+  right_eye_inner: 133,
+  right_eye_top: 159,
+  right_eye_bottom: 145,
+  left_eyebrow: 282,
+  right_eyebrow: 52,
+  left_cheek: 454,
+  right_cheek: 234
+});
+
+/**
+ * Pairs of hand landmarks to draw lines between
+ */
+const handConnections = Object.freeze([
+  [ `wrist`, `thumb_cmc` ], [ `thumb_cmc`, `thumb_mcp` ], [ `thumb_mcp`, `thumb_ip` ], [ `thumb_ip`, `thumb_tip` ],
+  [ `wrist`, `index_finger_mcp` ], [ `index_finger_mcp`, `index_finger_pip` ], [ `index_finger_pip`, `index_finger_dip` ], [ `index_finger_dip`, `index_finger_tip` ],
+  [ `index_finger_mcp`, `middle_finger_mcp` ], [ `middle_finger_mcp`, `middle_finger_pip` ], [ `middle_finger_pip`, `middle_finger_dip` ], [ `middle_finger_dip`, `middle_finger_tip` ],
+  [ `middle_finger_mcp`, `ring_finger_mcp` ], [ `ring_finger_mcp`, `ring_finger_pip` ], [ `ring_finger_pip`, `ring_finger_dip` ], [ `ring_finger_dip`, `ring_finger_tip` ],
+  [ `ring_finger_mcp`, `pinky_finger_mcp` ], [ `wrist`, `pinky_finger_mcp` ], [ `pinky_finger_mcp`, `pinky_finger_pip` ], [ `pinky_finger_pip`, `pinky_finger_dip` ], [ `pinky_finger_dip`, `pinky_finger_tip` ]
+]);
+
+/**
+ * Gives detections ids that stay the same from frame to frame, by matching
+ * each to the nearest detection of the previous frame.
+ */
+class IdAssigner {
+  /** @type Array<{id:number, x:number, y:number}> */
+  #previous = [];
+  #nextId = 1;
+  #maxDistance;
+
+  /**
+   * @param {number} maxDistance Furthest a detection can move between frames and keep its id
+   */
+  constructor(maxDistance = 0.2) {
+    this.#maxDistance = maxDistance;
+  }
+
+  /**
+   * Returns an id for each of the centres, in the same order
+   * @param {Array<{x:number, y:number}>} centres
+   */
+  assign(centres) {
+    const available = [ ...this.#previous ];
+    const ids = centres.map(c => {
+      let best = -1;
+      let bestDistance = this.#maxDistance;
+      for (const [ index, p ] of available.entries()) {
+        const d = Math.hypot(p.x - c.x, p.y - c.y);
+        if (d < bestDistance) {
+          best = index;
+          bestDistance = d;
+        }
+      }
+      if (best === -1) return this.#nextId++;
+      return available.splice(best, 1)[0].id;
+    });
+    this.#previous = centres.map((c, index) => ({ id: ids[index], ...c }));
+    return ids;
+  }
+}
+
+/**
+ * Returns the box around landmarks
+ * @param {Landmark[]} keypoints
+ */
+const boxOf = (keypoints) => {
+  const xs = keypoints.map(kp => kp.x);
+  const ys = keypoints.map(kp => kp.y);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const yMin = Math.min(...ys);
+  const yMax = Math.max(...ys);
+  return { xMin, xMax, yMin, yMax, width: xMax - xMin, height: yMax - yMin };
+};
+
+/**
+ * Base for landmark models.
+ * Handles loading the detector and converting its results.
+ */
+class LandmarkModel {
+  /** @type any */
+  detector;
+  debug = false;
+  #ids = new IdAssigner();
+  /** @type Promise<any>|undefined */
+  #loading;
+  /** @type Map<number,string> */
+  #colours = new Map();
+
+  /**
+   * Pairs of landmarks to draw lines between
+   * @type ReadonlyArray<ReadonlyArray<string>>
+   */
+  connections = [];
+
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Called by the app when it is ready
+   * @param {import('../lib/bundle.js').IApp} app
+   */
+  init(app) {
+    this.debug = app.debug;
+
+    // Replace the view's MoveNet skeleton drawing with our own
+    const view = /** @type any */(app).ui?.view;
+    if (view) {
+      view.drawPose = (/** @type CanvasRenderingContext2D */ context, /** @type any */ pose, /** @type number */ index) => {
+        this.drawPose(context, pose, index);
+      };
+    }
+    this.getDetector().then(() => {
+      this.debugLog(`Loaded`);
+    }).catch(error => {
+      console.error(`${this.name} could not load`, error);
+    });
+  }
+
+  /**
+   * Loads the detector, if it isn't already
+   */
+  getDetector() {
+    if (this.#loading === undefined) {
+      this.#loading = this.createDetector().then(d => {
+        this.detector = d;
+        return d;
+      });
+    }
+    return this.#loading;
+  }
+
+  /**
+   * Creates the detector
+   * @returns {Promise<any>}
+   */
+  async createDetector() {
+    throw new Error(`Not implemented`);
+  }
+
+  /**
+   * Runs the detector, returning its raw results
+   * @param {ImageBitmap} _image
+   * @returns {Promise<any[]>}
+   */
+  async detect(_image) {
+    throw new Error(`Not implemented`);
+  }
+
+  /**
+   * Converts a raw result to keypoints and other details
+   * @param {any} _result
+   * @param {(kp:{x:number,y:number}) => {x:number, y:number}} _scale
+   * @returns {{keypoints:Landmark[], score:number, [key:string]:any}}
+   */
+  convert(_result, _scale) {
+    throw new Error(`Not implemented`);
+  }
+
+  /**
+   * Called by the sampler with each frame
+   * @param {OffscreenCanvas|undefined} image
+   */
+  async run(image) {
+    if (image === undefined || this.detector === undefined) return;
+    const w = image.width;
+    const h = image.height;
+    const results = await this.detect(image.transferToImageBitmap());
+    if (results === undefined) return;
+
+    // Relative coordinates, mirrored like MoveNet
+    const scale = (/** @type {{x:number,y:number}} */ kp) => ({ x: 1 - (kp.x / w), y: kp.y / h });
+    const converted = results.map(r => this.convert(r, scale));
+    const ids = this.#ids.assign(converted.map(c => {
+      const box = boxOf(c.keypoints);
+      return { x: box.xMin + box.width / 2, y: box.yMin + box.height / 2 };
+    }));
+    return converted.map((c, index) => ({
+      ...c,
+      id: ids[index],
+      box: boxOf(c.keypoints)
+    }));
+  }
+
+  /**
+   * Draws landmarks and the lines between them
+   * @param {CanvasRenderingContext2D} context
+   * @param {{id:number, score?:number, keypoints:Landmark[]}} pose
+   * @param {number} index Position in the list of poses being drawn
+   */
+  drawPose(context, pose, index) {
+    const { width, height } = context.canvas;
+    const scale = width / 800;
+    let colour = this.#colours.get(pose.id);
+    if (colour === undefined) {
+      colour = `hsl(${Math.random() * 360},70%,60%)`;
+      this.#colours.set(pose.id, colour);
+    }
+    context.strokeStyle = colour;
+    context.fillStyle = colour;
+    context.lineWidth = 3 * scale;
+    context.fillText(`${pose.id}: ${Math.round((pose.score ?? 0) * 100)}%`, 20, height - 20 - (index * 20));
+
+    /** @type Map<string,{x:number, y:number}> */
+    const points = new Map();
+    for (const kp of pose.keypoints) {
+      const abs = { x: kp.x * width, y: kp.y * height };
+      if (kp.name) points.set(kp.name, abs);
+      context.beginPath();
+      context.arc(abs.x, abs.y, 3 * scale, 0, Math.PI * 2);
+      context.fill();
+    }
+
+    context.beginPath();
+    for (const [ a, b ] of this.connections) {
+      const ptA = points.get(a);
+      const ptB = points.get(b);
+      if (ptA === undefined || ptB === undefined) continue;
+      context.moveTo(ptA.x, ptA.y);
+      context.lineTo(ptB.x, ptB.y);
+    }
+    context.stroke();
+  }
+
+  /**
+   * @param {any} message
+   */
+  debugLog(message) {
+    if (!this.debug) return;
+    console.log(this.name, message);
+  }
+}
+
+/**
+ * @typedef {Readonly<{
+ * maxHands:number
+ * modelType:`lite`|`full`
+ * detectorModelUrl:string
+ * landmarkModelUrl:string
+ * moduleUrl:string
+ * }>} HandModelOptions
+ */
+
+/**
+ * Hand landmarks: 21 points for each hand, with names from `handLandmarks`.
+ * Results also have `handedness`: `Left` or `Right`.
+ */
+export class HandModel extends LandmarkModel {
+  /** @type HandModelOptions */
+  options;
+
+  /**
+   * @param {Partial<HandModelOptions>} options
+   */
+  constructor(options = {}) {
+    super(`Hands`);
+    this.connections = handConnections;
+    this.options = {
+      maxHands: 2,
+      modelType: `full`,
+      detectorModelUrl: `./models/hands/detector/model.json`,
+      landmarkModelUrl: `./models/hands/landmark/model.json`,
+      moduleUrl: `https://cdn.jsdelivr.net/npm/@tensorflow-models/hand-pose-detection@2.0.1/+esm`,
+      ...options
+    };
+  }
+
+  async createDetector() {
+    const { moduleUrl, modelType, maxHands, detectorModelUrl, landmarkModelUrl } = this.options;
+    const handDetection = await import(moduleUrl);
+    return handDetection.createDetector(handDetection.SupportedModels.MediaPipeHands, {
+      runtime: `tfjs`,
+      modelType,
+      maxHands,
+      detectorModelUrl,
+      landmarkModelUrl
+    });
+  }
+
+  /**
+   * @param {ImageBitmap} image
+   */
+  async detect(image) {
+    return this.detector.estimateHands(image);
+  }
+
+  /**
+   * @param {any} hand
+   * @param {(kp:{x:number,y:number}) => {x:number, y:number}} scale
+   */
+  convert(hand, scale) {
+    return {
+      score: hand.score,
+      handedness: hand.handedness,
+      keypoints: hand.keypoints.map((/** @type {{x:number,y:number}} */ kp, /** @type number */ index) => ({
+        ...scale(kp),
+        score: hand.score,
+        name: handLandmarks[index]
+      }))
+    };
+  }
+}
+
+/**
+ * @typedef {Readonly<{
+ * maxFaces:number
+ * allLandmarks:boolean
+ * detectorModelUrl:string
+ * landmarkModelUrl:string
+ * moduleUrl:string
+ * }>} FaceModelOptions
+ */
+
+/**
+ * Face landmarks.
+ *
+ * By default only the landmarks named in `faceLandmarks` are sent. Set `allLandmarks` to
+ * send all 468, named by their index.
+ */
+export class FaceModel extends LandmarkModel {
+  /** @type FaceModelOptions */
+  options;
+
+  /**
+   * @param {Partial<FaceModelOptions>} options
+   */
+  constructor(options = {}) {
+    super(`Face`);
+    this.options = {
+      maxFaces: 1,
+      allLandmarks: false,
+      detectorModelUrl: `./models/face/detector/model.json`,
+      landmarkModelUrl: `./models/face/landmark/model.json`,
+      moduleUrl: `https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.6/+esm`,
+      ...options
+    };
+  }
+
+  async createDetector() {
+    const { moduleUrl, maxFaces, detectorModelUrl, landmarkModelUrl } = this.options;
+    const faceDetection = await import(moduleUrl);
+    return faceDetection.createDetector(faceDetection.SupportedModels.MediaPipeFaceMesh, {
+      runtime: `tfjs`,
+      refineLandmarks: false,
+      maxFaces,
+      detectorModelUrl,
+      landmarkModelUrl
+    });
+  }
+
+  /**
+   * @param {ImageBitmap} image
+   */
+  async detect(image) {
+    return this.detector.estimateFaces(image);
+  }
+
+  /**
+   * @param {any} face
+   * @param {(kp:{x:number,y:number}) => {x:number, y:number}} scale
+   */
+  convert(face, scale) {
+    /** @type Array<{x:number,y:number}> */
+    const all = face.keypoints;
+    const score = face.score ?? 1;
+    const keypoints = this.options.allLandmarks ?
+      all.map((kp, index) => ({ ...scale(kp), score, name: index.toString() })) :
+      Object.entries(faceLandmarks).map(([ name, index ]) => ({ ...scale(all[index]), score, name }));
+    return { score, keypoints };
+  }
+}
@@ -0,0 +1,527 @@
+import { Points } from '../../ixfx/geometry.js';
+import * as MoveNet from './Poses.js';
+import { keypointBox } from './Util.js';
+
+/**
+ * @typedef {Readonly<{
+ * minSimilarity:number
+ * minKeypointScore:number
+ * minKeypoints:number
+ * hysteresis:number
+ * }>} PeopleTrackerOptions
+ */
+
+/**
+ * Maps a point from a sender's coordinates to shared coordinates.
+ * Either a function, or a scale and offset: x * scale.x + offset.x
+ * @typedef {((pt:Points.Point) => Points.Point)|{
+ * scale?: number|Points.Point
+ * offset?: Points.Point
+ * }} Calibration
+ */
+
+/**
+ * Returns a function to apply a calibration
+ * @param {Calibration|undefined} c
+ * @returns {(pt:Points.Point) => Points.Point}
+ */
+const toCalibrationFunction = (c) => {
+  if (c === undefined) return pt => pt;
+  if (typeof c === `function`) return c;
+  const scale = typeof c.scale === `number` ? { x: c.scale, y: c.scale } : (c.scale ?? { x: 1, y: 1 });
+  const offset = c.offset ?? { x: 0, y: 0 };
+  return pt => ({
+    x: pt.x * scale.x + offset.x,
+    y: pt.y * scale.y + offset.y
+  });
+};
+
+/**
+ * Returns how similar two poses are, 0..1, based on the
+ * average distance between their keypoints relative to the size of the poses.
+ *
+ * Only keypoints with a score of at least `minScore` in both poses are compared.
+ * If fewer than `minKeypoints` can be compared, 0 is returned.
+ * @param {MoveNet.Pose} a
+ * @param {MoveNet.Pose} b
+ * @param {number} minScore
+ * @param {number} minKeypoints
+ */
+export const similarity = (a, b, minScore = 0.3, minKeypoints = 4) => {
+  let total = 0;
+  let count = 0;
+  for (const [ index, ka ] of a.keypoints.entries()) {
+    const kb = b.keypoints[index];
+    if (kb === undefined) continue;
+    if ((ka.score ?? 1) < minScore || (kb.score ?? 1) < minScore) continue;
+    total += Points.distance(ka, kb);
+    count++;
+  }
+  if (count < minKeypoints || count === 0) return 0;
+
+  // Use diagonal of poses as their size
+  const boxA = keypointBox(a.keypoints, minScore);
+  const boxB = keypointBox(b.keypoints, minScore);
+  if (boxA === undefined || boxB === undefined) return 0;
+  const size = (Math.hypot(boxA.width, boxA.height) + Math.hypot(boxB.width, boxB.height)) / 2;
+  if (size === 0) return 0;
+  return Math.max(0, 1 - (total / count) / size);
+};
+
+/**
+ * Returns a single pose combined from several, each keypoint
+ * being the average of the others weighted by their score.
+ * The score of each keypoint is the highest of the poses.
+ * @param {MoveNet.Pose[]} poses
+ * @returns {MoveNet.Pose}
+ */
+export const merge = (poses) => {
+  if (poses.length === 1) return poses[0];
+  const length = Math.max(...poses.map(p => p.keypoints.length));
+
+  /** @type MoveNet.Keypoint[] */
+  const keypoints = [];
+  for (let index = 0; index < length; index++) {
+    let x = 0;
+    let y = 0;
+    let weight = 0;
+    let score = 0;
+    let name;
+    for (const p of poses) {
+      const kp = p.keypoints[index];
+      if (kp === undefined) continue;
+      const s = kp.score ?? 1;
+      x += kp.x * s;
+      y += kp.y * s;
+      weight += s;
+      score = Math.max(score, s);
+      name = name ?? kp.name;
+    }
+    keypoints.push(weight === 0 ?
+      { x: Number.NaN, y: Number.NaN, score: 0, name } :
+      { x: x / weight, y: y / weight, score, name });
+  }
+  return {
+    keypoints,
+    score: Math.max(...poses.map(p => p.score ?? 0)),
+    box: keypointBox(keypoints.filter(kp => !Number.isNaN(kp.x)))
+  };
+};
+
+/**
+ * A person, seen by one or more senders
+ */
+export class Person {
+  #id;
+  #hue;
+  /**
+   * PoseTrackers for this person, keyed by guid
+   * @type Map<string,import('./PoseTracker.js').PoseTracker>
+   */
+  #members = new Map();
+  /** @type PeopleTracker */
+  #people;
+
+  /**
+   * @param {string} id
+   * @param {PeopleTracker} people
+   */
+  constructor(id, people) {
+    this.#id = id;
+    this.#people = people;
+    this.#hue = Math.random() * 360;
+  }
+
+  /**
+   * Returns the id of this person. This does not change
+   * as senders come and go.
+   */
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * Returns the randomly-assigned hue (0..360)
+   */
+  get hue() {
+    return this.#hue;
+  }
+
+  /**
+   * Returns a CSS colour: hsl() based on
+   * the randomly-assigned hue
+   */
+  get hsl() {
+    return `hsl(${this.#hue}, 70%, 50%)`;
+  }
+
+  /**
+   * Enumerates the PoseTrackers for this person, one per sender
+   */
+  *getTrackers() {
+    yield* this.#members.values();
+  }
+
+  /**
+   * Enumerates the ids of senders seeing this person
+   */
+  *getSenderIds() {
+    for (const t of this.#members.values()) yield t.fromId;
+  }
+
+  /**
+   * Returns the number of senders seeing this person
+   */
+  get size() {
+    return this.#members.size;
+  }
+
+  /**
+   * Returns the merged pose of this person, in calibrated coordinates
+   */
+  get last() {
+    const poses = [ ...this.#members.values() ].map(t => this.#people.calibrated(t));
+    return merge(poses);
+  }
+
+  /**
+   * Returns the merged pose, leaving out a tracker
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   * @returns {MoveNet.Pose|undefined}
+   */
+  lastWithout(tracker) {
+    const poses = [ ...this.#members.values() ].filter(t => t !== tracker).map(t => this.#people.calibrated(t));
+    if (poses.length === 0) return;
+    return merge(poses);
+  }
+
+  /**
+   * Returns the score of the merged pose
+   */
+  get score() {
+    return this.last.score ?? 0;
+  }
+
+  /**
+   * Returns the middle of the merged pose's bounding box
+   */
+  get middle() {
+    const pose = this.last;
+    const box = pose.box ?? keypointBox(pose.keypoints);
+    if (box) {
+      return {
+        x: box.xMin + box.width / 2,
+        y: box.yMin + box.height / 2
+      };
+    }
+    return { x: 0, y: 0 };
+  }
+
+  /**
+   * Returns how long since any sender updated this person
+   */
+  get elapsed() {
+    return Math.min(...[ ...this.#members.values() ].map(t => t.elapsed));
+  }
+
+  /**
+   * Returns the last merged position for a given keypoint
+   * @param {string} name
+   */
+  keypointValue(name) {
+    const kp = MoveNet.Coco.getKeypoint(this.last, name);
+    if (kp === undefined) throw new Error(`No data for point '${name}'`);
+    return kp;
+  }
+
+  /**
+   * Returns _true_ if this person is seen by a given sender
+   * @param {string} senderId
+   */
+  hasSender(senderId) {
+    for (const t of this.#members.values()) {
+      if (t.fromId === senderId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Returns _true_ if a tracker is part of this person
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  has(tracker) {
+    return this.#members.has(tracker.guid);
+  }
+
+  /**
+   * Adds a tracker. Used by PeopleTracker.
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  add(tracker) {
+    this.#members.set(tracker.guid, tracker);
+  }
+
+  /**
+   * Removes a tracker. Used by PeopleTracker.
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  remove(tracker) {
+    this.#members.delete(tracker.guid);
+  }
+}
+
+/**
+ * Works out which poses from different senders belong to the same body.
+ * Created by PosesTracker and available as its `people` field.
+ *
+ * Each sender's coordinates can be mapped into a shared space with `calibrate()`,
+ * for example when cameras are side-by-side. Poses from different senders are
+ * then grouped by how similar their keypoints are.
+ *
+ * Events:
+ * - added: A new person
+ * - expired: Person is no longer seen by any sender
+ * - changed: A sender started or stopped seeing a person
+ */
+export class PeopleTracker {
+  /**
+   * People, keyed by id
+   * @type Map<string,Person>
+   */
+  #people = new Map();
+
+  /**
+   * Person for each PoseTracker, keyed by guid
+   * @type Map<string,Person>
+   */
+  #byGuid = new Map();
+
+  /**
+   * Calibration functions, keyed by sender id
+   * @type Map<string,(pt:Points.Point) => Points.Point>
+   */
+  #calibrations = new Map();
+
+  /** @type PeopleTrackerOptions */
+  #options;
+
+  #count = 0;
+
+  events = new EventTarget();
+
+  /**
+   *
+   * @param {Partial<PeopleTrackerOptions>} options
+   */
+  constructor(options = {}) {
+    this.#options = {
+      minSimilarity: 0.8,
+      minKeypointScore: 0.3,
+      minKeypoints: 4,
+      hysteresis: 0.1,
+      ...options
+    };
+  }
+
+  /**
+   * Sets how to map points from a sender into the shared space.
+   * Use _undefined_ to remove calibration.
+   * See Room.js for how this differs from `Room.calibrate()`.
+   * @param {string} senderId
+   * @param {Calibration|undefined} calibration
+   */
+  calibrate(senderId, calibration) {
+    if (calibration === undefined) {
+      this.#calibrations.delete(senderId);
+    } else {
+      this.#calibrations.set(senderId, toCalibrationFunction(calibration));
+    }
+  }
+
+  /**
+   * Returns the last pose of a tracker with its sender's calibration applied
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   * @returns {MoveNet.Pose}
+   */
+  calibrated(tracker) {
+    const pose = tracker.last;
+    const c = this.#calibrations.get(tracker.fromId);
+    if (c === undefined) return pose;
+    const keypoints = pose.keypoints.map(kp => ({ ...kp, ...c(kp) }));
+    return {
+      ...pose,
+      keypoints,
+      box: keypointBox(keypoints)
+    };
+  }
+
+  /**
+   * Called by PosesTracker when a pose has been updated
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  seen(tracker) {
+    const { minSimilarity, hysteresis } = this.#options;
+    const pose = this.calibrated(tracker);
+    let person = this.#byGuid.get(tracker.guid);
+
+    if (person !== undefined && person.size > 1) {
+      // Check it still matches the rest of the person
+      const rest = person.lastWithout(tracker);
+      if (rest && this.#similarity(pose, rest) < minSimilarity - hysteresis) {
+        this.#detach(tracker, person);
+        person = undefined;
+      } else {
+        return;
+      }
+    }
+
+    // Find the closest match amongst people this sender isn't already seeing
+    let best;
+    let bestSimilarity = minSimilarity;
+    for (const p of this.#people.values()) {
+      if (p === person || p.hasSender(tracker.fromId)) continue;
+      const s = this.#similarity(pose, p.last);
+      if (s >= bestSimilarity) {
+        best = p;
+        bestSimilarity = s;
+      }
+    }
+
+    if (best === undefined) {
+      if (person === undefined) this.#create(tracker);
+      return;
+    }
+
+    // Join the matched person. If the tracker was on its own,
+    // its old person is no longer needed
+    if (person !== undefined) this.#detach(tracker, person);
+    best.add(tracker);
+    this.#byGuid.set(tracker.guid, best);
+    this.events.dispatchEvent(new CustomEvent(`changed`, { detail: best }));
+  }
+
+  /**
+   * Called by PosesTracker when a pose has expired
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  remove(tracker) {
+    const person = this.#byGuid.get(tracker.guid);
+    if (person === undefined) return;
+    this.#detach(tracker, person);
+  }
+
+  /**
+   * Returns the person a PoseTracker belongs to
+   * @param {import('./PoseTracker.js').PoseTracker|string} trackerOrGuid
+   */
+  getByTracker(trackerOrGuid) {
+    return this.#byGuid.get(typeof trackerOrGuid === `string` ? trackerOrGuid : trackerOrGuid.guid);
+  }
+
+  /**
+   * Returns a person by id
+   * @param {string} id
+   */
+  getById(id) {
+    return this.#people.get(id);
+  }
+
+  /**
+   * Enumerate all people
+   */
+  *get() {
+    yield* this.#people.values();
+  }
+
+  /**
+   * Enumerates people, sorted by age.
+   * The most recently updated will be at position 0.
+   */
+  *getByAge() {
+    const people = [ ...this.#people.values() ];
+    people.sort((a, b) => a.elapsed - b.elapsed);
+    yield* people;
+  }
+
+  /**
+   * Enumerates people, sorted by score.
+   * The highest score will be at position 0
+   */
+  *getByScore() {
+    const people = [ ...this.#people.values() ];
+    people.sort((a, b) => b.score - a.score);
+    yield* people;
+  }
+
+  /**
+   * Enumerates people, sorted by horizontal position.
+   * Leftmost person will be at position 0.
+   */
+  *getByHorizontal() {
+    const people = [ ...this.#people.values() ];
+    people.sort((a, b) => a.middle.x - b.middle.x);
+    yield* people;
+  }
+
+  /**
+   * Enumerate the merged pose of each person
+   */
+  *getRawPoses() {
+    for (const p of this.get()) {
+      yield p.last;
+    }
+  }
+
+  /**
+   * Clear all data
+   */
+  clear() {
+    this.#people.clear();
+    this.#byGuid.clear();
+  }
+
+  /**
+   * Return number of people
+   */
+  get size() {
+    return this.#people.size;
+  }
+
+  /**
+   * @param {MoveNet.Pose} a
+   * @param {MoveNet.Pose} b
+   */
+  #similarity(a, b) {
+    const { minKeypointScore, minKeypoints } = this.#options;
+    return similarity(a, b, minKeypointScore, minKeypoints);
+  }
+
+  /**
+   * Makes a new person for a tracker
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   */
+  #create(tracker) {
+    const person = new Person(`p${++this.#count}`, this);
+    person.add(tracker);
+    this.#people.set(person.id, person);
+    this.#byGuid.set(tracker.guid, person);
+    this.events.dispatchEvent(new CustomEvent(`added`, { detail: person }));
+  }
+
+  /**
+   * Removes a tracker from a person, removing the person
+   * if it has no trackers left
+   * @param {import('./PoseTracker.js').PoseTracker} tracker
+   * @param {Person} person
+   */
+  #detach(tracker, person) {
+    person.remove(tracker);
+    this.#byGuid.delete(tracker.guid);
+    if (person.size === 0) {
+      this.#people.delete(person.id);
+      this.events.dispatchEvent(new CustomEvent(`expired`, { detail: person }));
+    } else {
+      this.events.dispatchEvent(new CustomEvent(`changed`, { detail: person }));
+    }
+  }
+}
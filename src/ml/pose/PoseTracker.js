@@ -1,5 +1,8 @@
 import { PointTracker, TrackedPointMap, points as pointsTracker } from '../../ixfx/trackers.js';
 import * as MoveNet from './Poses.js';
+import * as Filters from './Filters.js';
+import * as Features from './Features.js';
+import * as Rx from '../../ixfx/rx.js';
 
 /**
  * Track details of a single pose
@@ -9,22 +12,38 @@ export class PoseTracker {
   #poseId;
   #guid;
   #seen = 0;
+  #created = Date.now();
   /** @type MoveNet.Pose */
   #data;
   /** @type TrackedPointMap */
   points;
   /** @type number */
   #hue;
+  /** @type Filters.FilterSpec */
+  #filter;
+  /** 
+   * Filter for each keypoint
+   * @type Map<string,Filters.KeypointFilter> */
+  #filters = new Map();
+  /** 
+   * Last filtered result for each keypoint
+   * @type Map<string,Filters.FilterResult> */
+  #filtered = new Map();
+  /** @type Features.BodyFeatures|undefined */
+  #features;
+  /** @type import('../../ixfx/rx.js').ReactiveWritable<Features.BodyFeatures>|undefined */
+  #featureStream;
 
 
   /**
    * 
    * @param {string} fromId
    * @param {string} poseId 
-   * @param {import('../../ixfx/trackers.js').TrackedValueOpts} options 
+   * @param {import('../../ixfx/trackers.js').TrackedValueOpts & { filter?:Filters.FilterSpec }} options 
    */
   constructor(fromId, poseId, options) {
     this.#poseId = poseId;
+    this.#filter = options.filter ?? `none`;
     this.#fromId = fromId;
     this.#guid = fromId + `-` + poseId;
     this.#hue = Math.random() * 360;
@@ -84,6 +103,8 @@ export class PoseTracker {
    */
   reset() {
     this.points.reset();
+    this.#filters.clear();
+    this.#filtered.clear();
   }
 
   /**
@@ -111,11 +132,21 @@ export class PoseTracker {
 
   /**
    * Returns the original pose id.
+   * If the pose has been re-identified, this is the most recent pose id.
    * Warning: this may not be unique if there are multiple senders
    */
   get poseId() {
     return this.#poseId;
   }
+
+  /**
+   * Called by PosesTracker when a new pose id is
+   * found to be the same body. The guid stays the same.
+   * @param {string} poseId 
+   */
+  reidentify(poseId) {
+    this.#poseId = poseId;
+  }
   /**
    * Returns the id of the sender of this pose
    */
@@ -141,7 +172,20 @@ export class PoseTracker {
   }
 
   /**
-   * Returns the last position for a given keypoint
+   * Returns the estimated velocity of a keypoint, in units per second.
+   * If no filter is used, this is based on the last two positions.
+   * @param {string} name 
+   * @returns {{x:number,y:number}}
+   */
+  keypointVelocity(name) {
+    const f = this.#filtered.get(name);
+    if (f === undefined) throw new Error(`No data for point '${name}'`);
+    return { x: f.vx, y: f.vy };
+  }
+
+  /**
+   * Returns the last position for a given keypoint.
+   * If a filter is used, this is the filtered position.
    * @param {*} name 
    * @returns 
    */
@@ -154,17 +198,58 @@ export class PoseTracker {
   }
 
   /**
-   * Update this pose with new information
+   * Update this pose with new information.
+   * Keypoints are passed through the filter before being tracked.
    * @param {MoveNet.Pose} pose 
    */
   async seen(pose) {
-    this.#seen = Date.now();
+    const now = Date.now();
+    this.#seen = now;
     this.#data = pose;
 
     for (const kp of pose.keypoints) {
       if (!kp.name) continue;
-      await this.points.seen(kp.name, kp);
+      let filter = this.#filters.get(kp.name);
+      if (filter === undefined) {
+        filter = Filters.create(this.#filter);
+        this.#filters.set(kp.name, filter);
+      }
+      const f = filter(kp, kp.score, now);
+      this.#filtered.set(kp.name, f);
+      await this.points.seen(kp.name, { ...kp, x: f.x, y: f.y });
     }
+
+    // Features are worked out again when needed
+    this.#features = undefined;
+    if (this.#featureStream) this.#featureStream.set(this.features);
+  }
+
+  /**
+   * Returns features of the body, such as joint angles and which way it is facing.
+   * Uses filtered keypoints if a filter is set. See Features.js
+   * @returns {Features.BodyFeatures}
+   */
+  get features() {
+    if (this.#features === undefined) {
+      this.#features = Features.compute({ keypoints: [ ...this.getRawValues() ] });
+    }
+    return this.#features;
+  }
+
+  /**
+   * Returns a stream of features, with a new value each time the pose is updated.
+   * ```js
+   * tracker.featureStream.onValue(f => {
+   *  // f.torsoLean etc...
+   * });
+   * ```
+   * @returns {import('../../ixfx/rx.js').Reactive<Features.BodyFeatures>}
+   */
+  get featureStream() {
+    if (this.#featureStream === undefined) {
+      this.#featureStream = Rx.manual();
+    }
+    return this.#featureStream;
   }
 
   /**
@@ -174,6 +259,13 @@ export class PoseTracker {
     return Date.now() - this.#seen;
   }
 
+  /**
+   * Returns how long since pose was first seen
+   */
+  get age() {
+    return Date.now() - this.#created;
+  }
+
   get last() {
     return this.#data;
   }
@@ -186,7 +278,8 @@ export class PoseTracker {
   }
 
   /**
-     * Returns the raw KeyPoints
+     * Returns the last KeyPoints. If a filter is used,
+     * these are the filtered positions.
      * @returns {Generator<MoveNet.Keypoint>}
      */
   *getRawValues() {
@@ -1,4 +1,14 @@
 export * from './Util.js';
 export * from './PoseTracker.js';
+export * from './HandTracker.js';
+export * from './FaceTracker.js';
 export * from './PosesTracker.js';
+export * from './People.js';
+export * as Filters from './Filters.js';
+export * from './Gestures.js';
+export * as Features from './Features.js';
+export * as Recordings from './Recordings.js';
+export * from './Room.js';
+export * as Wire from './Wire.js';
+export * as Landmarks from './Landmarks.js';
 export * from '../lib/bundle.js';
@@ -1,11 +1,23 @@
+import { Points } from '../../ixfx/geometry.js';
 import * as MoveNet from './Poses.js';
 import { PoseTracker } from './PoseTracker.js';
+import { PeopleTracker } from './People.js';
+import { keypointBox, limbSimilarity } from './Util.js';
+import * as Wire from './Wire.js';
 /**
  * @typedef {Readonly<{
  * maxAgeMs:number
  * resetAfterSamples:number
  * sampleLimit:number
  * storeIntermediate:boolean
+ * reidentifyMs:number
+ * reidentifyGapMs:number
+ * reidentifyMissed:number
+ * reidentifyWindowMs:number
+ * reidentifyThreshold:number
+ * filter:import('./Filters.js').FilterSpec
+ * tracker:typeof PoseTracker
+ * people:Partial<import('./People.js').PeopleTrackerOptions>
  * }>} PosesTrackerOptions
  */
 
@@ -15,6 +27,7 @@ import { PoseTracker } from './PoseTracker.js';
  * Events:
  * - expired: Tracked pose has not been seen for a while
  * - added: A new pose id
+ * - reidentified: A new pose id was found to be an existing body
  */
 export class PosesTracker {
   /** 
@@ -22,11 +35,43 @@ export class PosesTracker {
    * @type Map<string,PoseTracker> */
   #data = new Map();
 
+  /**
+   * Recently expired PoseTrackers, which new poses
+   * might be matched to. Keyed by guid
+   * @type Map<string,PoseTracker>
+   */
+  #expired = new Map();
+
+  /**
+   * Guid of tracker for each 'sender-pose.id', when
+   * the pose has been re-identified as an existing body
+   * @type Map<string,string>
+   */
+  #aliases = new Map();
+
   /** @type PosesTrackerOptions */
   #options;
 
+  /**
+   * Average time between updates of a pose, for each sender
+   * @type Map<string,number>
+   */
+  #senderIntervals = new Map();
+
+  /**
+   * Decodes poses sent in the compact format. See Wire.js
+   */
+  #decoder;
+
   events = new EventTarget();
 
+  /**
+   * Poses from different senders grouped by body.
+   * See People.js
+   * @type PeopleTracker
+   */
+  people;
+
   /**
    * 
    * @param {Partial<PosesTrackerOptions>} options 
@@ -37,15 +82,36 @@ export class PosesTracker {
       resetAfterSamples: 0,
       sampleLimit: 100,
       storeIntermediate:false,
+      reidentifyMs: 5000,
+      reidentifyGapMs: 100,
+      reidentifyMissed: 3,
+      reidentifyWindowMs: 1000,
+      reidentifyThreshold: 0.5,
+      filter: `none`,
+      tracker: PoseTracker,
+      people: {},
       ...options
     };
+    this.people = new PeopleTracker(this.#options.people);
+    this.#decoder = new Wire.Decoder({ maxAgeMs: this.#options.maxAgeMs });
     setInterval(() => {
       // Delete expired poses
       const expired = [...this.#data.entries()].filter(entry=>entry[1].elapsed > this.#options.maxAgeMs);
       for (const entry of expired) {
         this.#data.delete(entry[0]);
+        this.people.remove(entry[1]);
+        this.#expired.set(entry[0], entry[1]);
         this.events.dispatchEvent(new CustomEvent(`expired`, {detail:entry[1]}));
       }
+
+      // Forget poses that expired too long ago to be re-identified
+      const { maxAgeMs, reidentifyMs } = this.#options;
+      for (const [ guid, tracker ] of this.#expired.entries()) {
+        if (tracker.elapsed > maxAgeMs + reidentifyMs) this.#expired.delete(guid);
+      }
+      for (const [ nsId, guid ] of this.#aliases.entries()) {
+        if (!this.#data.has(guid) && !this.#expired.has(guid)) this.#aliases.delete(nsId);
+      }
     }, 1000);
   }
 
@@ -151,6 +217,9 @@ export class PosesTracker {
    */
   clear() {
     this.#data.clear();
+    this.#expired.clear();
+    this.#aliases.clear();
+    this.people.clear();
   }
 
   /**
@@ -216,25 +285,120 @@ export class PosesTracker {
   /**
    * Track a pose.
    * Fires `added` event if it is a new pose.
-   * Returns the globally-unique id for this pose
-   * @param {MoveNet.Pose} pose 
+   * 
+   * If a new pose id seems to be a body that was recently lost,
+   * it continues with the existing PoseTracker and `reidentified` is fired.
+   * 
+   * Poses sent in the compact format (see Wire.js) are decoded. If one can't be
+   * decoded yet because an earlier frame was missed, it is skipped.
+   * 
+   * Returns the globally-unique id for this pose, or _undefined_ if skipped
+   * @param {MoveNet.Pose|Wire.EncodedPose} pose 
    * @param {string} from
+   * @returns {string|undefined}
    */
   seen(from, pose) {
     if (from === undefined) throw new Error(`Parameter 'from' is undefined`);
     if (pose === undefined) throw new Error(`Parameter 'pose' is undefined`);
+    if (Wire.isEncoded(pose)) {
+      const decoded = this.#decoder.decode(from, pose);
+      if (decoded === undefined) return;
+      pose = decoded;
+    }
     const id = (pose.id ?? 0).toString();
     const nsId = from+`-`+id;
-    let tp = this.#data.get(nsId);
+    let tp = this.#data.get(this.#aliases.get(nsId) ?? nsId);
+    if (tp !== undefined) this.#updateInterval(from, tp.elapsed);
     if (tp === undefined) {
-      tp = new PoseTracker(from, id, this.#options);
-      this.#data.set(nsId, tp);
-      tp.seen(pose);
-      this.events.dispatchEvent(new CustomEvent(`added`, {detail:tp}));
-    } else {
-      tp.seen(pose);
+      // Is it someone we've lost track of?
+      const existing = this.#findLost(from, pose);
+      if (existing) {
+        tp = this.#reidentify(existing, nsId, id);
+      } else {
+        tp = new this.#options.tracker(from, id, this.#options);
+        this.#data.set(nsId, tp);
+        tp.seen(pose);
+        this.events.dispatchEvent(new CustomEvent(`added`, {detail:tp}));
+        this.people.seen(tp);
+        return nsId;
+      }
+    } else if (tp.age < this.#options.reidentifyWindowMs && tp.guid === nsId) {
+      // The old id might only go quiet after the new one appears, 
+      // so keep checking new poses for a little while
+      const existing = this.#findLost(from, pose, tp);
+      if (existing) {
+        this.#data.delete(tp.guid);
+        this.people.remove(tp);
+        this.events.dispatchEvent(new CustomEvent(`expired`, {detail:tp}));
+        tp = this.#reidentify(existing, nsId, id);
+      }
     }
-    return nsId;
+    tp.seen(pose);
+    this.people.seen(tp);
+    return tp.guid;
+  }
+
+  /**
+   * Keeps track of how often a sender updates its poses
+   * @param {string} from 
+   * @param {number} elapsed Time since the pose was last updated
+   */
+  #updateInterval(from, elapsed) {
+    // Long gaps are the pose going missing, rather than the update rate
+    if (elapsed > this.#options.reidentifyWindowMs) return;
+    const average = this.#senderIntervals.get(from);
+    this.#senderIntervals.set(from, average === undefined ? elapsed : average * 0.9 + elapsed * 0.1);
+  }
+
+  /**
+   * Returns the best match amongst trackers from the same sender which haven't been
+   * seen for a while, or _undefined_ if none are close enough.
+   * 
+   * To count as lost, a tracker must have missed `reidentifyMissed` of its sender's updates,
+   * and been quiet for at least `reidentifyGapMs`. Otherwise a sender that only sends every
+   * so often would have people still in view counted as lost.
+   * 
+   * If the new pose already has a tracker, others must have gone quiet before it was first seen.
+   * @param {string} from 
+   * @param {MoveNet.Pose} pose 
+   * @param {PoseTracker} [newTracker] 
+   */
+  #findLost(from, pose, newTracker) {
+    const { reidentifyGapMs, reidentifyMissed, reidentifyThreshold, reidentifyMs } = this.#options;
+    if (reidentifyMs <= 0) return;
+    const interval = this.#senderIntervals.get(from) ?? 0;
+    const minElapsed = Math.max(reidentifyGapMs, interval * reidentifyMissed, newTracker?.age ?? 0);
+
+    let best;
+    let bestScore = reidentifyThreshold;
+    for (const tracker of [ ...this.#data.values(), ...this.#expired.values() ]) {
+      if (tracker === newTracker || tracker.fromId !== from || tracker.elapsed < minElapsed) continue;
+      const score = reidentifyScore(tracker.last, pose);
+      if (score >= bestScore) {
+        best = tracker;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Continue tracking an existing tracker with a new pose id
+   * @param {PoseTracker} tracker 
+   * @param {string} nsId 
+   * @param {string} poseId 
+   */
+  #reidentify(tracker, nsId, poseId) {
+    this.#aliases.set(nsId, tracker.guid);
+    tracker.reidentify(poseId);
+    if (this.#expired.has(tracker.guid)) {
+      // Bring it back
+      this.#expired.delete(tracker.guid);
+      this.#data.set(tracker.guid, tracker);
+      this.events.dispatchEvent(new CustomEvent(`added`, {detail:tracker}));
+    }
+    this.events.dispatchEvent(new CustomEvent(`reidentified`, {detail:tracker}));
+    return tracker;
   }
 
   /**
@@ -244,3 +408,33 @@ export class PosesTracker {
     return this.#data.size;
   }
 }
+
+/**
+ * Returns 0..1 for how likely it is that `pose` is the same body as `before`,
+ * based on position, size and proportions.
+ * @param {MoveNet.Pose} before 
+ * @param {MoveNet.Pose} pose 
+ */
+const reidentifyScore = (before, pose) => {
+  const boxA = before.box ?? keypointBox(before.keypoints);
+  const boxB = pose.box ?? keypointBox(pose.keypoints);
+  if (boxA === undefined || boxB === undefined) return 0;
+  const sizeA = Math.hypot(boxA.width, boxA.height);
+  const sizeB = Math.hypot(boxB.width, boxB.height);
+  if (sizeA === 0 || sizeB === 0) return 0;
+
+  // How far it has moved, relative to its size
+  const distance = Points.distance(
+    { x: boxA.xMin + boxA.width / 2, y: boxA.yMin + boxA.height / 2 },
+    { x: boxB.xMin + boxB.width / 2, y: boxB.yMin + boxB.height / 2 }
+  );
+  const position = Math.max(0, 1 - distance / sizeA);
+
+  // How similar in size
+  const size = Math.min(sizeA, sizeB) / Math.max(sizeA, sizeB);
+
+  // How similar in proportions. If we can't tell, don't count it
+  const proportions = limbSimilarity(before, pose) ?? 1;
+
+  return position * size * proportions;
+};
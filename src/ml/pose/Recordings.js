@@ -0,0 +1,324 @@
+/**
+ * Saving, loading and playing back pose recordings.
+ *
+ * Recordings are stored as JSON:
+ * ```json
+ * {
+ *  "format": "ixfx-pose-recording",
+ *  "version": 1,
+ *  "name": "wave",
+ *  "model": "MoveNet",
+ *  "size": { "width": 800, "height": 600 },
+ *  "frames": [
+ *    { "t": 0, "from": "left", "poses": [ { "keypoints": [...], "score": 0.8, "id": 1 } ] },
+ *    { "t": 50, "from": "left", "poses": [...] }
+ *  ]
+ * }
+ * ```
+ *
+ * or as NDJSON (one JSON object per line), with the first line holding everything but the frames,
+ * and each line after that being a frame. NDJSON is easier to append to and can be read line by line.
+ *
+ * `t` is milliseconds since the start of the recording. `from` is optional, and is the id of the
+ * sender the poses came from. `poses` is what a sender transmits: an array of poses.
+ */
+
+import * as Wire from './Wire.js';
+
+/**
+ * Identifies the file format
+ */
+export const format = `ixfx-pose-recording`;
+
+/**
+ * Current version of the format
+ */
+export const version = 1;
+
+/**
+ * Creates a recording from one made with the sender's recorder (ie. RecorderSource).
+ * These don't store timing, so frames are assumed to be `sampleMs` apart.
+ * @param {import('../lib/bundle.js').Recording} recording
+ * @param {number} sampleMs Time between frames. Sender uses 50ms by default
+ * @returns {PoseRecording}
+ */
+export const fromRecorder = (recording, sampleMs = 50) => ({
+  format,
+  version,
+  name: recording.name,
+  model: recording.model,
+  size: recording.size,
+  frames: recording.data.map((poses, index) => ({ t: index * sampleMs, poses }))
+});
+
+/**
+ * Returns a recording that can be added to the sender's recorder:
+ * `app.recorder.add(toRecorder(recording))`.
+ *
+ * The recorder plays back frames at a fixed rate, so timing will be approximate.
+ * @param {PoseRecording} recording
+ * @returns {import('../lib/bundle.js').Recording}
+ */
+export const toRecorder = (recording) => ({
+  name: recording.name,
+  model: recording.model,
+  size: recording.size,
+  data: recording.frames.map(f => f.poses)
+});
+
+/**
+ * Returns recording as JSON
+ * @param {PoseRecording} recording
+ */
+export const toJson = (recording) => JSON.stringify(recording);
+
+/**
+ * Returns recording as NDJSON
+ * @param {PoseRecording} recording
+ */
+export const toNdjson = (recording) => {
+  const { frames, ...header } = recording;
+  return [ header, ...frames ].map(line => JSON.stringify(line)).join(`\n`) + `\n`;
+};
+
+/**
+ * Parses a recording from JSON or NDJSON.
+ * Recordings copied from the sender's recorder are also accepted.
+ * Throws an error if the text isn't a recording.
+ * @param {string} text
+ * @returns {PoseRecording}
+ */
+export const parse = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) throw new Error(`Recording is empty`);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not a single JSON object, so try as NDJSON
+    const [ header, ...frames ] = lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Line ${index + 1} is not valid JSON`);
+      }
+    });
+    parsed = { ...header, frames };
+  }
+
+  if (parsed.format === undefined && Array.isArray(parsed.data)) {
+    return fromRecorder(parsed);
+  }
+  if (parsed.format !== format) throw new Error(`Not a pose recording`);
+  if (parsed.version > version) throw new Error(`Recording is version ${parsed.version}, but only up to ${version} is supported`);
+  if (!Array.isArray(parsed.frames)) throw new Error(`Recording is missing 'frames'`);
+  return /** @type PoseRecording */(parsed);
+};
+
+/**
+ * Loads a recording from a file, eg. from an `<input type="file">`
+ * @param {Blob} file
+ */
+export const load = async (file) => parse(await file.text());
+
+/**
+ * Loads a recording from a URL
+ * ```js
+ * const recording = await Recordings.fetchUrl(`./wave.json`);
+ * ```
+ * @param {string} url
+ */
+export const fetchUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load recording: ${response.status} ${response.statusText}`);
+  return parse(await response.text());
+};
+
+/**
+ * Saves a recording as a file download
+ * @param {PoseRecording} recording
+ * @param {`json`|`ndjson`} [fileFormat] Defaults to `json`
+ */
+export const download = (recording, fileFormat = `json`) => {
+  const text = fileFormat === `ndjson` ? toNdjson(recording) : toJson(recording);
+  const blob = new Blob([ text ], { type: fileFormat === `ndjson` ? `application/x-ndjson` : `application/json` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement(`a`);
+  a.href = url;
+  a.download = `${recording.name}.${fileFormat}`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Records pose data as it arrives, eg. from Remote.
+ * Poses sent in the compact format are decoded, so recordings are always plain poses.
+ * ```js
+ * const recorder = new PoseRecorder(`test`);
+ * remote.onData = (packet) => {
+ *  recorder.add(packet._from, packet.data);
+ * }
+ * // Later
+ * Recordings.download(recorder.recording);
+ * ```
+ */
+export class PoseRecorder {
+  /** @type PoseRecording */
+  recording;
+  #start = 0;
+  #decoder = new Wire.Decoder();
+
+  /**
+   * @param {string} name
+   * @param {Partial<Omit<PoseRecording,`frames`>>} [details]
+   */
+  constructor(name, details = {}) {
+    this.recording = {
+      format,
+      version,
+      name,
+      model: `MoveNet`,
+      size: { width: 0, height: 0 },
+      ...details,
+      frames: []
+    };
+  }
+
+  /**
+   * Adds a frame of poses
+   * @param {string|undefined} from Sender id
+   * @param {Array<import('../lib/bundle.js').Pose|Wire.EncodedPose>} poses
+   */
+  add(from, poses) {
+    const now = performance.now();
+    if (this.recording.frames.length === 0) this.#start = now;
+    /** @type import('../lib/bundle.js').Pose[] */
+    const decoded = [];
+    for (const pose of poses) {
+      const p = Wire.isEncoded(pose) ? this.#decoder.decode(from ?? ``, pose) : pose;
+      if (p !== undefined) decoded.push(p);
+    }
+    /** @type Frame */
+    const frame = { t: Math.round(now - this.#start), poses: decoded };
+    if (from !== undefined) frame.from = from;
+    this.recording.frames.push(frame);
+  }
+
+  /**
+   * Returns the number of frames recorded
+   */
+  get length() {
+    return this.recording.frames.length;
+  }
+}
+
+/**
+ * Plays a recording into a PosesTracker, as if it was being received from a sender.
+ * The returned `done` promise resolves when playback finishes.
+ * ```js
+ * const playback = Recordings.play(recording, poses, { speed: 4 });
+ * await playback.done;
+ * ```
+ *
+ * Options:
+ * - speed: 1 plays in real time, 2 twice as fast and so on. Default: 1
+ * - loop: Start again when finished. Default: false
+ * - from: Sender id to use for frames which don't have one. Default: 'recording'
+ * @param {PoseRecording} recording
+ * @param {{ seen:(from:string, pose:import('../lib/bundle.js').Pose) => void }} poses Eg. a PosesTracker
+ * @param {Partial<PlayOptions>} options
+ * @returns {Playback}
+ */
+export const play = (recording, poses, options = {}) => {
+  const { speed = 1, loop = false, from = `recording` } = options;
+  if (speed <= 0) throw new Error(`Speed must be above 0`);
+  const { frames } = recording;
+
+  let index = 0;
+  let stopped = false;
+  /** @type ReturnType<typeof setTimeout>|undefined */
+  let timer;
+  /** @type ((value:void) => void)|undefined */
+  let resolveDone;
+  /** @type Promise<void> */
+  const done = new Promise(resolve => {
+    resolveDone = resolve;
+  });
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    resolveDone?.();
+  };
+
+  const next = () => {
+    if (stopped) return;
+    if (index >= frames.length) {
+      if (!loop || frames.length === 0) {
+        stop();
+        return;
+      }
+      index = 0;
+    }
+    const frame = frames[index];
+    for (const pose of frame.poses) {
+      poses.seen(frame.from ?? from, pose);
+    }
+    index++;
+
+    // Wait until next frame is due. When looping, use the average gap
+    const following = frames[index];
+    let gap = 0;
+    if (following !== undefined) {
+      gap = following.t - frame.t;
+    } else if (frames.length > 1) {
+      gap = ((frames.at(-1)?.t ?? 0) - frames[0].t) / (frames.length - 1);
+    }
+    timer = setTimeout(next, Math.max(0, gap) / speed);
+  };
+  timer = setTimeout(next, 0);
+
+  return {
+    done,
+    stop,
+    get position() {
+      return index;
+    }
+  };
+};
+
+/**
+ * @typedef {{
+ * t: number
+ * from?: string
+ * poses: import('../lib/bundle.js').Pose[]
+ * }} Frame
+ */
+
+/**
+ * @typedef {{
+ * format: `ixfx-pose-recording`
+ * version: number
+ * name: string
+ * model: string
+ * size: { width:number, height:number }
+ * frames: Frame[]
+ * }} PoseRecording
+ */
+
+/**
+ * @typedef {{
+ * speed: number
+ * loop: boolean
+ * from: string
+ * }} PlayOptions
+ */
+
+/**
+ * @typedef {{
+ * done: Promise<void>
+ * stop: () => void
+ * readonly position: number
+ * }} Playback
+ */
@@ -0,0 +1,460 @@
+/**
+ * Maps poses from camera coordinates to positions on the floor of a room.
+ *
+ * Each sender's camera sees the room from a different place, so each is calibrated
+ * separately. Calibration takes four points on the floor as seen by the camera, and
+ * where those points are in the room (eg. in metres). From that, any point on the
+ * floor seen by the camera can be mapped to the room using a homography.
+ *
+ * People's positions are taken from their feet (ankle keypoints).
+ *
+ * This calibration is separate from `PeopleTracker.calibrate()`, and the two can't be
+ * merged. A homography is only correct for points on the floor: applied to a whole pose,
+ * everything above the ankles is stretched away from the camera, in a different direction
+ * for each camera, so poses of the same person would no longer match. People calibration
+ * instead lines whole poses up so they can be matched between senders. Room positions
+ * don't depend on it, since each sender's feet are mapped with its own homography.
+ *
+ * Zones are named areas of the room. When people move in and out
+ * of zones, `enter` and `exit` events fire.
+ *
+ * ```js
+ * const room = new Room(poses);
+ * // Corners of a 3x2m rug, as seen by the camera
+ * room.calibrate(senderId,
+ *  [ {x:0.2,y:0.7}, {x:0.8,y:0.7}, {x:0.9,y:0.95}, {x:0.1,y:0.95} ],
+ *  [ {x:0,y:0}, {x:3,y:0}, {x:3,y:2}, {x:0,y:2} ]);
+ * room.addZone(`rug`, [ {x:0,y:0}, {x:3,y:0}, {x:3,y:2}, {x:0,y:2} ]);
+ * room.events.addEventListener(`enter`, event => {
+ *  const { zone, person } = event.detail;
+ * });
+ * ```
+ */
+import * as MoveNet from './Poses.js';
+
+/**
+ * @typedef {{x:number, y:number}} Point
+ */
+
+/**
+ * @typedef {Readonly<{
+ * intervalMs:number
+ * minScore:number
+ * storageKey:string
+ * }>} RoomOptions
+ */
+
+/**
+ * Solves a set of linear equations `a * x = b` using Gaussian elimination.
+ * Returns _undefined_ if there is no single solution.
+ * @param {number[][]} a
+ * @param {number[]} b
+ * @returns {number[]|undefined}
+ */
+const solve = (a, b) => {
+  const n = b.length;
+  const m = a.map((row, index) => [ ...row, b[index] ]);
+  for (let col = 0; col < n; col++) {
+    // Use row with largest value in this column, for accuracy
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return;
+    [ m[col], m[pivot] ] = [ m[pivot], m[col] ];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, index) => row[n] / row[index]);
+};
+
+/**
+ * Returns a homography which maps the four `from` points to the four `to` points.
+ * The result is a 3x3 matrix as an array of 9 numbers, row by row.
+ * Throws an error if the points can't be mapped, eg. if three are in a line.
+ * @param {Point[]} from
+ * @param {Point[]} to
+ * @returns {number[]}
+ */
+export const homography = (from, to) => {
+  if (from.length !== 4 || to.length !== 4) throw new Error(`Four points are needed`);
+  const a = [];
+  const b = [];
+  for (const [ index, { x, y } ] of from.entries()) {
+    const { x: u, y: v } = to[index];
+    a.push([ x, y, 1, 0, 0, 0, -u * x, -u * y ]);
+    b.push(u);
+    a.push([ 0, 0, 0, x, y, 1, -v * x, -v * y ]);
+    b.push(v);
+  }
+  const h = solve(a, b);
+  if (h === undefined) throw new Error(`Points can't be mapped. Check that no three are in a line`);
+  return [ ...h, 1 ];
+};
+
+/**
+ * Maps a point using a homography
+ * @param {number[]} h
+ * @param {Point} pt
+ * @returns {Point}
+ */
+export const applyHomography = (h, pt) => {
+  const w = h[6] * pt.x + h[7] * pt.y + h[8];
+  return {
+    x: (h[0] * pt.x + h[1] * pt.y + h[2]) / w,
+    y: (h[3] * pt.x + h[4] * pt.y + h[5]) / w
+  };
+};
+
+/**
+ * Returns _true_ if point is inside polygon
+ * @param {Point} pt
+ * @param {Point[]} polygon
+ */
+export const insidePolygon = (pt, polygon) => {
+  let inside = false;
+  for (let index = 0, previous = polygon.length - 1; index < polygon.length; previous = index++) {
+    const a = polygon[index];
+    const b = polygon[previous];
+    const crosses = (a.y > pt.y) !== (b.y > pt.y) &&
+      pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Returns the position of a pose's feet in camera coordinates: the middle of
+ * the ankles, or just one if only one is visible.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ * @returns {Point|undefined}
+ */
+export const feet = (pose, minScore = 0.3) => {
+  const ankles = [ `left_ankle`, `right_ankle` ]
+    .map(name => MoveNet.Coco.getKeypoint(pose, name))
+    .filter(kp => kp !== undefined && (kp.score ?? 1) >= minScore);
+  if (ankles.length === 0) return;
+  return {
+    x: ankles.reduce((total, kp) => total + kp.x, 0) / ankles.length,
+    y: ankles.reduce((total, kp) => total + kp.y, 0) / ankles.length
+  };
+};
+
+/**
+ * Resolves with `count` points clicked on an element, relative to its size (ie. 0..1).
+ * Useful for clicking on floor points in a camera image.
+ * @param {HTMLElement} element
+ * @param {number} count
+ * @param {(pt:Point, index:number) => void} [onClick] Called after each click
+ * @returns {Promise<Point[]>}
+ */
+export const clickPoints = (element, count = 4, onClick) => new Promise(resolve => {
+  /** @type Point[] */
+  const points = [];
+  /**
+   * @param {PointerEvent} event
+   */
+  const handler = (event) => {
+    const bounds = element.getBoundingClientRect();
+    const pt = {
+      x: (event.clientX - bounds.left) / bounds.width,
+      y: (event.clientY - bounds.top) / bounds.height
+    };
+    points.push(pt);
+    if (onClick) onClick(pt, points.length - 1);
+    if (points.length === count) {
+      element.removeEventListener(`pointerup`, handler);
+      resolve(points);
+    }
+  };
+  element.addEventListener(`pointerup`, handler);
+});
+
+/**
+ * Positions people in a room, and tracks them entering and leaving zones.
+ * Uses `people` of the PosesTracker, so someone seen by several cameras is only counted once.
+ *
+ * Events:
+ * - enter: Person moved into a zone
+ * - exit: Person left a zone, or is no longer tracked
+ */
+export class Room {
+  /**
+   * @type import('./PosesTracker.js').PosesTracker
+   */
+  poses;
+
+  events = new EventTarget();
+
+  /** @type RoomOptions */
+  #options;
+
+  /**
+   * Homography for each sender
+   * @type Map<string,number[]>
+   */
+  #calibrations = new Map();
+
+  /**
+   * Zones, keyed by name
+   * @type Map<string,Point[]>
+   */
+  #zones = new Map();
+
+  /**
+   * Zones each person is in, keyed by person id
+   * @type Map<string,{person:import('./People.js').Person, zones:Set<string>}>
+   */
+  #occupancy = new Map();
+
+  /** @type ReturnType<typeof setInterval>|undefined */
+  #timer;
+
+  /**
+   * @param {import('./PosesTracker.js').PosesTracker} poses
+   * @param {Partial<RoomOptions>} options
+   */
+  constructor(poses, options = {}) {
+    this.poses = poses;
+    this.#options = {
+      intervalMs: 100,
+      minScore: 0.3,
+      storageKey: `pose-room`,
+      ...options
+    };
+    this.#load();
+    this.#timer = setInterval(() => {
+      this.update();
+    }, this.#options.intervalMs);
+  }
+
+  /**
+   * Calibrates a sender's camera.
+   * `camera` are four points on the floor, as seen by the camera.
+   * `room` are the same four points in room coordinates.
+   * See the top of this file for how this differs from `PeopleTracker.calibrate()`.
+   * @param {string} senderId
+   * @param {Point[]} camera
+   * @param {Point[]} room
+   */
+  calibrate(senderId, camera, room) {
+    this.#calibrations.set(senderId, homography(camera, room));
+    this.#save();
+  }
+
+  /**
+   * Removes calibration for a sender
+   * @param {string} senderId
+   */
+  forget(senderId) {
+    this.#calibrations.delete(senderId);
+    this.#save();
+  }
+
+  /**
+   * Returns _true_ if sender has been calibrated
+   * @param {string} senderId
+   */
+  isCalibrated(senderId) {
+    return this.#calibrations.has(senderId);
+  }
+
+  /**
+   * Maps a point from a sender's camera into the room.
+   * Returns _undefined_ if the sender isn't calibrated.
+   * @param {string} senderId
+   * @param {Point} pt
+   * @returns {Point|undefined}
+   */
+  toRoom(senderId, pt) {
+    const h = this.#calibrations.get(senderId);
+    if (h === undefined) return;
+    return applyHomography(h, pt);
+  }
+
+  /**
+   * Returns where a pose or person is standing in the room.
+   * For a person seen by several cameras, this is the average of the calibrated cameras.
+   * Returns _undefined_ if their feet can't be seen or the cameras aren't calibrated.
+   * @param {import('./PoseTracker.js').PoseTracker|import('./People.js').Person} trackerOrPerson
+   * @returns {Point|undefined}
+   */
+  position(trackerOrPerson) {
+    const trackers = `getTrackers` in trackerOrPerson ? [ ...trackerOrPerson.getTrackers() ] : [ trackerOrPerson ];
+    const positions = [];
+    for (const t of trackers) {
+      const f = feet({ keypoints: [ ...t.getRawValues() ] }, this.#options.minScore);
+      if (f === undefined) continue;
+      const pt = this.toRoom(t.fromId, f);
+      if (pt !== undefined) positions.push(pt);
+    }
+    if (positions.length === 0) return;
+    return {
+      x: positions.reduce((total, pt) => total + pt.x, 0) / positions.length,
+      y: positions.reduce((total, pt) => total + pt.y, 0) / positions.length
+    };
+  }
+
+  /**
+   * Resolves with the average position of someone's feet (in camera coordinates)
+   * over a period of time. Use this to calibrate by having someone stand on marked spots.
+   * Uses the most recently seen pose from the sender.
+   * @param {string} senderId
+   * @param {number} durationMs
+   * @returns {Promise<Point>}
+   */
+  captureFeet(senderId, durationMs = 2000) {
+    /** @type Point[] */
+    const samples = [];
+    return new Promise((resolve, reject) => {
+      const timer = setInterval(() => {
+        const tracker = [ ...this.poses.getByAge() ].find(t => t.fromId === senderId);
+        if (tracker === undefined) return;
+        const f = feet({ keypoints: [ ...tracker.getRawValues() ] }, this.#options.minScore);
+        if (f) samples.push(f);
+      }, 50);
+      setTimeout(() => {
+        clearInterval(timer);
+        if (samples.length === 0) {
+          reject(new Error(`Could not see feet`));
+          return;
+        }
+        resolve({
+          x: samples.reduce((total, pt) => total + pt.x, 0) / samples.length,
+          y: samples.reduce((total, pt) => total + pt.y, 0) / samples.length
+        });
+      }, durationMs);
+    });
+  }
+
+  /**
+   * Adds or replaces a zone
+   * @param {string} name
+   * @param {Point[]} polygon Points in room coordinates
+   */
+  addZone(name, polygon) {
+    this.#zones.set(name, polygon);
+    this.#save();
+  }
+
+  /**
+   * Removes a zone
+   * @param {string} name
+   */
+  removeZone(name) {
+    this.#zones.delete(name);
+    for (const o of this.#occupancy.values()) {
+      if (o.zones.delete(name)) this.#fire(`exit`, name, o.person);
+    }
+    this.#save();
+  }
+
+  /**
+   * Returns zones as an array of `{ name, polygon }`
+   */
+  get zones() {
+    return [ ...this.#zones.entries() ].map(([ name, polygon ]) => ({ name, polygon }));
+  }
+
+  /**
+   * Returns people in a zone
+   * @param {string} name
+   */
+  inside(name) {
+    return [ ...this.#occupancy.values() ].filter(o => o.zones.has(name)).map(o => o.person);
+  }
+
+  /**
+   * Returns the names of zones a person is in
+   * @param {import('./People.js').Person} person
+   */
+  zonesOf(person) {
+    return [ ...(this.#occupancy.get(person.id)?.zones ?? []) ];
+  }
+
+  /**
+   * Checks where people are, firing events as they enter and exit zones.
+   * Called automatically every `intervalMs`.
+   */
+  update() {
+    /** @type Set<string> */
+    const seen = new Set();
+    for (const person of this.poses.people.get()) {
+      seen.add(person.id);
+      const pt = this.position(person);
+      // Leave them where they were if we can't see their feet
+      if (pt === undefined) continue;
+
+      let o = this.#occupancy.get(person.id);
+      if (o === undefined) {
+        o = { person, zones: new Set() };
+        this.#occupancy.set(person.id, o);
+      }
+      for (const [ name, polygon ] of this.#zones.entries()) {
+        const isInside = insidePolygon(pt, polygon);
+        if (isInside && !o.zones.has(name)) {
+          o.zones.add(name);
+          this.#fire(`enter`, name, person, pt);
+        } else if (!isInside && o.zones.has(name)) {
+          o.zones.delete(name);
+          this.#fire(`exit`, name, person, pt);
+        }
+      }
+    }
+
+    // People no longer tracked have left
+    for (const [ id, o ] of this.#occupancy.entries()) {
+      if (seen.has(id)) continue;
+      for (const name of o.zones) this.#fire(`exit`, name, o.person);
+      this.#occupancy.delete(id);
+    }
+  }
+
+  /**
+   * Stops checking zones
+   */
+  dispose() {
+    if (this.#timer) clearInterval(this.#timer);
+    this.#timer = undefined;
+  }
+
+  /**
+   * @param {`enter`|`exit`} type
+   * @param {string} zone
+   * @param {import('./People.js').Person} person
+   * @param {Point} [position]
+   */
+  #fire(type, zone, person, position) {
+    this.events.dispatchEvent(new CustomEvent(type, { detail: { zone, person, position } }));
+  }
+
+  /**
+   * Load calibration and zones from localStorage
+   */
+  #load() {
+    try {
+      const saved = globalThis.localStorage?.getItem(this.#options.storageKey);
+      if (!saved) return;
+      const { calibrations, zones } = JSON.parse(saved);
+      this.#calibrations = new Map(Object.entries(calibrations ?? {}));
+      this.#zones = new Map(Object.entries(zones ?? {}));
+    } catch (error) {
+      console.warn(`Could not load room calibration`, error);
+    }
+  }
+
+  /**
+   * Save calibration and zones to localStorage
+   */
+  #save() {
+    globalThis.localStorage?.setItem(this.#options.storageKey, JSON.stringify({
+      calibrations: Object.fromEntries(this.#calibrations),
+      zones: Object.fromEntries(this.#zones)
+    }));
+  }
+}
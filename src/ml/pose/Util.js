@@ -72,3 +72,92 @@ export const roughCenter = (pose) => {
   // Divide to get avg
   return Points.divide(sum,2,2);
 };
+
+/**
+ * Returns a bounding box around keypoints,
+ * ignoring those with a score below `minScore`.
+ * If no keypoints are usable, _undefined_ is returned.
+ * @param {MoveNet.Keypoint[]} keypoints
+ * @param {number} minScore
+ * @returns {MoveNet.BoundingBox|undefined}
+ */
+export const keypointBox = (keypoints, minScore = 0) => {
+  const usable = keypoints.filter(kp => (kp.score ?? 1) >= minScore);
+  if (usable.length === 0) return;
+  const xs = usable.map(kp => kp.x);
+  const ys = usable.map(kp => kp.y);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const yMin = Math.min(...ys);
+  const yMax = Math.max(...ys);
+  return { xMin, xMax, yMin, yMax, width: xMax - xMin, height: yMax - yMin };
+};
+
+/**
+ * Pairs of keypoints that make up limbs
+ */
+export const limbs = Object.freeze([
+  [ `left_shoulder`, `right_shoulder` ],
+  [ `left_hip`, `right_hip` ],
+  [ `left_shoulder`, `left_hip` ],
+  [ `right_shoulder`, `right_hip` ],
+  [ `left_shoulder`, `left_elbow` ],
+  [ `left_elbow`, `left_wrist` ],
+  [ `right_shoulder`, `right_elbow` ],
+  [ `right_elbow`, `right_wrist` ],
+  [ `left_hip`, `left_knee` ],
+  [ `left_knee`, `left_ankle` ],
+  [ `right_hip`, `right_knee` ],
+  [ `right_knee`, `right_ankle` ]
+]);
+
+/**
+ * Returns the length of each limb, in the same order as `limbs`.
+ * If either keypoint of a limb has a score below `minScore`, its length is _undefined_.
+ * @param {MoveNet.Pose} pose
+ * @param {number} minScore
+ * @returns {Array<number|undefined>}
+ */
+export const limbLengths = (pose, minScore = 0.3) => limbs.map(([ a, b ]) => {
+  const ptA = MoveNet.Coco.getKeypoint(pose, a);
+  const ptB = MoveNet.Coco.getKeypoint(pose, b);
+  if (ptA === undefined || ptB === undefined) return;
+  if ((ptA.score ?? 1) < minScore || (ptB.score ?? 1) < minScore) return;
+  return Points.distance(ptA, ptB);
+});
+
+/**
+ * Compares the proportions of two bodies, 0..1, where 1 is identical.
+ * Since limbs are compared relative to each other, it doesn't matter
+ * how far away from the camera the bodies are.
+ *
+ * Returns _undefined_ if fewer than three limbs can be compared.
+ * @param {MoveNet.Pose} a
+ * @param {MoveNet.Pose} b
+ * @param {number} minScore
+ */
+export const limbSimilarity = (a, b, minScore = 0.3) => {
+  const lengthsA = limbLengths(a, minScore);
+  const lengthsB = limbLengths(b, minScore);
+
+  // Only use limbs we have for both
+  const pairs = [];
+  for (const [ index, la ] of lengthsA.entries()) {
+    const lb = lengthsB[index];
+    if (la !== undefined && lb !== undefined) pairs.push([ la, lb ]);
+  }
+  if (pairs.length < 3) return;
+
+  const totalA = pairs.reduce((total, p) => total + p[0], 0);
+  const totalB = pairs.reduce((total, p) => total + p[1], 0);
+  if (totalA === 0 || totalB === 0) return;
+
+  // Average difference of each limb's share of the total
+  let difference = 0;
+  for (const [ la, lb ] of pairs) {
+    const shareA = la / totalA;
+    const shareB = lb / totalB;
+    difference += Math.abs(shareA - shareB) / Math.max(shareA, shareB, Number.EPSILON);
+  }
+  return Math.max(0, 1 - difference / pairs.length);
+};
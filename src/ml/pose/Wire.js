@@ -0,0 +1,304 @@
+import * as MoveNet from './Poses.js';
+
+/**
+ * Compact format for sending poses, used by the sender to reduce how much is sent over the network.
+ *
+ * Each pose is encoded as:
+ * ```js
+ * {
+ *  w: 2,             // Marks this as an encoded pose, and the version of the format
+ *  id: 3,            // Pose id
+ *  n: 120,           // Frame number for this pose id
+ *  b: 119,           // Frame number this is a delta of. Missing for keyframes
+ *  s: 85,            // Score of pose, 0..100
+ *  x: [ 10, 20, 300, 600 ], // Box: xMin, yMin, width, height
+ *  k: [ 0, 512, 230, 91, 5, ... ] // Keypoints: index, x, y, score
+ *  m: [ `wrist`, ... ] // Keypoint names, only in keyframes of models other than MoveNet
+ *  e: { handedness: `Left` } // Other properties of the pose, in keyframes and when changed
+ * }
+ * ```
+ *
+ * Coordinates are multiplied by `precision` and rounded, so with the default of 1000,
+ * relative coordinates (0..1) are kept to 0.001. Keypoints are identified by their index
+ * rather than name (see `Coco.indexToName`) and scores are 0..100. For other models, such as
+ * hands, keyframes also list the keypoint names, and keypoints are identified by their position in that list.
+ *
+ * Keyframes have all keypoints. Other frames are deltas: they only have keypoints that have
+ * changed since the previous frame sent for the same pose id, with the amount each has changed by.
+ * A keyframe is sent every `keyframeEvery` frames, so receivers that join late or miss a frame
+ * can start again.
+ *
+ * Encoding, in the sender:
+ * ```js
+ * const encoder = new Wire.Encoder({ minIntervalMs: 100 });
+ * ml.onPoseData = (poses) => {
+ *  const encoded = encoder.encode(poses);
+ *  if (encoded) remote.broadcast(encoded);
+ * }
+ * ```
+ *
+ * Decoding happens automatically in `PosesTracker.seen()`, or can be done with `Decoder`.
+ */
+
+/**
+ * Version of the format.
+ * Version 2 added `m` and `e`, for models other than MoveNet. Version 1 decoders
+ * would give these keypoints COCO names, so they reject version 2 poses instead.
+ */
+export const version = 2;
+
+/**
+ * @typedef {{
+ * w: number
+ * id: number
+ * n: number
+ * b?: number
+ * s: number
+ * x?: number[]
+ * k: number[]
+ * m?: string[]
+ * e?: Record<string,any>
+ * }} EncodedPose
+ */
+
+/**
+ * @typedef {Readonly<{
+ * precision:number
+ * keyframeEvery:number
+ * minIntervalMs:number
+ * }>} EncoderOptions
+ */
+
+/**
+ * Quantised keypoints, keyed by index, with x, y, score
+ * @typedef {Map<number,number[]>} Quantised
+ */
+
+/**
+ * Properties of a pose that are encoded separately, or not sent
+ */
+const knownProperties = new Set([ `id`, `score`, `box`, `keypoints`, `keypoints3D`, `segmentation` ]);
+
+/**
+ * Returns properties of a pose other than the usual ones, eg. `handedness` of hands
+ * @param {MoveNet.Pose} pose
+ */
+const extraProperties = (pose) => Object.fromEntries(Object.entries(pose).filter(([ key ]) => !knownProperties.has(key)));
+
+/**
+ * Returns _true_ if `pose` is encoded
+ * @param {any} pose
+ * @returns {pose is EncodedPose}
+ */
+export const isEncoded = (pose) => typeof pose === `object` && pose !== null && typeof pose.w === `number` && Array.isArray(pose.k);
+
+/**
+ * Encodes poses for sending
+ */
+export class Encoder {
+  /** @type EncoderOptions */
+  #options;
+
+  /**
+   * Last frame sent for each pose id
+   * @type Map<number,{n:number, keypoints:Quantised, extra:string, sinceKeyframe:number}>
+   */
+  #previous = new Map();
+
+  #lastSent = Number.NEGATIVE_INFINITY;
+
+  /**
+   * Options:
+   * - precision: Coordinates are multiplied by this and rounded. Default: 1000
+   * - keyframeEvery: Send all keypoints every this many frames. Default: 30
+   * - minIntervalMs: Skip frames that come sooner than this after the last one. Default: 0
+   * @param {Partial<EncoderOptions>} options
+   */
+  constructor(options = {}) {
+    this.#options = {
+      precision: 1000,
+      keyframeEvery: 30,
+      minIntervalMs: 0,
+      ...options
+    };
+  }
+
+  /**
+   * Encodes a frame of poses.
+   * Returns _undefined_ if the frame should be skipped because of `minIntervalMs`.
+   * @param {MoveNet.Pose[]} poses
+   * @returns {EncodedPose[]|undefined}
+   */
+  encode(poses) {
+    const now = performance.now();
+    if (now - this.#lastSent < this.#options.minIntervalMs) return;
+    this.#lastSent = now;
+
+    /** @type Set<number> */
+    const seen = new Set();
+    const encoded = poses.map(pose => {
+      const id = pose.id ?? 0;
+      seen.add(id);
+      return this.#encodePose(id, pose);
+    });
+
+    // Poses that have gone will need a keyframe if they return
+    for (const id of this.#previous.keys()) {
+      if (!seen.has(id)) this.#previous.delete(id);
+    }
+    return encoded;
+  }
+
+  /**
+   * Starts again, so the next frame of each pose is a keyframe
+   */
+  reset() {
+    this.#previous.clear();
+  }
+
+  /**
+   * @param {number} id
+   * @param {MoveNet.Pose} pose
+   * @returns {EncodedPose}
+   */
+  #encodePose(id, pose) {
+    const { precision, keyframeEvery } = this.#options;
+    const q = (/** @type number */ v) => Math.round(v * precision);
+
+    // Keypoints not from MoveNet are identified by position, with names sent in keyframes
+    const isCoco = pose.keypoints.every(kp => kp.name === undefined || MoveNet.Coco.nameToIndex.has(kp.name));
+
+    /** @type Quantised */
+    const keypoints = new Map();
+    for (const [ index, kp ] of pose.keypoints.entries()) {
+      const kpIndex = isCoco && kp.name !== undefined ? MoveNet.Coco.nameToIndex.get(kp.name) ?? index : index;
+      keypoints.set(kpIndex, [ q(kp.x), q(kp.y), Math.round((kp.score ?? 1) * 100) ]);
+    }
+
+    const previous = this.#previous.get(id);
+    const isKeyframe = previous === undefined || previous.sinceKeyframe + 1 >= keyframeEvery;
+    const n = previous === undefined ? 0 : previous.n + 1;
+
+    /** @type EncodedPose */
+    const encoded = { w: version, id, n, s: Math.round((pose.score ?? 1) * 100), k: [] };
+    if (pose.box) encoded.x = [ q(pose.box.xMin), q(pose.box.yMin), q(pose.box.width), q(pose.box.height) ];
+    const extra = extraProperties(pose);
+    const extraJson = JSON.stringify(extra);
+    if (extraJson !== `{}` && (isKeyframe || extraJson !== previous.extra)) encoded.e = extra;
+
+    if (isKeyframe) {
+      for (const [ index, [ x, y, s ] ] of keypoints.entries()) encoded.k.push(index, x, y, s);
+      if (!isCoco) encoded.m = pose.keypoints.map(kp => kp.name ?? ``);
+    } else {
+      encoded.b = previous.n;
+      for (const [ index, [ x, y, s ] ] of keypoints.entries()) {
+        const [ px, py, ps ] = previous.keypoints.get(index) ?? [ 0, 0, 0 ];
+        if (x === px && y === py && s === ps) continue;
+        encoded.k.push(index, x - px, y - py, s - ps);
+      }
+      // Keep keypoints that weren't in this pose, so later deltas still line up
+      for (const [ index, values ] of previous.keypoints.entries()) {
+        if (!keypoints.has(index)) keypoints.set(index, values);
+      }
+    }
+
+    this.#previous.set(id, { n, keypoints, extra: extraJson, sinceKeyframe: isKeyframe ? 0 : previous.sinceKeyframe + 1 });
+    return encoded;
+  }
+}
+
+/**
+ * Decodes poses from one or more senders
+ */
+export class Decoder {
+  /**
+   * Last frame decoded, keyed by 'sender-pose.id'
+   * @type Map<string,{n:number, keypoints:Quantised, names:string[]|undefined, extra:Record<string,any>, at:number}>
+   */
+  #previous = new Map();
+
+  #precision;
+  #maxAgeMs;
+  #count = 0;
+
+  /**
+   * Options:
+   * - precision: Must match the encoder. Default: 1000
+   * - maxAgeMs: Forget poses not seen for this long. Default: 10000
+   * @param {Partial<{precision:number, maxAgeMs:number}>} options
+   */
+  constructor(options = {}) {
+    this.#precision = options.precision ?? 1000;
+    this.#maxAgeMs = options.maxAgeMs ?? 10_000;
+  }
+
+  /**
+   * Decodes a pose.
+   * Returns _undefined_ if it is a delta of a frame that wasn't received. Once the
+   * next keyframe arrives, poses can be decoded again.
+   * @param {string} from Sender id
+   * @param {EncodedPose} encoded
+   * @returns {MoveNet.Pose|undefined}
+   */
+  decode(from, encoded) {
+    if (encoded.w > version) throw new Error(`Encoded pose is version ${encoded.w}, but only up to ${version} is supported`);
+    const now = performance.now();
+    this.#purge(now);
+
+    const key = from + `-` + encoded.id;
+    const previous = this.#previous.get(key);
+    /** @type Quantised */
+    let keypoints;
+    /** @type string[]|undefined */
+    let names;
+    let extra = encoded.e ?? {};
+    if (encoded.b === undefined) {
+      names = encoded.m;
+      keypoints = new Map();
+      for (let index = 0; index < encoded.k.length; index += 4) {
+        keypoints.set(encoded.k[index], encoded.k.slice(index + 1, index + 4));
+      }
+    } else {
+      // Missed a frame, so wait for a keyframe
+      if (previous === undefined || previous.n !== encoded.b) {
+        this.#previous.delete(key);
+        return;
+      }
+      keypoints = new Map(previous.keypoints);
+      names = previous.names;
+      extra = encoded.e ?? previous.extra;
+      for (let index = 0; index < encoded.k.length; index += 4) {
+        const [ px, py, ps ] = keypoints.get(encoded.k[index]) ?? [ 0, 0, 0 ];
+        keypoints.set(encoded.k[index], [ px + encoded.k[index + 1], py + encoded.k[index + 2], ps + encoded.k[index + 3] ]);
+      }
+    }
+    this.#previous.set(key, { n: encoded.n, keypoints, names, extra, at: now });
+
+    const p = this.#precision;
+    /** @type MoveNet.Pose */
+    const pose = {
+      ...extra,
+      id: encoded.id,
+      score: encoded.s / 100,
+      keypoints: [ ...keypoints.entries() ]
+        .sort((a, b) => a[0] - b[0])
+        .map(([ index, [ x, y, s ] ]) => ({ x: x / p, y: y / p, score: s / 100, name: names ? names[index] : MoveNet.Coco.indexToName.get(index) }))
+    };
+    if (encoded.x) {
+      const [ xMin, yMin, width, height ] = encoded.x.map(v => v / p);
+      pose.box = { xMin, yMin, width, height, xMax: xMin + width, yMax: yMin + height };
+    }
+    return pose;
+  }
+
+  /**
+   * Forget poses not seen for a while
+   * @param {number} now
+   */
+  #purge(now) {
+    if (++this.#count % 100 !== 0) return;
+    for (const [ key, value ] of this.#previous.entries()) {
+      if (now - value.at > this.#maxAgeMs) this.#previous.delete(key);
+    }
+  }
+}
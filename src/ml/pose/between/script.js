@@ -12,7 +12,8 @@ const settings = Object.freeze({
   // How often to update main state
   updateSpeedMs: 200,
   remote: new Remote(),
-  poses: new MoveNet.PosesTracker({ maxAgeMs: 1000 }),
+  // Noisy keypoints would make distances between things flicker, so filter them
+  poses: new MoveNet.PosesTracker({ maxAgeMs: 1000, filter: `oneEuro` }),
 });
 
 /** 
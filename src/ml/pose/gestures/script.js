@@ -0,0 +1,140 @@
+// @ts-ignore
+import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
+import * as MoveNet from "../Poses.js";
+
+const poses = new MoveNet.PosesTracker({ maxAgeMs: 1000, filter: `oneEuro` });
+
+const settings = Object.freeze({
+  remote: new Remote(),
+  poses,
+  gestures: new MoveNet.GestureRecogniser(poses),
+  // How long to record each example
+  recordMs: 1500,
+  // Countdown before recording starts
+  countdownMs: 3000,
+  nameEl: /** @type HTMLInputElement */(document.querySelector(`#txtName`)),
+  recordEl: /** @type HTMLButtonElement */(document.querySelector(`#btnRecord`)),
+  statusEl: /** @type HTMLElement */(document.querySelector(`#status`)),
+  gesturesEl: /** @type HTMLElement */(document.querySelector(`#gestures`)),
+  logEl: /** @type HTMLElement */(document.querySelector(`#log`))
+});
+
+/**
+ * @typedef {Readonly<{
+ * recording: boolean
+ * recognised: Array<{name:string, confidence:number, hue:number}>
+ * }>} State
+ */
+
+/** @type State */
+let state = Object.freeze({
+  recording: false,
+  recognised: []
+});
+
+/**
+ * Shows recorded gestures and what has been recognised
+ */
+const use = () => {
+  const { gestures, gesturesEl, logEl, recordEl } = settings;
+  const { recognised, recording } = state;
+
+  recordEl.disabled = recording;
+
+  // List of gestures, with a button to remove each
+  gesturesEl.replaceChildren(...gestures.names.map(name => {
+    const li = document.createElement(`li`);
+    const count = gestures.templates.filter(t => t.name === name).length;
+    li.textContent = `${name} (${count}) `;
+    const button = document.createElement(`button`);
+    button.textContent = `Remove`;
+    button.addEventListener(`click`, () => {
+      gestures.remove(name);
+      use();
+    });
+    li.append(button);
+    return li;
+  }));
+
+  // Recently recognised
+  logEl.replaceChildren(...recognised.map(r => {
+    const li = document.createElement(`li`);
+    li.textContent = `${r.name} ${Math.round(r.confidence * 100)}%`;
+    li.style.color = `hsl(${r.hue}, 70%, 70%)`;
+    return li;
+  }));
+};
+
+/**
+ * Count down then record an example of a gesture
+ */
+const record = async () => {
+  const { gestures, nameEl, statusEl, recordMs, countdownMs } = settings;
+  const name = nameEl.value.trim();
+  if (name.length === 0) {
+    statusEl.textContent = `Type a name for the gesture first`;
+    return;
+  }
+
+  saveState({ recording: true });
+  use();
+  for (let remaining = countdownMs; remaining > 0; remaining -= 1000) {
+    statusEl.textContent = `Get ready... ${Math.ceil(remaining / 1000)}`;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  statusEl.textContent = `Recording '${name}'`;
+  try {
+    const template = await gestures.record(name, { durationMs: recordMs });
+    statusEl.textContent = `Recorded '${name}' (${template.frames.length} frames)`;
+  } catch (error) {
+    statusEl.textContent = String(error);
+  }
+  saveState({ recording: false });
+  use();
+};
+
+/**
+ * Called when a gesture is recognised
+ * @param {*} event
+ */
+const onGesture = (event) => {
+  const { name, confidence, tracker } = event.detail;
+  const recognised = [ { name, confidence, hue: tracker.hue }, ...state.recognised ].slice(0, 10);
+  saveState({ recognised });
+  use();
+};
+
+/**
+ * Called when we have pose data via Remote
+ * @param {*} packet
+ */
+const onReceivedPoses = (packet) => {
+  const { _from, data } = packet;
+  const poseData =/** @type MoveNet.Pose[] */(data);
+
+  // Pass each pose over to the poses tracker
+  for (const pose of poseData) {
+    settings.poses.seen(_from, pose);
+  }
+};
+
+function setup() {
+  const { remote, poses, recordEl } = settings;
+  remote.onData = onReceivedPoses;
+  poses.events.addEventListener(`gesture`, onGesture);
+  recordEl.addEventListener(`click`, record);
+  use();
+};
+setup();
+
+/**
+ * Update state
+ * @param {Partial<State>} s
+ */
+function saveState (s) {
+  state = Object.freeze({
+    ...state,
+    ...s
+  });
+}
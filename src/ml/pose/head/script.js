@@ -8,7 +8,8 @@ const settings = Object.freeze({
   // How quickly to call update()
   updateRateMs: 100,
   remote: new Remote(),
-  poses: new MoveNet.PosesTracker({maxAgeMs: 500 }),
+  // Head is drawn straight from keypoints, so without filtering it would visibly shake
+  poses: new MoveNet.PosesTracker({maxAgeMs: 500, filter: `oneEuro` }),
   canvasEl: /** @type HTMLCanvasElement */(document.querySelector(`#canvas`)),
   dataDisplay: new Dom.DataDisplay()
 });
@@ -169,6 +170,14 @@ function setup() {
   poses.events.addEventListener(`added`, onPoseAdded);
   poses.events.addEventListener(`expired`, onPoseExpired);
 
+  // Play a recording instead of needing a camera, eg: index.html?recording=./test.json
+  const recordingUrl = new URL(document.location.href).searchParams.get(`recording`);
+  if (recordingUrl) {
+    MoveNet.Recordings.fetchUrl(recordingUrl)
+      .then(recording => MoveNet.Recordings.play(recording, poses, { loop: true }))
+      .catch(error => console.error(error));
+  }
+
   Dom.fullSizeCanvas(`#canvas`, arguments_ => {
     // Update state with new size of canvas
     saveState({ 
@@ -0,0 +1,180 @@
+// @ts-ignore
+import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
+import * as MoveNet from "../Poses.js";
+
+const poses = new MoveNet.PosesTracker({ maxAgeMs: 1000, filter: `oneEuro` });
+
+const settings = Object.freeze({
+  remote: new Remote(),
+  poses,
+  room: new MoveNet.Room(poses),
+  // Size of the area to calibrate, in metres. Mark its corners on the floor
+  roomSize: { width: 3, height: 2 },
+  // Zones, in metres
+  zones: [
+    { name: `left`, polygon: [ { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 2 }, { x: 0, y: 2 } ] },
+    { name: `right`, polygon: [ { x: 2, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 2 }, { x: 2, y: 2 } ] }
+  ],
+  // How long to stand on each corner
+  captureMs: 2000,
+  // Time to walk to each corner
+  countdownMs: 3000,
+  // How often to redraw
+  updateRateMs: 100,
+  canvasEl: /** @type HTMLCanvasElement */(document.querySelector(`#canvas`)),
+  calibrateEl: /** @type HTMLButtonElement */(document.querySelector(`#btnCalibrate`)),
+  statusEl: /** @type HTMLElement */(document.querySelector(`#status`)),
+  logEl: /** @type HTMLElement */(document.querySelector(`#log`))
+});
+
+/**
+ * @typedef {Readonly<{
+ * calibrating: boolean
+ * log: string[]
+ * }>} State
+ */
+
+/** @type State */
+let state = Object.freeze({
+  calibrating: false,
+  log: []
+});
+
+/**
+ * Draws zones and where people are standing
+ */
+const draw = () => {
+  const { canvasEl, room, roomSize, poses } = settings;
+  const context = canvasEl.getContext(`2d`);
+  if (!context) return;
+
+  // Room coordinates to canvas
+  const scale = Math.min(canvasEl.width / roomSize.width, canvasEl.height / roomSize.height);
+  context.fillStyle = `black`;
+  context.fillRect(0, 0, canvasEl.width, canvasEl.height);
+
+  // Zones, lit up when someone is in them
+  for (const { name, polygon } of room.zones) {
+    context.beginPath();
+    for (const pt of polygon) context.lineTo(pt.x * scale, pt.y * scale);
+    context.closePath();
+    context.fillStyle = room.inside(name).length > 0 ? `hsl(200, 50%, 30%)` : `hsl(200, 20%, 15%)`;
+    context.fill();
+    context.fillStyle = `white`;
+    context.fillText(name, polygon[0].x * scale + 5, polygon[0].y * scale + 15);
+  }
+
+  // People
+  for (const person of poses.people.get()) {
+    const pt = room.position(person);
+    if (pt === undefined) continue;
+    context.beginPath();
+    context.fillStyle = person.hsl;
+    context.arc(pt.x * scale, pt.y * scale, 10, 0, Math.PI * 2);
+    context.fill();
+  }
+};
+
+/**
+ * Shows zone events
+ */
+const use = () => {
+  const { logEl, calibrateEl } = settings;
+  calibrateEl.disabled = state.calibrating;
+  logEl.replaceChildren(...state.log.map(line => {
+    const li = document.createElement(`li`);
+    li.textContent = line;
+    return li;
+  }));
+};
+
+/**
+ * Has someone stand on each corner of the area in turn,
+ * calibrating the sender they are seen by
+ */
+const calibrate = async () => {
+  const { room, poses, roomSize, statusEl, captureMs, countdownMs } = settings;
+  const tracker = poses.getByAge().next().value;
+  if (tracker === undefined) {
+    statusEl.textContent = `Nobody can be seen`;
+    return;
+  }
+  const senderId = tracker.fromId;
+  const corners = [
+    { x: 0, y: 0 },
+    { x: roomSize.width, y: 0 },
+    { x: roomSize.width, y: roomSize.height },
+    { x: 0, y: roomSize.height }
+  ];
+  const names = [ `back left`, `back right`, `front right`, `front left` ];
+
+  saveState({ calibrating: true });
+  use();
+  const camera = [];
+  try {
+    for (const [ index, name ] of names.entries()) {
+      for (let remaining = countdownMs; remaining > 0; remaining -= 1000) {
+        statusEl.textContent = `Go to the ${name} corner... ${Math.ceil(remaining / 1000)}`;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      statusEl.textContent = `Stand still on the ${name} corner`;
+      camera[index] = await room.captureFeet(senderId, captureMs);
+    }
+    room.calibrate(senderId, camera, corners);
+    statusEl.textContent = `Calibrated ${senderId}`;
+  } catch (error) {
+    statusEl.textContent = String(error);
+  }
+  saveState({ calibrating: false });
+  use();
+};
+
+/**
+ * Called when someone enters or leaves a zone
+ * @param {*} event
+ */
+const onZone = (event) => {
+  const { zone, person } = event.detail;
+  const line = `${person.id} ${event.type === `enter` ? `entered` : `left`} ${zone}`;
+  saveState({ log: [ line, ...state.log ].slice(0, 10) });
+  use();
+};
+
+/**
+ * Called when we have pose data via Remote
+ * @param {*} packet
+ */
+const onReceivedPoses = (packet) => {
+  const { _from, data } = packet;
+  const poseData =/** @type MoveNet.Pose[] */(data);
+
+  // Pass each pose over to the poses tracker
+  for (const pose of poseData) {
+    settings.poses.seen(_from, pose);
+  }
+};
+
+function setup() {
+  const { remote, room, zones, calibrateEl, updateRateMs } = settings;
+  remote.onData = onReceivedPoses;
+
+  for (const { name, polygon } of zones) room.addZone(name, polygon);
+  room.events.addEventListener(`enter`, onZone);
+  room.events.addEventListener(`exit`, onZone);
+  calibrateEl.addEventListener(`click`, calibrate);
+
+  setInterval(draw, updateRateMs);
+  use();
+};
+setup();
+
+/**
+ * Update state
+ * @param {Partial<State>} s
+ */
+function saveState (s) {
+  state = Object.freeze({
+    ...state,
+    ...s
+  });
+}
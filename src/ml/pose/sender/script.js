@@ -24,9 +24,50 @@ const config = {
     height: 600
   }
 };
+// Send poses in a compact format, unless ?compact=false
+// Use ?sendMs=100 to send at most every 100ms
+const compact = params.get(`compact`) !== `false`;
+const encoder = new MoveNet.Wire.Encoder({ 
+  minIntervalMs: Number.parseInt(params.get(`sendMs`) ?? `0`) 
+});
+
 const ml = MoveNet.mount(`#container`, config);  
+
+// Use ?model=hands or ?model=face to track hands or faces instead of bodies.
+// Model weights are loaded from the 'models' folder, see README
+const model = params.get(`model`);
+if (model === `hands`) ml.model = new MoveNet.Landmarks.HandModel();
+else if (model === `face`) ml.model = new MoveNet.Landmarks.FaceModel();
 ml.onPoseData =(data) => {
   if (data.length === 0) return;
-  remote.broadcast(data);
+  if (!compact) {
+    remote.broadcast(data);
+    return;
+  }
+  const encoded = encoder.encode(data);
+  if (encoded) remote.broadcast(encoded);
 };
 
+// Save the active recording to a file
+document.querySelector(`#btnExport`)?.addEventListener(`click`, () => {
+  const active = ml.recorder.activeRecording;
+  if (active === undefined) {
+    alert(`Select a recording first`);
+    return;
+  }
+  MoveNet.Recordings.download(MoveNet.Recordings.fromRecorder(active, config.recordSamplingMs));
+});
+
+// Load a recording from a file into the recorder
+document.querySelector(`#fileImport`)?.addEventListener(`change`, async event => {
+  const input = /** @type HTMLInputElement */(event.target);
+  const file = input.files?.[0];
+  if (file === undefined) return;
+  try {
+    const recording = await MoveNet.Recordings.load(file);
+    ml.recorder.add(MoveNet.Recordings.toRecorder(recording));
+  } catch (error) {
+    alert(`Could not load recording: ${error}`);
+  }
+  input.value = ``;
+});
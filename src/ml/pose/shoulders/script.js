@@ -1,6 +1,5 @@
 // @ts-ignore
 import { Remote } from "https://unpkg.com/@clinth/remote@latest/dist/index.mjs";
-import { Points } from '../../../ixfx/geometry.js';
 import { Bipolar, interpolate } from '../../../ixfx/numbers.js';
 import * as Dom from '../../../ixfx/dom.js';
 import * as MoveNet from "../Poses.js";
@@ -19,7 +18,8 @@ const settings = Object.freeze({
   // Empirically-discovered max angle
   tiltMax: 0.5,
   remote: new Remote(),
-  poses: new MoveNet.PosesTracker({ maxAgeMs: 2000 }),
+  // Tilt is the small angle between two shoulders, so a few pixels of jitter matter
+  poses: new MoveNet.PosesTracker({ maxAgeMs: 2000, filter: `oneEuro` }),
   dataDisplay: new Dom.DataDisplay()
 
 });
@@ -108,12 +108,7 @@ const update = () => {
  * Return angle (in radians) between left and right shoulder
  * @param {MoveNet.PoseTracker} pose 
  */
-const computeShoulderAngle = (pose) => {
-  const left = pose.keypoint(`left_shoulder`);
-  const right = pose.keypoint(`right_shoulder`);
-  const angleRadians = Points.angle(left, right);
-  return angleRadians;
-};
+const computeShoulderAngle = (pose) => pose.features.shoulderTilt;
 
 /**
  * Called when a new pose is detected
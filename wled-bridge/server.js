@@ -0,0 +1,147 @@
+// ----
+// Forwards LED data from the browser to a WLED controller using its
+// realtime UDP protocols (DDP, DRGB or DNRGB). Browsers can't send UDP themselves.
+// Run with `npm run wled-bridge`. See src/io/wled/realtime.js for the browser side.
+// ----
+// Config
+const port = process.env.PORT || 5557;
+const quiet = process.env.QUIET || false;
+// ---
+
+import Express from 'express';
+import ExpressWs from 'express-ws';
+import dgram from 'node:dgram';
+
+const ews = ExpressWs(Express());
+const app = ews.app;
+
+const socket = dgram.createSocket(`udp4`);
+
+// Errors sending are handled for each connection, but the socket
+// itself must not bring the bridge down for everyone
+socket.on(`error`, error => {
+  console.error(`UDP socket error: ${error.message}`);
+});
+
+const protocols = [ `ddp`, `drgb`, `dnrgb` ];
+
+// Most LEDs that fit in one packet, for each protocol
+const drgbMaxLeds = 490;
+const dnrgbMaxLeds = 489;
+const ddpMaxLeds = 480;
+
+/**
+ * DRGB: [2, timeout, r, g, b, r, g, b ...]
+ * Always starts at LED 0, so LEDs before `start` are sent as off.
+ * https://kno.wled.ge/interfaces/udp-realtime/
+ * @param {number} start
+ * @param {Buffer} rgb
+ * @param {number} timeout
+ * @returns {Buffer[]}
+ */
+const drgb = (start, rgb, timeout) => {
+  const data = Buffer.concat([ Buffer.alloc(start * 3), rgb ]).subarray(0, drgbMaxLeds * 3);
+  return [ Buffer.concat([ Buffer.from([ 2, timeout ]), data ]) ];
+};
+
+/**
+ * DNRGB: [4, timeout, start high byte, start low byte, r, g, b ...]
+ * Split into several packets for long strips
+ * @param {number} start
+ * @param {Buffer} rgb
+ * @param {number} timeout
+ * @returns {Buffer[]}
+ */
+const dnrgb = (start, rgb, timeout) => {
+  const packets = [];
+  for (let offset = 0; offset < rgb.length; offset += dnrgbMaxLeds * 3) {
+    const index = start + offset / 3;
+    const header = Buffer.from([ 4, timeout, (index >> 8) & 0xFF, index & 0xFF ]);
+    packets.push(Buffer.concat([ header, rgb.subarray(offset, offset + dnrgbMaxLeds * 3) ]));
+  }
+  return packets;
+};
+
+let ddpSequence = 1;
+
+/**
+ * DDP: 10 byte header followed by data.
+ * Split into several packets for long strips, with the 'push' flag set on the last.
+ * http://www.3waylabs.com/ddp/
+ * @param {number} start
+ * @param {Buffer} rgb
+ * @returns {Buffer[]}
+ */
+const ddp = (start, rgb) => {
+  const packets = [];
+  ddpSequence = (ddpSequence % 15) + 1;
+  for (let offset = 0; offset < rgb.length; offset += ddpMaxLeds * 3) {
+    const data = rgb.subarray(offset, offset + ddpMaxLeds * 3);
+    const last = offset + data.length >= rgb.length;
+    const header = Buffer.alloc(10);
+    header[0] = 0x40 | (last ? 0x01 : 0); // Version 1, push flag
+    header[1] = ddpSequence;
+    header[2] = 0x01; // RGB, 8 bits per channel
+    header[3] = 0x01; // Default output device
+    header.writeUInt32BE(start * 3 + offset, 4);
+    header.writeUInt16BE(data.length, 8);
+    packets.push(Buffer.concat([ header, data ]));
+  }
+  return packets;
+};
+
+// Each connection forwards to the host, port and protocol given in the URL, eg:
+// ws://localhost:5557/?host=4.3.2.1&port=4048&protocol=ddp
+app.ws(`/`, function (ws, request) {
+  const host = String(request.query.host ?? `4.3.2.1`);
+  const protocol = String(request.query.protocol ?? `ddp`);
+  const udpPort = Number(request.query.port ?? (protocol === `ddp` ? 4048 : 21_324));
+  const timeout = Number(request.query.timeout ?? 2);
+
+  // Reject bad settings now, rather than failing on every message
+  let invalid = ``;
+  if (!protocols.includes(protocol)) invalid = `Unknown protocol '${protocol}', expected one of: ${protocols.join(`, `)}`;
+  else if (!Number.isInteger(udpPort) || udpPort < 1 || udpPort > 65_535) invalid = `Invalid port '${request.query.port}'`;
+  else if (!Number.isInteger(timeout) || timeout < 0 || timeout > 255) invalid = `Invalid timeout '${request.query.timeout}', expected 0-255`;
+  if (invalid) {
+    console.warn(invalid);
+    ws.close(1008, invalid.slice(0, 120));
+    return;
+  }
+
+  if (!quiet) console.log(`Forwarding ${protocol} to ${host}:${udpPort}`);
+
+  ws.on(`message`, function (message) {
+    if (!Buffer.isBuffer(message) || message.length < 2) return;
+
+    // First two bytes are the index of the first LED
+    const start = message.readUInt16BE(0);
+    const rgb = message.subarray(2);
+
+    let packets;
+    switch (protocol) {
+      case `drgb`: {
+        packets = drgb(start, rgb, timeout);
+        break;
+      }
+      case `dnrgb`: {
+        packets = dnrgb(start, rgb, timeout);
+        break;
+      }
+      default: {
+        packets = ddp(start, rgb);
+      }
+    }
+    for (const p of packets) {
+      socket.send(p, udpPort, host, error => {
+        if (!error) return;
+        // Eg. host could not be found. Only this connection is closed
+        console.error(`Could not send to ${host}:${udpPort}: ${error.message}`);
+        ws.close(1011, error.message.slice(0, 120));
+      });
+    }
+  });
+});
+
+app.listen(port);
+console.log(`WLED realtime bridge started on port ${port}`);
@@ -0,0 +1,375 @@
+// ----
+// Stand-in for a WLED controller, for developing without hardware.
+// Run with `npm run wled`, then point Wled at it:
+//   new Wled(`ws://localhost:5556/ws`)
+// and open http://localhost:5556 to see the virtual LED strip.
+// ----
+// Config
+const port = process.env.PORT || 5556;
+// Number of LEDs on the virtual strip
+const ledCount = Number.parseInt(process.env.LEDS || `30`);
+const quiet = process.env.QUIET || false;
+// UDP ports for realtime data (see wled-bridge)
+const udpPort = Number.parseInt(process.env.UDP_PORT || `21324`);
+const ddpPort = Number.parseInt(process.env.DDP_PORT || `4048`);
+// ---
+
+import { fileURLToPath } from 'node:url';
+import Express from 'express';
+import ExpressWs from 'express-ws';
+import path from 'node:path';
+import dgram from 'node:dgram';
+
+const ews = ExpressWs(Express());
+const app = ews.app;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Colour of each LED on the strip, as hex without the #
+ * @type string[]
+ */
+let strip = Array.from({ length: ledCount }).fill(`000000`);
+
+/**
+ * Number of built-in effects and palettes we claim to have
+ */
+const fxCount = 117;
+const palCount = 70;
+
+/**
+ * Returns a segment with WLED's default values
+ * @param {number} id
+ * @param {number} start
+ * @param {number} stop
+ */
+const createSegment = (id, start, stop) => ({
+  id, start, stop, len: stop - start,
+  grp: 1, spc: 0, of: 0, on: true, frz: false, bri: 255, cct: 127, set: 0,
+  col: [ [ 255, 160, 0 ], [ 0, 0, 0 ], [ 0, 0, 0 ] ],
+  fx: 0, sx: 128, ix: 128, pal: 0, c1: 128, c2: 128, c3: 16,
+  sel: true, rev: false, mi: false, o1: false, o2: false, o3: false, si: 0, m12: 0
+});
+
+const state = {
+  on: true,
+  bri: 128,
+  transition: 7,
+  ps: -1,
+  pl: -1,
+  nl: { on: false, dur: 60, mode: 1, tbri: 0, rem: -1 },
+  lor: 0,
+  mainseg: 0,
+  seg: [ createSegment(0, 0, ledCount) ]
+};
+
+const info = () => ({
+  ver: `0.14.0-mock`,
+  vid: 0,
+  leds: {
+    count: ledCount, pwr: 0, fps: 0, maxpwr: 850, maxseg: 32,
+    seglc: state.seg.map(() => 1), lc: 1, rgbw: false, wv: 0, cct: 0
+  },
+  str: false,
+  name: `WLED mock`,
+  udpport: 21_324,
+  live: false,
+  liveseg: -1,
+  lm: ``,
+  lip: ``,
+  ws: ews.getWss().clients.size,
+  fxcount: fxCount,
+  palcount: palCount,
+  cpalcount: 0,
+  maps: [],
+  ndc: 0,
+  arch: `node`,
+  core: process.version,
+  lwip: 0,
+  freeheap: 0,
+  uptime: Math.floor(process.uptime()),
+  time: new Date().toISOString(),
+  opt: 0,
+  brand: `WLED`,
+  product: `Mock`,
+  mac: `000000000000`,
+  ip: `127.0.0.1`
+});
+
+/**
+ * Converts a colour from a WLED message (hex string or [r,g,b]) to hex
+ * @param {string|number[]} c
+ * @returns {string}
+ */
+const toHex = (c) => {
+  if (typeof c === `string`) return c.padStart(6, `0`).slice(-6).toLowerCase();
+  return c.slice(0, 3).map(v => Math.max(0, Math.min(255, v)).toString(16).padStart(2, `0`)).join(``);
+};
+
+/**
+ * Returns _true_ if value is a colour in an 'i' array
+ * @param {any} v
+ */
+const isColour = (v) => typeof v === `string` || Array.isArray(v);
+
+/**
+ * Applies individual LED data to a segment.
+ * `i` is an array of colours, optionally preceded by an index or a start and stop index:
+ * [ "ff0000", "00ff00" ], [ 0, "ff0000", 4, "00ff00" ] or [ 0, 8, "ff0000" ]
+ * See https://kno.wled.ge/interfaces/json-api/#per-segment-individual-led-control
+ * @param {{start:number, stop:number}} seg
+ * @param {Array<number|string|number[]>} i
+ */
+const applyIndividual = (seg, i) => {
+  const next = [ ...strip ];
+  /** @type number[] */
+  let pending = [];
+  let cursor = 0;
+  const set = (index, hex) => {
+    const at = seg.start + index;
+    if (at >= seg.start && at < seg.stop && at < next.length) next[at] = hex;
+  };
+  for (const v of i) {
+    if (!isColour(v)) {
+      pending.push(/** @type number */(v));
+      continue;
+    }
+    const hex = toHex(/** @type string|number[] */(v));
+    if (pending.length === 0) {
+      set(cursor++, hex);
+    } else if (pending.length === 1) {
+      set(pending[0], hex);
+      cursor = pending[0] + 1;
+    } else {
+      const [ start, stop ] = pending;
+      for (let index = start; index < stop; index++) set(index, hex);
+      cursor = stop;
+    }
+    pending = [];
+  }
+  strip = next;
+};
+
+/**
+ * Applies a segment update message.
+ * Returns _true_ if it changed segment settings, rather than just LED colours
+ * @param {any} update
+ */
+const applySegment = (update) => {
+  const { id = state.mainseg, i, len, ...rest } = update;
+  const seg = state.seg.find(s => s.id === id);
+  if (seg === undefined) return false;
+
+  if (i) applyIndividual(seg, i);
+  if (typeof len === `number`) {
+    seg.stop = Math.min(ledCount, seg.start + len);
+    seg.len = seg.stop - seg.start;
+  }
+  Object.assign(seg, rest);
+  return Object.keys(rest).length > 0 || len !== undefined;
+};
+
+/**
+ * Returns _true_ if `value` is an object, rather than an array, null or a primitive
+ * @param {any} value
+ */
+const isPlainObject = (value) => typeof value === `object` && value !== null && !Array.isArray(value);
+
+/**
+ * Applies a message from a client to our state.
+ * Returns _true_ if state settings have changed
+ * @param {any} msg
+ */
+const applyMessage = (msg) => {
+  let changed = false;
+  const { seg, v, ...rest } = msg;
+  if (seg !== undefined) {
+    const updates = Array.isArray(seg) ? seg : [ seg ];
+    for (const u of updates) {
+      if (!isPlainObject(u)) continue;
+      if (applySegment(u)) changed = true;
+    }
+  }
+  for (const key of [ `on`, `bri`, `transition`, `ps`, `pl`, `lor`, `mainseg` ]) {
+    if (key in rest) {
+      if (key === `on` && rest.on === `t`) state.on = !state.on;
+      else state[key] = rest[key];
+      changed = true;
+    }
+  }
+  return changed;
+};
+
+/**
+ * Clients viewing the virtual strip
+ * @type Set<any>
+ */
+const viewers = new Set();
+
+const sendToViewers = () => {
+  const message = JSON.stringify({ on: state.on, bri: state.bri, leds: strip, seg: state.seg.map(s => ({ id: s.id, start: s.start, stop: s.stop })) });
+  for (const v of viewers) {
+    try {
+      v.send(message);
+    } catch {
+      // can happen when client disconnects
+    }
+  }
+};
+
+/**
+ * Sends full state and info to all WLED clients, as WLED does after a change
+ */
+const sendStateToAll = () => {
+  const message = JSON.stringify({ state, info: info() });
+  for (const c of ews.getWss().clients) {
+    if (viewers.has(c)) continue;
+    try {
+      c.send(message);
+    } catch {
+      // can happen when client disconnects
+    }
+  }
+};
+
+/**
+ * Sets LED colours from r,g,b bytes
+ * @param {number} start Index of first LED
+ * @param {Buffer} rgb
+ */
+const applyRgb = (start, rgb) => {
+  const next = [ ...strip ];
+  for (let offset = 0; offset + 2 < rgb.length; offset += 3) {
+    const index = start + offset / 3;
+    if (index >= next.length) break;
+    next[index] = rgb.subarray(offset, offset + 3).toString(`hex`);
+  }
+  strip = next;
+};
+
+/**
+ * Handles WLED's UDP realtime protocols: WARLS, DRGB and DNRGB
+ * https://kno.wled.ge/interfaces/udp-realtime/
+ * @param {Buffer} packet
+ */
+const onRealtime = (packet) => {
+  switch (packet[0]) {
+    case 1: {
+      // WARLS: [1, timeout, index, r, g, b, index, r, g, b ...]
+      for (let offset = 2; offset + 3 < packet.length; offset += 4) {
+        applyRgb(packet[offset], packet.subarray(offset + 1, offset + 4));
+      }
+      break;
+    }
+    case 2: {
+      // DRGB: [2, timeout, r, g, b ...]
+      applyRgb(0, packet.subarray(2));
+      break;
+    }
+    case 4: {
+      // DNRGB: [4, timeout, start high, start low, r, g, b ...]
+      applyRgb(packet.readUInt16BE(2), packet.subarray(4));
+      break;
+    }
+    default: {
+      if (!quiet) console.log(`Unsupported realtime protocol: ${packet[0]}`);
+      return;
+    }
+  }
+  sendToViewers();
+};
+
+/**
+ * Handles DDP packets: 10 byte header (14 with timecode) followed by r,g,b data
+ * http://www.3waylabs.com/ddp/
+ * @param {Buffer} packet
+ */
+const onDdp = (packet) => {
+  if (packet.length < 10) return;
+  const headerLength = (packet[0] & 0x10) ? 14 : 10;
+  const offset = packet.readUInt32BE(4);
+  const length = packet.readUInt16BE(8);
+  applyRgb(Math.floor(offset / 3), packet.subarray(headerLength, headerLength + length));
+
+  // Only redraw once all packets for a frame have arrived
+  if (packet[0] & 0x01) sendToViewers();
+};
+
+/**
+ * Listens for UDP packets on a port
+ * @param {number} udpPort
+ * @param {(packet:Buffer) => void} handler
+ */
+const listenUdp = (udpPort, handler) => {
+  const socket = dgram.createSocket(`udp4`);
+  socket.on(`message`, handler);
+  socket.on(`error`, error => {
+    console.warn(`Could not listen on UDP port ${udpPort}: ${error.message}`);
+    socket.close();
+  });
+  socket.bind(udpPort);
+};
+listenUdp(udpPort, onRealtime);
+listenUdp(ddpPort, onDdp);
+
+// WLED's websocket API
+app.ws(`/ws`, function (ws, request) {
+  if (!quiet) console.log(`WLED client connected`);
+
+  // WLED sends state and info when a client connects
+  ws.send(JSON.stringify({ state, info: info() }));
+
+  ws.on(`message`, function (message) {
+    let msg;
+    try {
+      msg = JSON.parse(message.toString());
+    } catch {
+      if (!quiet) console.log(`Could not parse: ${message}`);
+      ws.send(JSON.stringify({ error: 9 }));
+      return;
+    }
+    // Valid JSON, but not a message we can use, eg. `null` or a number
+    if (!isPlainObject(msg)) {
+      if (!quiet) console.log(`Not an object: ${message}`);
+      ws.send(JSON.stringify({ error: 9 }));
+      return;
+    }
+    // Skip logging individual LED colours, which are sent many times a second
+    const segs = Array.isArray(msg.seg) ? msg.seg : [ msg.seg ];
+    if (!quiet && !segs.some(s => s?.i)) console.log(`> ${message}`);
+
+    const changed = applyMessage(msg);
+    sendToViewers();
+    if (msg.v) {
+      // Client asked for state to be sent back
+      ws.send(JSON.stringify({ state, info: info() }));
+    } else if (changed) {
+      sendStateToAll();
+    } else {
+      ws.send(JSON.stringify({ success: true }));
+    }
+  });
+});
+
+// Stream of strip colours for the viewer page
+app.ws(`/viewer`, function (ws, request) {
+  viewers.add(ws);
+  ws.on(`close`, () => viewers.delete(ws));
+  sendToViewers();
+});
+
+// WLED's HTTP JSON API
+app.get(`/json`, (request, response) => response.json({ state, info: info() }));
+app.get(`/json/state`, (request, response) => response.json(state));
+app.get(`/json/info`, (request, response) => response.json(info()));
+
+app.get(`/`, (request, response) => {
+  response.sendFile(path.join(__dirname, `viewer.html`));
+});
+
+app.listen(port);
+console.log(`WLED mock with ${ledCount} LEDs started on port ${port}`);
+console.log(`  Connect to:    ws://localhost:${port}/ws`);
+console.log(`  View strip at: http://localhost:${port}`);
+console.log(`  Realtime UDP:  ${udpPort} (DRGB/DNRGB), ${ddpPort} (DDP)`);